@@ -0,0 +1,679 @@
+// ════════════════════════════════════════════════════════
+//  API SPEC
+//  What every /api route takes and returns, keyed
+//  'METHOD /path' as server.js declares it. Each entry has
+//  a summary and any of query, body and response schemas
+//  (lib/schema); path parameters are all uuids and need no
+//  entry. server.js won't start with a route missing here,
+//  checks requests against these before the handler runs,
+//  and serves them as OpenAPI at GET /api/openapi.json.
+// ════════════════════════════════════════════════════════
+
+const { ROLES } = require('./permissions');
+const { RULE_KINDS } = require('./pricing');
+const { STATUSES: UPI_STATUSES } = require('./upi');
+const { CODES } = require('./errors');
+
+// ── Building blocks ───────────────────────────────────────────────
+const str       = { type: 'string' };
+const strOrNull = { type: ['string', 'null'] };
+const num       = { type: 'number' };
+const numOrNull = { type: ['number', 'null'] };
+const int       = { type: 'integer' };
+const intOrNull = { type: ['integer', 'null'] };
+const bool      = { type: 'boolean' };
+const id        = { type: 'string', format: 'uuid' };
+const idOrNull  = { type: ['string', 'null'], format: 'uuid' };
+const orNull    = s => ({ ...s, type: [].concat(s.type, 'null'), ...(s.enum && { enum: [...s.enum, null] }) });
+const list      = items => ({ type: 'array', items });
+const anyObject = { type: 'object' };
+
+// Response objects: every key that can't be null is required
+function obj(properties) {
+  const required = Object.keys(properties).filter(k => ![].concat(properties[k].type).includes('null'));
+  return { type: 'object', properties, required };
+}
+const page = items => obj({ rows: list(items), total: int, limit: int, offset: int });
+
+const uuid     = (title, message = 'Invalid ID.') => ({ type: 'string', format: 'uuid', title, message });
+const text     = (title, maxLength = 500) => ({ type: 'string', maxLength, title });
+const nonBlank = (message, maxLength = 500) => ({ type: 'string', pattern: '\\S', maxLength, message });
+const time     = title => orNull({ type: 'string', format: 'date-time', title, message: `Invalid ${title.toLowerCase()}.` });
+const wholeOrNull = message => orNull({ type: 'integer', minimum: 1, message });
+const fields   = (properties, required = [], extra = {}) => ({ type: 'object', properties, required, ...extra });
+
+const EVENT_IDS = {
+  type: 'array', title: 'Events', message: 'Pick at least one event.', minItems: 1,
+  items: uuid('Event', 'Invalid event selection.')
+};
+const DRY_RUN = { enum: ['0', '1', 'false', 'true'], message: 'dry_run must be 0 or 1.' };
+const FORMAT  = { enum: ['csv', 'xlsx'], message: 'format must be csv or xlsx.' };
+const DATES   = {
+  from: { type: 'string', format: 'date-time', message: 'Invalid date.' },
+  to:   { type: 'string', format: 'date-time', message: 'Invalid date.' }
+};
+const paging = (max, sorts) => ({
+  limit:  { type: 'integer', minimum: 1, maximum: max, message: `limit must be 1 to ${max}.` },
+  offset: { type: 'integer', minimum: 0, message: 'offset must be 0 or more.' },
+  ...(sorts && {
+    sort:  { enum: sorts, message: `sort must be one of ${sorts.join(', ')}.` },
+    order: { enum: ['asc', 'desc'], message: 'order must be asc or desc.' }
+  })
+});
+const SEARCH = { type: 'string', maxLength: 200, message: 'Search text is too long.' };
+
+// The student fields /api/register takes. who ('Captain', 'Teammate') names
+// whose they are in messages.
+function studentFields(who = '') {
+  const label = name => who ? `${who}'s ${name}` : name[0].toUpperCase() + name.slice(1);
+  return {
+    student_id: { type: 'string', maxLength: 100, title: label('Student ID') },
+    name:       { type: 'string', maxLength: 500, title: label('name') },
+    phone:      { type: 'string', format: 'phone', title: label('phone'), message: `${label('phone')} must be 10 digits.` },
+    email:      { type: 'string', format: 'email', title: label('email'), message: who ? `${label('email')} is not a valid email.` : 'Invalid email.' }
+  };
+}
+const STUDENT = ['student_id', 'name', 'phone', 'email'];
+const { student_id: _, ...contactFields } = studentFields();
+
+// Payment taken at the desk: a UPI payment needs its transaction ID
+const PAYMENT = {
+  payment_method: { enum: ['cash', 'upi'], title: 'Payment method', message: 'Invalid payment method.' },
+  transaction_id: orNull({ type: 'string', maxLength: 100, title: 'UPI transaction ID' })
+};
+const UPI_NEEDS_TRANSACTION = {
+  if:   { properties: { payment_method: { const: 'upi' } }, required: ['payment_method'] },
+  then: { properties: { transaction_id: PAYMENT.transaction_id }, required: ['transaction_id'] }
+};
+
+// ── Response shapes ───────────────────────────────────────────────
+const Ok = obj({ ok: { const: true } });
+
+const ErrorBody = {
+  type: 'object',
+  properties: {
+    error: str,
+    code: { enum: Object.keys(CODES) },
+    details: list(obj({ field: str, in: { enum: ['path', 'query', 'body'] }, code: str, message: str })),
+    event_id: id,
+    state: str
+  },
+  required: ['error', 'code']
+};
+
+const Event = obj({
+  id, title: str, cost: num, capacity: intOrNull,
+  registration_opens_at: strOrNull, registration_closes_at: strOrNull, starts_at: strOrNull,
+  venue: strOrNull, active: bool, team_min: intOrNull, team_max: intOrNull, created_at: str,
+  taken: int, seats_left: intOrNull,
+  state: { enum: ['open', 'inactive', 'not_open', 'closed', 'full'] }
+});
+
+const Member = obj({
+  id, name: str, email: str, phone_number: strOrNull, role: { enum: ROLES }, must_change_password: bool, created_at: str,
+  event_ids: list(id)
+});
+
+const Me = obj({ ...Member.properties, permissions: list(str) });
+
+const Session = obj({
+  id, ip: strOrNull, user_agent: strOrNull, created_at: str, last_seen_at: str, expires_at: str, current: bool
+});
+
+const Student = obj({ id, student_id: str, name: str, phone_number: str, email: str, created_at: str });
+
+const EmailStatus = obj({
+  kind: str, to_email: str, status: str, attempts: int, last_error: strOrNull, created_at: str, sent_at: strOrNull
+});
+
+const Sale = obj({
+  id, payment_method: str, amount_paid: num, registered_at: str, status: str, refunded_amount: num,
+  cancel_reason: strOrNull, settlement_id: idOrNull, checked_in_at: strOrNull, discount: num,
+  Teams:    orNull(obj({ id, name: str, captain_id: id })),
+  Students: orNull(obj({ id, student_id: str, name: str, phone_number: str, email: str })),
+  Events:   orNull(obj({ id, title: str })),
+  Members:  orNull(obj({ id, name: str })),
+  Payments: orNull(obj({ id, transaction_id: strOrNull, payment_method: str, upi_status: orNull({ type: 'string', enum: UPI_STATUSES }), upi_amount: numOrNull })),
+  email:    orNull(EmailStatus)
+});
+
+const PricingRule = obj({
+  id, name: str, kind: { enum: RULE_KINDS }, code: strOrNull, value: num, event_ids: orNull(list(id)),
+  min_events: int, max_uses: intOrNull, uses: int, starts_at: strOrNull, ends_at: strOrNull, active: bool, created_at: str
+});
+
+const Quote = obj({ lines: list(anyObject), subtotal: num, discount: num, total: num, applied: list(anyObject) });
+
+const WaitlistEntry = obj({
+  id, event_id: id, student_id: id, member_id: idOrNull, status: { enum: ['waiting', 'promoted', 'removed'] },
+  registration_id: idOrNull, created_at: str, position: intOrNull, event_title: strOrNull, member_name: strOrNull,
+  student: orNull(obj({ id, student_id: str, name: str, phone_number: str, email: str }))
+});
+
+const Team = obj({
+  id, event_id: id, name: str, captain_id: id, payment_id: id, member_id: idOrNull, created_at: str,
+  event: orNull(anyObject),
+  roster: list(obj({
+    registration_id: id, status: str, amount_paid: num, checked_in_at: strOrNull, captain: bool,
+    student: orNull(anyObject)
+  }))
+});
+
+const Refund = obj({
+  id, payment_id: id, amount: num, method: { enum: ['cash', 'upi'] }, transaction_id: strOrNull,
+  reason: str, approved_by: idOrNull, registrations: int, created_at: str
+});
+
+const Payment = obj({
+  id, payment_method: str, transaction_id: strOrNull, created_at: str,
+  registrations: list(obj({ id, event_id: id, amount_paid: num, status: str, refunded_amount: num, registered_at: str, event_title: str })),
+  refunds: list(obj({ ...Refund.properties, approved_by_name: strOrNull }))
+});
+
+const EventPrice = obj({ id, cost: num, effective_from: str, set_by: idOrNull, set_by_name: strOrNull });
+
+const OrderLine = { event_id: id, event_title: str, amount_paid: num };
+
+const Order = obj({
+  id, payment_method: str, transaction_id: strOrNull, amount: num, discount: num, coupon_code: strOrNull,
+  upi_status: orNull({ type: 'string', enum: UPI_STATUSES }), created_at: str, voided: bool, team: bool,
+  student: orNull(obj({ id, student_id: str, name: str, phone_number: str, email: str })),
+  seller: obj({ id: idOrNull, name: strOrNull }),
+  lines: list(obj({
+    id, student_id: id, member_id: idOrNull, team_id: idOrNull, discount: num, status: str, refunded_amount: num,
+    settlement_id: idOrNull, checked_in_at: strOrNull, registered_at: str, ...OrderLine
+  })),
+  total: num
+});
+
+const OrderChange = obj({
+  dry_run: bool, added: list(obj(OrderLine)), removed: list(obj({ id, ...OrderLine })),
+  previous_total: num, total: num, difference: num, collect: num, refund: num, refunded: num
+});
+
+const Settlement = obj({
+  id, member_id: idOrNull, received_by: idOrNull, registrations: int, expected_amount: num,
+  amount_received: num, discrepancy: num, notes: strOrNull, created_at: str
+});
+
+const Email = obj({
+  id, kind: str, to_email: str, status: str, attempts: int, last_error: strOrNull, created_at: str, sent_at: strOrNull
+});
+
+const Ticket = obj({
+  registration_id: id, member_id: idOrNull, status: str, event_id: id, event_title: str,
+  student_id: strOrNull, student_name: strOrNull, registered_at: str, checked_in_at: strOrNull, checked_in_by_name: strOrNull
+});
+
+const ImportSummary = obj({
+  dry_run: bool, total: int, valid: int, invalid: int,
+  rows: list(obj({ line: int, action: { enum: ['create', 'update'] }, errors: list(str), data: anyObject }))
+});
+
+const UpiCounts = obj(Object.fromEntries(UPI_STATUSES.map(s => [s, int])));
+const UpiUnmatched = list(obj({ line: int, transaction_id: str, amount: numOrNull, reason: str }));
+
+const UpiCheck = obj({
+  dry_run: bool, id,
+  period: orNull(obj({ from: strOrNull, to: strOrNull })),
+  lines: int, ignored: int, counts: UpiCounts, unmatched: UpiUnmatched,
+  payments: list(obj({
+    id, upi_status: { type: 'string', enum: UPI_STATUSES }, upi_amount: numOrNull, transaction_id: str, amount: num,
+    registered_at: str, member: strOrNull
+  }))
+});
+UpiCheck.required = UpiCheck.required.filter(k => k !== 'id');
+
+const UpiStatement = obj({
+  id, uploaded_by: idOrNull, uploaded_by_name: strOrNull, period_from: strOrNull, period_to: strOrNull,
+  lines: int, ignored: int, ...UpiCounts.properties, unmatched: UpiUnmatched, created_at: str
+});
+
+const AuditEntry = obj({
+  id, actor_id: idOrNull, actor_name: strOrNull, action: str, entity: str, entity_id: idOrNull,
+  before: orNull(anyObject), after: orNull(anyObject), created_at: str
+});
+
+const Totals  = { registrations: int, revenue: num };
+const Summary = obj({
+  registrations: int, revenue: num, refunded: num, discounts: num, unique_students: int,
+  avg_events_per_student: num, members: int, events: int
+});
+
+const MergeSummary = obj({
+  keep: anyObject, merge: anyObject, moved: int,
+  conflicts: list(obj({ event_id: id, title: str, kept: id, cancelled: id, cancelled_student: str, cancelled_amount: num }))
+});
+
+// Named shapes, published under components.schemas
+const components = {
+  Error: ErrorBody, Ok, Event, Member, Me, Session, Student, Sale, EmailStatus, PricingRule, Quote, WaitlistEntry, Team,
+  Refund, Payment, EventPrice, Order, OrderChange, Settlement, Email, Ticket, ImportSummary, UpiCheck, UpiStatement, AuditEntry, Summary
+};
+
+// ── Request bodies ────────────────────────────────────────────────
+function eventBody(create) {
+  return fields({
+    title:    { ...nonBlank('Title is required.'), title: 'Title' },
+    cost:     { type: 'number', exclusiveMinimum: 0, title: 'Cost', message: 'Cost must be > 0.' },
+    capacity: wholeOrNull('Capacity must be a whole number of at least 1, or null for no limit.'),
+    registration_opens_at:  time('Registration opening time'),
+    registration_closes_at: time('Registration closing time'),
+    starts_at: time('Start time'),
+    venue:     orNull(text('Venue')),
+    active:    { type: 'boolean', message: 'active must be true or false.' },
+    team_min:  wholeOrNull('Team sizes must be whole numbers of at least 1.'),
+    team_max:  wholeOrNull('Team sizes must be whole numbers of at least 1.')
+  }, create ? ['title', 'cost'] : []);
+}
+
+const PASSWORD     = { type: 'string', minLength: 8, maxLength: 200, title: 'Password', message: 'Password must be at least 8 characters.' };
+const MEMBER_PHONE = orNull({ type: 'string', pattern: '^(\\d{10})?$', message: 'Member phone must be 10 digits.' });
+
+function memberBody(create) {
+  return fields({
+    name:      { ...nonBlank('Name is required.'), title: 'Name' },
+    email:     { type: 'string', format: 'email', title: 'Email', message: 'Invalid email.' },
+    password:  PASSWORD,
+    role:      { enum: ROLES, message: `Role must be one of ${ROLES.join(', ')}.` },
+    phone:     MEMBER_PHONE,
+    event_ids: orNull({ type: 'array', items: uuid('Event', 'Invalid event selection.'), message: 'Invalid event selection.' }),
+    must_change_password: { type: 'boolean', message: 'must_change_password must be true or false.' }
+  }, create ? ['name', 'email', 'password'] : []);
+}
+
+function ruleBody(create) {
+  return fields({
+    name:       { ...nonBlank('Name is required.', 100), title: 'Name' },
+    kind:       { enum: RULE_KINDS, title: 'Kind', message: 'Kind must be bundle, percent or flat.' },
+    value:      { type: 'number', exclusiveMinimum: 0, title: 'Value', message: 'Value must be > 0.' },
+    code:       orNull({ type: 'string', pattern: '^([A-Za-z0-9_-]{3,30})?$', message: 'Codes are 3–30 letters, digits, - or _.' }),
+    event_ids:  orNull({ type: 'array', items: uuid('Event', 'Invalid event selection.'), message: 'Invalid event selection.' }),
+    min_events: wholeOrNull('Minimum events must be a whole number of at least 1.'),
+    max_uses:   wholeOrNull('Usage limit must be a whole number of at least 1.'),
+    starts_at:  time('Start time'),
+    ends_at:    time('End time'),
+    active:     { type: 'boolean', message: 'active must be true or false.' }
+  }, create ? ['name', 'kind', 'value'] : []);
+}
+
+const TEAMMATE = fields(studentFields('Teammate'), ['student_id']);
+
+// ── Routes ────────────────────────────────────────────────────────
+const SALES_FILTERS = {
+  ids:            { type: 'string', pattern: '^[0-9a-fA-F-]{36}(,[0-9a-fA-F-]{36}){0,199}$', message: 'Invalid registration IDs.' },
+  q:              SEARCH,
+  event_id:       uuid('Event', 'Invalid event.'),
+  member_id:      uuid('Member', 'Invalid member.'),
+  payment_method: { enum: ['cash', 'upi'], message: 'Invalid payment method.' },
+  status:         { enum: ['active', 'cancelled', 'refunded'], message: 'Invalid status.' },
+  ...DATES
+};
+const reportQuery = fields(DATES);
+const report = (summary, response) => ({ summary, query: reportQuery, response });
+
+const routes = {
+  'POST /api/login': {
+    summary: 'Sign in; the token goes in the x-session header of later requests',
+    body: fields({
+      email:    { type: 'string', format: 'email', title: 'Email', message: 'Invalid email.' },
+      password: { type: 'string', maxLength: 200, title: 'Password' }
+    }, ['email', 'password']),
+    response: obj({
+      token: str, id, name: str, role: { enum: ROLES }, permissions: list(str), event_ids: list(id), must_change_password: bool
+    })
+  },
+  'POST /api/logout': { summary: 'End this session', response: Ok },
+
+  'GET /api/me': { summary: 'The signed-in member', response: Me },
+  'PUT /api/me': { summary: 'Change your own phone number', body: fields({ phone: MEMBER_PHONE }), response: Ok },
+  'PUT /api/me/password': {
+    summary: 'Change your own password; other sessions are signed out',
+    body: fields({
+      current_password: { type: 'string', maxLength: 200, title: 'Current password' },
+      password: { ...PASSWORD, title: 'New password', message: 'New password must be at least 8 characters.' }
+    }, ['current_password', 'password']),
+    response: Ok
+  },
+  'POST /api/password/forgot': {
+    summary: 'Send a password reset link; the answer is the same whether or not the email has an account',
+    body: fields({ email: { type: 'string', format: 'email', title: 'Email', message: 'Invalid email.' } }, ['email']),
+    response: Ok
+  },
+  'POST /api/password/reset': {
+    summary: 'Set a new password with the code from a reset link; every session is signed out',
+    body: fields({
+      token:    { type: 'string', pattern: '^[0-9a-f]{64}$', title: 'Reset code', message: 'That reset code is not valid.' },
+      password: { ...PASSWORD, title: 'New password', message: 'New password must be at least 8 characters.' }
+    }, ['token', 'password']),
+    response: Ok
+  },
+  'GET /api/openapi.json': { summary: 'This document', response: anyObject },
+  'GET /api/live': { summary: 'Event stream of changes the caller may see (text/event-stream)', stream: 'text/event-stream' },
+
+  'POST /api/students/lookup': {
+    summary: 'Find a student by Student ID, with the events they are registered for',
+    body: fields({ student_id: { type: 'string', maxLength: 100, message: 'Enter a Student ID.' } }, ['student_id']),
+    response: obj({ status: { enum: ['found', 'new'] }, student: orNull(anyObject), registeredEventIds: list(id) })
+  },
+  'POST /api/students/check-unique': {
+    summary: 'Whether a phone number or email is free for a new student',
+    body: fields({
+      field: { enum: ['phone', 'email'], message: 'field must be phone or email.' },
+      value: { type: 'string', maxLength: 254, message: 'Missing field or value.' }
+    }, ['field', 'value'], {
+      allOf: [
+        { if: { properties: { field: { const: 'phone' } }, required: ['field'] }, then: { properties: { value: { format: 'phone', message: 'Invalid phone.' } } } },
+        { if: { properties: { field: { const: 'email' } }, required: ['field'] }, then: { properties: { value: { format: 'email', message: 'Invalid email.' } } } }
+      ]
+    }),
+    response: obj({ unique: bool, student_id: strOrNull })
+  },
+
+  'GET /api/events': { summary: 'Every event with seats taken and whether it is open', response: list(Event) },
+  'POST /api/events': { summary: 'Create an event', body: eventBody(true), response: Ok },
+  'PUT /api/events/:id': { summary: 'Change an event; only the fields sent change, null clears', body: eventBody(false), response: Ok },
+  'DELETE /api/events/:id': { summary: 'Delete an event and its registrations', response: Ok },
+  'GET /api/events/:id/prices': { summary: 'Every cost an event has had, newest first', response: list(EventPrice) },
+
+  'GET /api/members': { summary: 'Every member with their assigned events', response: list(Member) },
+  'POST /api/members': { summary: 'Create a member', body: memberBody(true), response: Ok },
+  'PUT /api/members/:id': { summary: 'Change a member; only the fields sent change', body: memberBody(false), response: Ok },
+  'DELETE /api/members/:id': { summary: 'Delete a member', response: Ok },
+  'GET /api/members/:id/sessions': { summary: 'A member\'s active sessions', response: list(Session) },
+  'DELETE /api/members/:id/sessions': { summary: 'Sign a member out everywhere', response: Ok },
+  'DELETE /api/members/:id/sessions/:sid': { summary: 'End one of a member\'s sessions', response: Ok },
+
+  'GET /api/students': {
+    summary: 'Search students by name, Student ID, phone or email',
+    query: fields({ q: SEARCH, ...paging(200, ['created_at', 'name', 'student_id']) }),
+    response: page(Student)
+  },
+  'PUT /api/students/:id': {
+    summary: 'Change a student\'s details',
+    body: fields(studentFields(), STUDENT),
+    response: Ok
+  },
+  'DELETE /api/students/:id': { summary: 'Delete a student and their registrations', response: Ok },
+  'GET /api/students/duplicates': {
+    summary: 'Pairs of students that look like the same person',
+    response: obj({
+      pairs: list(obj({ reasons: list({ enum: ['phone', 'email', 'name', 'student_id'] }), students: list(anyObject) })),
+      total: int
+    })
+  },
+  'POST /api/students/:id/merge': {
+    summary: 'Fold student `from` into this one; a dry run (the default) only reports what would happen',
+    query: fields({ dry_run: DRY_RUN }),
+    body: fields({ from: uuid('Student to merge') }, ['from']),
+    response: { ...MergeSummary, properties: { ...MergeSummary.properties, dry_run: bool, ok: bool } }
+  },
+
+  'GET /api/sales': {
+    summary: 'Registrations the caller may read, filtered and paged',
+    query: fields({ ...SALES_FILTERS, ...paging(200, ['registered_at', 'amount_paid']) }),
+    response: page(Sale)
+  },
+  'POST /api/register': {
+    summary: 'Register a student for one or more individual events and take payment. Send an Idempotency-Key to make retries safe.',
+    body: fields({ ...studentFields(), event_ids: EVENT_IDS, ...PAYMENT, coupon_code: orNull(text('Coupon code', 30)) },
+      [...STUDENT, 'event_ids', 'payment_method'], { allOf: [UPI_NEEDS_TRANSACTION] }),
+    response: obj({ ok: { const: true }, count: int, total: num, discount: num })
+  },
+  'PUT /api/sales/:id': {
+    summary: 'Correct a registration: the student\'s details, its event and its payment. A new event reprices the order, reported like an order change',
+    body: fields({ student_id: uuid('Student'), ...contactFields, event_id: uuid('Event'), ...PAYMENT },
+      ['student_id', 'name', 'phone', 'email', 'event_id', 'payment_method'], { allOf: [UPI_NEEDS_TRANSACTION] }),
+    response: obj({ ok: { const: true }, previous_total: num, total: num, difference: num, collect: num, refund: num })
+  },
+  'DELETE /api/sales/:id': {
+    summary: 'Cancel a registration entered by mistake (a team is cancelled whole)',
+    body: fields({ reason: orNull(text('Reason')) }),
+    response: obj({ ok: { const: true }, count: int })
+  },
+
+  'GET /api/orders/:id': { summary: 'Everything bought with one payment, with its total: what it was sold for less refunds', response: Order },
+  'PUT /api/orders/:id': {
+    summary: 'Set the events an order holds: missing ones are added at today\'s cost, others taken off (refunded in full when paid for). dry_run=1 only reports the change',
+    query: fields({ dry_run: DRY_RUN }),
+    body: fields({ event_ids: EVENT_IDS }, ['event_ids']),
+    response: OrderChange
+  },
+
+  'POST /api/pricing/quote': {
+    summary: 'Price a basket of events, with an optional coupon',
+    body: fields({
+      event_ids:   { type: 'array', items: uuid('Event', 'Invalid event selection.'), message: 'Invalid event selection.' },
+      coupon_code: orNull(text('Coupon code', 30))
+    }, ['event_ids']),
+    response: Quote
+  },
+  'GET /api/pricing-rules': { summary: 'Every pricing rule', response: list(PricingRule) },
+  'POST /api/pricing-rules': { summary: 'Create a pricing rule', body: ruleBody(true), response: PricingRule },
+  'PUT /api/pricing-rules/:id': { summary: 'Change a pricing rule; only the fields sent change', body: ruleBody(false), response: Ok },
+  'DELETE /api/pricing-rules/:id': { summary: 'Delete a pricing rule', response: Ok },
+
+  'POST /api/waitlist': {
+    summary: 'Queue a student for events that are full',
+    body: fields({ ...studentFields(), event_ids: EVENT_IDS }, [...STUDENT, 'event_ids']),
+    response: obj({ ok: { const: true }, entries: list(obj({ id, event_id: id, position: int })) })
+  },
+  'GET /api/waitlist': {
+    summary: 'Waitlist entries in queue order',
+    query: fields({
+      event_id: uuid('Event', 'Invalid event ID.'),
+      status:   { enum: ['waiting', 'promoted', 'removed'], message: 'Invalid status.' }
+    }),
+    response: list(WaitlistEntry)
+  },
+  'POST /api/waitlist/:id/promote': {
+    summary: 'Register a waiting student, taking payment now',
+    body: fields(PAYMENT, ['payment_method'], { allOf: [UPI_NEEDS_TRANSACTION] }),
+    response: obj({ ok: { const: true }, registration_id: id })
+  },
+  'DELETE /api/waitlist/:id': { summary: 'Take a student off the waitlist', response: Ok },
+
+  'POST /api/teams': {
+    summary: 'Register a team for a team event and take one payment. Send an Idempotency-Key to make retries safe.',
+    body: fields({
+      event_id:  uuid('Event', 'Invalid event selection.'),
+      team_name: { ...nonBlank('Team name is required.', 100), title: 'Team name' },
+      captain:   { ...fields(studentFields('Captain'), STUDENT), title: 'Captain' },
+      members:   { type: 'array', items: TEAMMATE, message: 'members must be a list.' },
+      ...PAYMENT
+    }, ['event_id', 'team_name', 'captain', 'payment_method'], { allOf: [UPI_NEEDS_TRANSACTION] }),
+    response: obj({ ok: { const: true }, team_id: id, count: int })
+  },
+  'GET /api/teams/:id': { summary: 'A team with everyone who is or was on it', response: Team },
+  'PUT /api/teams/:id': {
+    summary: 'Rename a team or replace its teammates (members is the full list, captain excluded)',
+    body: fields({
+      name:    nonBlank('Team name is required.', 100),
+      members: { type: 'array', items: TEAMMATE, title: 'members', message: 'members must be a list.' }
+    }, ['members']),
+    response: Team
+  },
+
+  'GET /api/payments/:id': { summary: 'A payment with its registrations and refunds', response: Payment },
+  'POST /api/payments/:id/refunds': {
+    summary: 'Refund some or all of a payment\'s registrations',
+    body: fields({
+      registration_ids: { type: 'array', minItems: 1, items: uuid('Registration'), message: 'Select the registrations being refunded.' },
+      amount:           { type: 'number', exclusiveMinimum: 0, message: 'Refund amount must be > 0.' },
+      method:           { enum: ['cash', 'upi'], message: 'Invalid refund method.' },
+      transaction_id:   orNull({ type: 'string', maxLength: 100, title: 'UPI refund reference' }),
+      reason:           nonBlank('Give a reason for the refund.')
+    }, ['registration_ids', 'amount', 'method', 'reason'], {
+      allOf: [{
+        if:   { properties: { method: { const: 'upi' } }, required: ['method'] },
+        then: { properties: { transaction_id: { title: 'UPI refund reference' } }, required: ['transaction_id'] }
+      }]
+    }),
+    response: Refund
+  },
+
+  'GET /api/sales/:id/emails': { summary: 'Every email about a registration, newest first', response: list(Email) },
+  'POST /api/sales/:id/receipt': { summary: 'Send the student a fresh receipt', response: Ok },
+
+  'GET /api/sales/:id/ticket': { summary: 'A registration\'s ticket: its signed code and QR image', response: obj({ ...Ticket.properties, code: str, svg: str }) },
+  'POST /api/checkin': {
+    summary: 'Check in a scanned ticket; with event_id, tickets for other events are turned away',
+    body: fields({
+      code:     { type: 'string', maxLength: 500, message: 'Not a valid ticket.' },
+      event_id: orNull(uuid('Event', 'Invalid event.'))
+    }, ['code']),
+    response: obj({ ok: { const: true }, ticket: Ticket })
+  },
+  'DELETE /api/checkin/:id': { summary: 'Undo a check-in', response: Ok },
+
+  'GET /api/cash/outstanding': {
+    summary: 'Cash a member has not handed over yet (cash.all may ask about anyone)',
+    query: fields({ member_id: uuid('Member', 'Invalid member.') }),
+    response: obj({ member_id: id, registrations: int, amount: num, last_settled_at: strOrNull, rows: list(Sale) })
+  },
+  'GET /api/settlements': {
+    summary: 'Cash handovers, newest first',
+    query: fields({ member_id: uuid('Member', 'Invalid member.'), ...paging(200) }),
+    response: page(obj({ ...Settlement.properties, member_name: strOrNull, received_by_name: strOrNull }))
+  },
+  'GET /api/settlements/:id': { summary: 'A handover with the registrations it covers', response: obj({ ...Settlement.properties, rows: list(Sale) }) },
+  'POST /api/settlements': {
+    summary: 'Record cash handed over for a set of registrations',
+    body: fields({
+      member_id:        uuid('Member', 'Invalid member.'),
+      registration_ids: { type: 'array', minItems: 1, items: uuid('Registration'), message: 'Select the registrations being settled.' },
+      amount_received:  { type: 'number', minimum: 0, message: 'Amount received must be 0 or more.' },
+      notes:            orNull(text('Notes'))
+    }, ['member_id', 'registration_ids', 'amount_received']),
+    response: Settlement
+  },
+
+  'GET /api/export/registrations': {
+    summary: 'Registrations as a CSV or Excel file; same filters as GET /api/sales',
+    query: fields({ ...SALES_FILTERS, format: FORMAT }),
+    file: true
+  },
+  'GET /api/export/students': { summary: 'Students as a CSV or Excel file', query: fields({ q: SEARCH, format: FORMAT }), file: true },
+  'GET /api/export/members': { summary: 'Members as a CSV or Excel file', query: fields({ format: FORMAT }), file: true },
+
+  'POST /api/import/students': {
+    summary: 'Create or update students from CSV (columns student_id, name, phone_number, email); a dry run unless dry_run=0',
+    query: fields({ dry_run: DRY_RUN }), csv: true, response: ImportSummary
+  },
+  'POST /api/import/events': {
+    summary: 'Create events from CSV (columns title, cost); a dry run unless dry_run=0',
+    query: fields({ dry_run: DRY_RUN }), csv: true, response: ImportSummary
+  },
+
+  'POST /api/upi-statements': {
+    summary: 'Check UPI payments against a bank statement (CSV); a dry run unless dry_run=0',
+    query: fields({
+      dry_run: DRY_RUN,
+      from:    { type: 'string', maxLength: 30, message: 'Invalid date.' },
+      to:      { type: 'string', maxLength: 30, message: 'Invalid date.' }
+    }),
+    csv: true,
+    response: UpiCheck
+  },
+  'GET /api/upi-statements': { summary: 'Past statement uploads, newest first', response: list(UpiStatement) },
+
+  'GET /api/reports/summary': report('Totals for the period', Summary),
+  'GET /api/reports/by-event': report('Registrations and revenue per event', list(obj({ event_id: id, title: str, ...Totals }))),
+  'GET /api/reports/by-member': report('Registrations and revenue per member', list(obj({ member_id: idOrNull, name: str, ...Totals }))),
+  'GET /api/reports/by-method': report('Registrations and revenue per payment method', list(obj({ payment_method: str, ...Totals }))),
+  'GET /api/reports/attendance': report('Check-ins per event', list(obj({ event_id: id, title: str, registrations: int, checked_in: int }))),
+  'GET /api/reports/unsettled-cash': {
+    summary: 'Cash each member still holds',
+    response: list(obj({ member_id: idOrNull, name: str, registrations: int, amount: num, last_settled_at: strOrNull }))
+  },
+  'GET /api/reports/unverified-upi': {
+    summary: 'UPI collections not yet verified against a statement, per member',
+    response: list(obj({ member_id: idOrNull, name: str, payments: int, amount: num, unchecked: int, amount_mismatch: int, not_found: int }))
+  },
+  'GET /api/reports/timeline': {
+    summary: 'Registrations and revenue per day or hour (IST)',
+    query: fields({ ...DATES, bucket: { enum: ['day', 'hour'], message: 'bucket must be day or hour.' } }),
+    response: list(obj({ bucket: str, ...Totals }))
+  },
+
+  'GET /api/audit': {
+    summary: 'Activity log, newest first',
+    query: fields({
+      actor:     uuid('Actor', 'Invalid actor.'),
+      entity:    { enum: ['registration', 'student', 'member', 'event', 'settlement', 'waitlist', 'team', 'pricing_rule', 'upi_statement'], message: 'Invalid entity.' },
+      entity_id: uuid('Entity', 'Invalid entity ID.'),
+      ...DATES,
+      ...paging(500)
+    }),
+    response: list(AuditEntry)
+  }
+};
+
+// ── OpenAPI ───────────────────────────────────────────────────────
+const COMPONENT_NAMES = new Map(Object.entries(components).map(([name, s]) => [s, name]));
+
+// A schema as OpenAPI 3.1 has it: named shapes become $refs and `message`
+// (not a JSON Schema keyword) is kept as x-message
+function published(s, top = false) {
+  if (!top && COMPONENT_NAMES.has(s)) return { $ref: '#/components/schemas/' + COMPONENT_NAMES.get(s) };
+  if (Array.isArray(s)) return s.map(v => published(v));
+  if (!s || typeof s !== 'object') return s;
+  const out = {};
+  for (const [k, v] of Object.entries(s)) {
+    if (k === 'message') out['x-message'] = v;
+    else if (k === 'properties') out.properties = Object.fromEntries(Object.entries(v).map(([p, ps]) => [p, published(ps)]));
+    else if (['items', 'if', 'then'].includes(k)) out[k] = published(v);
+    else if (k === 'allOf') out.allOf = v.map(x => published(x));
+    else out[k] = v;
+  }
+  if (Array.isArray(out.required) && !out.required.length) delete out.required;
+  return out;
+}
+
+const queryParams = s => Object.entries(s?.properties || {}).map(([name, schema]) =>
+  ({ name, in: 'query', required: (s.required || []).includes(name), schema: published(schema) }));
+
+// declared: [{ method, path, auth, permission }] as server.js registered
+// them → the OpenAPI document
+function openapi(declared, info) {
+  const paths = {};
+  for (const { method, path, auth, permission } of declared) {
+    const spec = routes[`${method} ${path}`];
+    const oaPath = path.replace(/:(\w+)/g, '{$1}');
+    const params = [...path.matchAll(/:(\w+)/g)].map(m => ({ name: m[1], in: 'path', required: true, schema: id }));
+    const ok = spec.file
+      ? { content: { 'text/csv': {}, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {} } }
+      : spec.stream ? { content: { [spec.stream]: {} } }
+      : { content: { 'application/json': { schema: published(spec.response || anyObject) } } };
+    const op = {
+      summary: spec.summary,
+      parameters: [...params, ...queryParams(spec.query)],
+      responses: {
+        200: { description: 'OK', ...ok },
+        default: { description: 'Error', content: { 'application/json': { schema: published(ErrorBody) } } }
+      }
+    };
+    if (spec.body) op.requestBody = { required: true, content: { 'application/json': { schema: published(spec.body) } } };
+    if (spec.csv) op.requestBody = { required: true, content: { 'text/csv': { schema: str } } };
+    if (!auth) op.security = [];
+    if (permission) op['x-permission'] = permission;
+    if (!op.parameters.length) delete op.parameters;
+    (paths[oaPath] ||= {})[method.toLowerCase()] = op;
+  }
+  return {
+    openapi: '3.1.0',
+    info: {
+      ...info,
+      description: 'Errors are { error, code, details? }; see components.schemas.Error for the codes. ' +
+        'A required field that is null or blank counts as missing. x-message is the error text a field gets when it fails.'
+    },
+    components: {
+      securitySchemes: { session: { type: 'apiKey', in: 'header', name: 'x-session' } },
+      schemas: Object.fromEntries(Object.entries(components).map(([name, s]) => [name, published(s, true)]))
+    },
+    security: [{ session: [] }],
+    paths
+  };
+}
+
+module.exports = { routes, components, openapi };
@@ -0,0 +1,64 @@
+// ════════════════════════════════════════════════════════
+//  CSV
+//  RFC 4180 parsing and row formatting for imports,
+//  exports and statement uploads.
+// ════════════════════════════════════════════════════════
+
+// text → array of rows (arrays of strings). Handles quoted fields with
+// commas, doubled quotes and newlines; drops fully blank lines.
+function parse(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f.trim() !== '')) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(f => f.trim() !== '')) rows.push(row);
+  return rows;
+}
+
+// Header row + data rows → objects keyed by canonical column names.
+// aliases: { canonical: ['accepted header', …] }, matched case-insensitively.
+// Each record also carries `line`, its 1-based line in the file.
+function records(text, aliases) {
+  const [head = [], ...body] = parse(text);
+  const norm = h => h.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+  const index = {};
+  for (const [key, names] of Object.entries(aliases)) {
+    const i = head.findIndex(h => [key, ...names].map(norm).includes(norm(h)));
+    if (i !== -1) index[key] = i;
+  }
+  const missing = Object.keys(aliases).filter(k => index[k] === undefined);
+  return {
+    missing,
+    rows: body.map((cells, n) => {
+      const rec = { line: n + 2 };
+      for (const [key, i] of Object.entries(index)) rec[key] = (cells[i] || '').trim();
+      return rec;
+    })
+  };
+}
+
+// Quotes as needed, and defuses values a spreadsheet would run as a formula
+function formatRow(values) {
+  return values.map(v => {
+    let s = v === null || v === undefined ? '' : String(v);
+    if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }).join(',') + '\r\n';
+}
+
+module.exports = { parse, records, formatRow };
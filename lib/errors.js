@@ -0,0 +1,46 @@
+// ════════════════════════════════════════════════════════
+//  ERROR CODES
+//  Every /api error is { error, code, details? }: error is
+//  the sentence to show, code is for programs to branch on,
+//  and details lists the fields a validation_failed request
+//  got wrong. Routes may set a code themselves; otherwise
+//  the response status picks one.
+// ════════════════════════════════════════════════════════
+
+const CODES = {
+  validation_failed:        'The request did not match the route\'s schema; details names each field.',
+  invalid_request:          'The request was understood but can\'t be carried out as sent.',
+  invalid_json:             'The body is not valid JSON.',
+  unauthorized:             'No session, or the session has ended.',
+  forbidden:                'The session\'s role or event assignments don\'t allow this.',
+  not_found:                'The record or route does not exist.',
+  conflict:                 'The record changed or is in a state that doesn\'t allow this.',
+  already_exists:           'A unique value (student ID, phone, email, transaction ID, code) is already taken.',
+  event_full:               'The event has no seats left.',
+  event_closed:             'Registration for the event has closed.',
+  event_not_open:           'Registration for the event has not opened yet.',
+  event_inactive:           'The event is not taking registrations.',
+  event_open:               'The event still has seats, so there is no waitlist for it.',
+  idempotency_key_reused:   'The Idempotency-Key was already used for a different request.',
+  request_in_progress:      'A request with this Idempotency-Key is still running; retry after Retry-After.',
+  too_many_attempts:        'Too many failed logins; wait and try again.',
+  password_change_required: 'The account has a temporary password; only GET /api/me, PUT /api/me/password and POST /api/logout work until it is changed.',
+  wrong_password:           'The current password sent with a password change is wrong.',
+  invalid_reset_token:      'The password reset code is unknown, used or expired.',
+  internal:                 'Something failed on the server.'
+};
+
+const BY_STATUS = {
+  400: 'invalid_request', 401: 'unauthorized', 403: 'forbidden', 404: 'not_found',
+  409: 'conflict', 422: 'idempotency_key_reused', 429: 'too_many_attempts'
+};
+
+// The code for an error body sent with status: the body's own, the event
+// state of an availability 409, or the status's default
+function errorCode(status, body) {
+  if (body.code && CODES[body.code]) return body.code;
+  if (status === 409 && body.state && CODES['event_' + body.state]) return 'event_' + body.state;
+  return BY_STATUS[status] || (status >= 500 ? 'internal' : 'invalid_request');
+}
+
+module.exports = { CODES, errorCode };
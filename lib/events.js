@@ -0,0 +1,73 @@
+// ════════════════════════════════════════════════════════
+//  EVENT AVAILABILITY
+//  Whether an event is taking registrations. The memory
+//  backend enforces this inside its register transaction;
+//  the register_student_with_payment and
+//  register_team_with_payment RPCs mirror it, with the
+//  same error codes, for Supabase.
+// ════════════════════════════════════════════════════════
+
+const UNAVAILABLE = {
+  inactive: { code: 'AC003', message: title => `${title} is not taking registrations.` },
+  not_open: { code: 'AC002', message: title => `Registration for ${title} has not opened yet.` },
+  closed:   { code: 'AC002', message: title => `Registration for ${title} has closed.` },
+  full:     { code: 'AC001', message: title => `${title} is full.` }
+};
+
+const TEAM_SIZE_CODE = 'AC004';
+
+const time = v => (v ? new Date(v).getTime() : null);
+
+// 'open' | 'inactive' | 'not_open' | 'closed' | 'full'. taken is the number
+// of seats taken (see countSeats). Registration closes at
+// registration_closes_at, or when the event starts if no close time is set.
+function availability(ev, taken, now = Date.now()) {
+  if (ev.active === false) return 'inactive';
+  const opens  = time(ev.registration_opens_at);
+  const closes = time(ev.registration_closes_at) ?? time(ev.starts_at);
+  if (opens !== null && now < opens) return 'not_open';
+  if (closes !== null && now >= closes) return 'closed';
+  if (ev.capacity !== null && ev.capacity !== undefined && taken >= ev.capacity) return 'full';
+  return 'open';
+}
+
+// → { code, message } for a state other than 'open'
+function unavailable(ev, state) {
+  const u = UNAVAILABLE[state];
+  return { code: u.code, message: u.message(ev.title) };
+}
+
+// event id → seats taken, given active registrations ({ event_id, team_id }).
+// A team takes one seat however many people are on it.
+function countSeats(rows) {
+  const seats = {};
+  const teams = new Set();
+  for (const r of rows) {
+    if (r.team_id) {
+      if (teams.has(r.team_id)) continue;
+      teams.add(r.team_id);
+    }
+    seats[r.event_id] = (seats[r.event_id] || 0) + 1;
+  }
+  return seats;
+}
+
+// Team events set team_max; team_min defaults to 1
+function isTeamEvent(ev) {
+  return ev.team_max !== null && ev.team_max !== undefined;
+}
+
+// → message if size people (captain included) can't form a team for ev, else null
+function teamSizeError(ev, size) {
+  if (!isTeamEvent(ev)) return `${ev.title} is not a team event.`;
+  const min = ev.team_min || 1;
+  if (size < min || size > ev.team_max)
+    return min === ev.team_max
+      ? `Teams for ${ev.title} have exactly ${min} people.`
+      : `Teams for ${ev.title} have ${min} to ${ev.team_max} people.`;
+  return null;
+}
+
+const UNAVAILABLE_CODES = ['AC001', 'AC002', 'AC003'];
+
+module.exports = { availability, unavailable, countSeats, isTeamEvent, teamSizeError, UNAVAILABLE_CODES, TEAM_SIZE_CODE };
@@ -0,0 +1,40 @@
+const ExcelJS = require('exceljs');
+const { formatRow } = require('./csv');
+
+// ════════════════════════════════════════════════════════
+//  SPREADSHEET EXPORT
+//  Streams rows to the response as CSV or XLSX while the
+//  source is still being paged, so large exports never
+//  sit in memory all at once.
+// ════════════════════════════════════════════════════════
+
+const FORMATS = {
+  csv:  'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// columns: [{ header, value: row => cell, width? }]
+// pages:   async iterable of row arrays
+async function streamExport(res, { format, filename, sheet = 'Sheet1', columns, pages }) {
+  res.setHeader('Content-Type', FORMATS[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'csv') {
+    res.write('\uFEFF' + formatRow(columns.map(c => c.header)));
+    for await (const rows of pages)
+      for (const row of rows) res.write(formatRow(columns.map(c => c.value(row))));
+    return res.end();
+  }
+
+  const book = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const ws = book.addWorksheet(sheet);
+  ws.columns = columns.map(c => ({ header: c.header, width: c.width || 18 }));
+  ws.getRow(1).font = { bold: true };
+  ws.getRow(1).commit();
+  for await (const rows of pages)
+    for (const row of rows) ws.addRow(columns.map(c => c.value(row))).commit();
+  ws.commit();
+  await book.commit();
+}
+
+module.exports = { streamExport, FORMATS };
@@ -0,0 +1,59 @@
+// ════════════════════════════════════════════════════════
+//  LIVE UPDATES
+//  Server-Sent Events to logged-in portals. Each message
+//  names what changed (entity, id, action) and never the
+//  data itself; clients fetch what they're allowed to see.
+//  Subscribers live in this process, so every client of a
+//  multi-instance deployment must reach the same server.
+// ════════════════════════════════════════════════════════
+
+const HEARTBEAT_MS = 25 * 1000;
+
+function createHub({ heartbeatMs = HEARTBEAT_MS } = {}) {
+  const clients = new Set();
+
+  // Comment lines keep proxies from closing an idle stream
+  const beat = setInterval(() => {
+    for (const c of clients) c.res.write(': ping\n\n');
+  }, heartbeatMs);
+  beat.unref();
+
+  function send(c, type, data) {
+    c.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  return {
+    // Holds res open as an event stream for user until the client goes away
+    subscribe(req, res, user, sessionId) {
+      res.writeHead(200, {
+        'Content-Type':      'text/event-stream',
+        'Cache-Control':     'no-cache, no-transform',
+        'Connection':        'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.write('retry: 5000\n\n');
+      const c = { res, user, sessionId };
+      clients.add(c);
+      send(c, 'hello', { at: new Date().toISOString() });
+      req.on('close', () => clients.delete(c));
+    },
+
+    // Sends change to every client whose user passes canSee(user)
+    publish(change, canSee = () => true) {
+      for (const c of clients) if (canSee(c.user)) send(c, 'change', change);
+    },
+
+    // Ends the streams of sessions that were logged out or revoked
+    disconnect(match) {
+      for (const c of clients) {
+        if (!match(c)) continue;
+        clients.delete(c);
+        c.res.end();
+      }
+    },
+
+    get size() { return clients.size; }
+  };
+}
+
+module.exports = { createHub };
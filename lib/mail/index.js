@@ -0,0 +1,92 @@
+const { render, EMAIL_KINDS } = require('./templates');
+const { createTransport } = require('./transports');
+
+// ════════════════════════════════════════════════════════
+//  OUTBOX
+//  Emails are rendered into the "Emails" table and sent in
+//  the background, so a slow or broken mail server never
+//  holds up a sale. A failed send is retried after each
+//  BACKOFF_MS step, then left as status 'failed'.
+//
+//  A send is claimed by bumping attempts and pushing
+//  next_attempt_at out by LEASE_MS, conditional on the row
+//  being unchanged, so two instances never both send it and
+//  one that dies mid-send lets the lease run out and retry.
+// ════════════════════════════════════════════════════════
+
+const BACKOFF_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60].map(s => s * 1000);
+const LEASE_MS   = 2 * 60 * 1000;
+const BATCH      = 20;
+
+// emails: the Emails repository; transport: see ./transports
+function createMailer({ emails, transport, from = 'Accolade <no-reply@localhost>', pollMs = 15 * 1000 }) {
+  let flushing = null;
+
+  async function deliver(row) {
+    const now = Date.now();
+    const { data: claimed } = await emails.update(
+      { id: row.id, status: 'queued', attempts: row.attempts },
+      { attempts: row.attempts + 1, next_attempt_at: new Date(now + LEASE_MS).toISOString() });
+    if (!claimed?.length) return;
+
+    try {
+      await transport.send({ from, to: row.to_email, subject: row.subject, text: row.body_text, html: row.body_html });
+      await emails.update({ id: row.id }, { status: 'sent', sent_at: new Date().toISOString(), last_error: null });
+    } catch (e) {
+      const wait = BACKOFF_MS[row.attempts];
+      await emails.update({ id: row.id }, {
+        last_error: String(e.message || e).slice(0, 500),
+        ...(wait === undefined
+          ? { status: 'failed' }
+          : { next_attempt_at: new Date(Date.now() + wait).toISOString() })
+      });
+    }
+  }
+
+  // Sends everything that's due; overlapping calls share one run
+  function flush() {
+    flushing ??= (async () => {
+      try {
+        for (;;) {
+          const { data: due, error } = await emails.find(
+            { status: 'queued', next_attempt_at: { lte: new Date().toISOString() } },
+            { columns: 'id, to_email, subject, body_text, body_html, attempts', orderBy: 'next_attempt_at', ascending: true, limit: BATCH });
+          if (error) throw error;
+          for (const row of due) await deliver(row);
+          if (due.length < BATCH) break;
+        }
+      } catch (e) {
+        console.error('Mail queue failed:', e.message);
+      } finally {
+        flushing = null;
+      }
+    })();
+    return flushing;
+  }
+
+  return {
+    transport: transport.name,
+
+    // Renders and queues one email → { data: Emails row, error }.
+    // meta: { to, studentId, paymentId, registrationId, createdBy }
+    async enqueue(kind, data, { to, studentId, paymentId = null, registrationId = null, createdBy = null }) {
+      const { subject, text, html } = render(kind, data);
+      const result = await emails.insert({
+        kind, to_email: to, subject, body_text: text, body_html: html,
+        student_id: studentId, payment_id: paymentId, registration_id: registrationId, created_by: createdBy,
+        status: 'queued', attempts: 0, next_attempt_at: new Date().toISOString()
+      });
+      if (!result.error) setImmediate(flush);
+      return result;
+    },
+
+    flush,
+
+    start() {
+      setInterval(flush, pollMs).unref();
+      setImmediate(flush);
+    }
+  };
+}
+
+module.exports = { createMailer, createTransport, EMAIL_KINDS };
@@ -0,0 +1,91 @@
+// ════════════════════════════════════════════════════════
+//  EMAIL TEMPLATES
+//  kind → data → { subject, text, html }. Every message is
+//  addressed to data.student ({ name }) and rendered when
+//  it is queued, so a resend shows what was true then.
+// ════════════════════════════════════════════════════════
+
+const rupees = v => '₹' + Number(v || 0).toFixed(2);
+const when   = ts => new Date(ts || Date.now()).toLocaleString('en-IN',
+  { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Kolkata' });
+const esc    = s => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const method = m => (m === 'upi' ? 'UPI' : 'Cash');
+
+// rows: [[label, value]] → aligned text lines and an HTML table
+function table(rows) {
+  const width = Math.max(...rows.map(([l]) => l.length));
+  return {
+    text: rows.map(([l, v]) => `${l.padEnd(width)}  ${v}`).join('\n'),
+    html: '<table cellpadding="4" style="border-collapse:collapse">' +
+      rows.map(([l, v]) => `<tr><td>${esc(l)}</td><td style="text-align:right">${esc(v)}</td></tr>`).join('') + '</table>'
+  };
+}
+
+function letter(student, subject, paragraphs, rows) {
+  const t = rows && table(rows);
+  const text = [`Hi ${student.name},`, ...paragraphs, t?.text, '— Team Accolade'].filter(Boolean).join('\n\n');
+  const html = `<p>Hi ${esc(student.name)},</p>` + paragraphs.map(p => `<p>${esc(p)}</p>`).join('') +
+    (t ? t.html : '') + '<p>— Team Accolade</p>';
+  return { subject, text, html };
+}
+
+const TEMPLATES = {
+  // { student, lines: [{ title, amount_paid, discount }], payment_method, transaction_id, team, registered_at }
+  receipt(d) {
+    const total    = d.lines.reduce((s, l) => s + Number(l.amount_paid), 0);
+    const discount = d.lines.reduce((s, l) => s + Number(l.discount || 0), 0);
+    const rows = d.lines.map(l => [l.title, rupees(l.amount_paid)]);
+    if (discount > 0) rows.push(['Discount', '−' + rupees(discount)]);
+    rows.push(['Total paid', rupees(total)], ['Payment', method(d.payment_method)]);
+    if (d.transaction_id) rows.push(['UPI transaction ID', d.transaction_id]);
+    rows.push(['Date', when(d.registered_at)]);
+    return letter(d.student, 'Your Accolade registration receipt', [
+      `You're registered for ${d.lines.map(l => l.title).join(', ')}.`,
+      d.team && `You're on team ${d.team}${total > 0 ? '' : '; your captain paid for the team'}.`
+    ].filter(Boolean), rows);
+  },
+  // { student, from, to, amount_paid }
+  event_changed(d) {
+    return letter(d.student, `Your registration moved to ${d.to}`, [
+      `Your registration for ${d.from} has been changed to ${d.to}. Your place in ${d.from} has been released.`
+    ], [['Event', d.to], ['Amount paid', rupees(d.amount_paid)]]);
+  },
+  // { student, events, reason }
+  cancelled(d) {
+    return letter(d.student, 'Your Accolade registration was cancelled', [
+      `Your registration for ${d.events.join(', ')} has been cancelled.`,
+      d.reason && `Reason: ${d.reason}`,
+      'If you think this is a mistake, please contact the registration desk.'
+    ].filter(Boolean));
+  },
+  // { student, events, amount, method, transaction_id, reason }
+  refunded(d) {
+    const rows = [['Refunded', rupees(d.amount)], ['Method', method(d.method)]];
+    if (d.transaction_id) rows.push(['UPI reference', d.transaction_id]);
+    return letter(d.student, 'Your Accolade refund', [
+      `We've refunded your registration for ${d.events.join(', ')}.`,
+      d.reason && `Reason: ${d.reason}`
+    ].filter(Boolean), rows);
+  }
+};
+
+const EMAIL_KINDS = Object.keys(TEMPLATES);
+
+function render(kind, data) {
+  if (!TEMPLATES[kind]) throw new Error(`Unknown email kind "${kind}".`);
+  return TEMPLATES[kind](data);
+}
+
+// To a member, not a student, and sent outside the outbox (see lib/resets).
+// link is null when APP_URL isn't set; the code alone works on the sign-in page.
+function passwordReset({ member, token, link, expiresAt }) {
+  return letter(member, 'Reset your Accolade portal password', [
+    'Someone asked to reset the password for your Accolade portal account.',
+    link ? `Open this link to choose a new one: ${link}`
+      : 'On the sign-in page, pick "Forgot password?", then "I have a reset code", and enter this code:',
+    !link && token,
+    `It works once, until ${when(expiresAt)}. If you didn't ask for this, ignore this email; your password hasn't changed.`
+  ].filter(Boolean));
+}
+
+module.exports = { render, passwordReset, EMAIL_KINDS };
@@ -0,0 +1,79 @@
+// ════════════════════════════════════════════════════════
+//  ROLES & PERMISSIONS
+//  What each Members.role may do. Routes ask for one of
+//  PERMISSIONS; admins hold them all.
+//    member      — sells at the desk; sees and edits their
+//                  own sales and cash, checks tickets in
+//    finance     — reports, exports, cash handovers, UPI
+//                  statement checks; reads every sale
+//    coordinator — registrations and check-in for their
+//                  assigned events only
+//    viewer      — reads sales, students, members, event
+//                  setup and reports; changes nothing
+//  Members can be assigned events (MemberEvents). That is
+//  all a coordinator sees; a desk member with assignments
+//  sells and checks in for those events only, and one
+//  without works every event.
+// ════════════════════════════════════════════════════════
+
+const ROLES = ['admin', 'member', 'finance', 'coordinator', 'viewer'];
+
+const PERMISSIONS = [
+  'register',                         // sell: lookups, quotes, registrations, teams, waitlist entries
+  'sales.own', 'sales.events', 'sales.all', // which sales can be read (see salesScope)
+  'sales.edit',                       // edit or cancel anyone's sale; sales.own edits only one's own, until settled
+  'refunds', 'teams.manage', 'emails',
+  'checkin', 'checkin.undo',
+  'cash.own', 'cash.all', 'cash.settle', 'payments.verify',
+  'students.read', 'students.manage',
+  'members.read', 'members.manage',
+  'events.manage', 'setup.read', 'pricing.manage', 'waitlist.manage',
+  'reports', 'export', 'import', 'audit'
+];
+
+const GRANTS = {
+  admin:       PERMISSIONS,
+  member:      ['register', 'sales.own', 'checkin', 'cash.own'],
+  finance:     ['sales.all', 'cash.all', 'cash.settle', 'payments.verify', 'members.read', 'reports', 'export'],
+  coordinator: ['sales.events', 'checkin'],
+  viewer:      ['sales.all', 'students.read', 'members.read', 'setup.read', 'reports']
+};
+
+function permissionsFor(user) {
+  return GRANTS[user?.role] || [];
+}
+
+function can(user, permission) {
+  return permissionsFor(user).includes(permission);
+}
+
+// Event ids user is limited to, or null for every event
+function eventScope(user) {
+  if (user.role === 'coordinator') return user.event_ids || [];
+  if (user.role === 'member' && user.event_ids?.length) return user.event_ids;
+  return null;
+}
+
+function inEventScope(user, eventId) {
+  const scope = eventScope(user);
+  return !scope || scope.includes(eventId);
+}
+
+// Which sales user may read → { all } | { eventIds } | { memberId }, or null for none
+function salesScope(user) {
+  if (can(user, 'sales.all')) return { all: true };
+  if (can(user, 'sales.events')) return { eventIds: eventScope(user) || [] };
+  if (can(user, 'sales.own')) return { memberId: user.id };
+  return null;
+}
+
+// sale: { member_id, event_id }
+function canSeeSale(user, sale) {
+  const scope = salesScope(user);
+  if (!scope) return false;
+  if (scope.memberId) return sale.member_id === scope.memberId;
+  if (scope.eventIds) return scope.eventIds.includes(sale.event_id);
+  return true;
+}
+
+module.exports = { ROLES, PERMISSIONS, permissionsFor, can, eventScope, inEventScope, salesScope, canSeeSale };
@@ -0,0 +1,114 @@
+// ════════════════════════════════════════════════════════
+//  PRICING
+//  What a student pays for a basket of events, given the
+//  admins' PricingRules:
+//    bundle  — any min_events of event_ids for ₹value total
+//    percent — value% off each eligible event
+//    flat    — ₹value off the eligible events together
+//  event_ids null means every event; percent and flat
+//  rules need min_events eligible events in the basket
+//  (group discounts). A rule with a code is a coupon and
+//  only applies when its code is entered; one without
+//  applies by itself (early bird). At most one automatic
+//  bundle, one automatic discount and one coupon apply,
+//  in that order, each to what is left after the last.
+// ════════════════════════════════════════════════════════
+
+const RULE_KINDS = ['bundle', 'percent', 'flat'];
+const COUPON_USED_UP_CODE = 'AC005';
+
+const money = v => Math.round(Number(v) * 100) / 100;
+const time  = v => (v ? new Date(v).getTime() : null);
+
+const PROBLEMS = {
+  inactive:    code => `Coupon ${code} is no longer valid.`,
+  not_started: code => `Coupon ${code} is not valid yet.`,
+  expired:     code => `Coupon ${code} has expired.`,
+  used_up:     code => `Coupon ${code} has been used up.`
+};
+
+// Why rule can't be used right now, or null
+function ruleProblem(rule, now = Date.now()) {
+  if (rule.active === false) return 'inactive';
+  if (rule.starts_at && now < time(rule.starts_at)) return 'not_started';
+  if (rule.ends_at && now >= time(rule.ends_at)) return 'expired';
+  if (rule.max_uses !== null && rule.max_uses !== undefined && (rule.uses || 0) >= rule.max_uses) return 'used_up';
+  return null;
+}
+
+// amount split across lines in proportion to what's left on each, to the paisa
+function spread(lines, amount) {
+  const total = lines.reduce((s, l) => s + l.price, 0);
+  let left = money(amount);
+  return lines.map((line, i) => {
+    const share = i === lines.length - 1 ? left : money(amount * line.price / total);
+    left = money(left - share);
+    return { line, amount: share };
+  });
+}
+
+// [{ line, amount }] that rule would take off, or null if it doesn't apply
+function discountFor(rule, lines) {
+  let pool = lines.filter(l => l.price > 0 && (!rule.event_ids?.length || rule.event_ids.includes(l.event_id)));
+  const min = rule.min_events || 1;
+  if (pool.length < min) return null;
+
+  if (rule.kind === 'bundle') {
+    // The priciest events are the ones worth bundling
+    pool = [...pool].sort((a, b) => b.price - a.price).slice(0, min);
+    const off = money(pool.reduce((s, l) => s + l.price, 0) - rule.value);
+    return off > 0 ? spread(pool, off) : null;
+  }
+  if (rule.kind === 'percent')
+    return pool.map(line => ({ line, amount: money(line.price * Math.min(rule.value, 100) / 100) }));
+  return spread(pool, Math.min(rule.value, pool.reduce((s, l) => s + l.price, 0)));
+}
+
+// events: [{ id, cost }] in basket order; rules: the PricingRules to consider;
+// code: the coupon entered, if any. →
+//   { lines: [{ event_id, cost, discount, price }], subtotal, discount, total,
+//     applied: [{ rule_id, name, kind, code, amount }] }
+// or { error } when the coupon doesn't exist, can't be used or doesn't apply.
+function quote(events, rules, { code, now = Date.now() } = {}) {
+  const lines   = events.map(ev => ({ event_id: ev.id, cost: money(ev.cost), price: money(ev.cost) }));
+  const usable  = rules.filter(r => !ruleProblem(r, now));
+  const applied = [];
+
+  function applyBest(candidates) {
+    let top = null;
+    for (const rule of candidates) {
+      const cuts = discountFor(rule, lines);
+      const total = cuts ? money(cuts.reduce((s, c) => s + c.amount, 0)) : 0;
+      if (total > 0 && (!top || total > top.total)) top = { rule, cuts, total };
+    }
+    if (!top) return false;
+    top.cuts.forEach(({ line, amount }) => { line.price = money(line.price - amount); });
+    const { id, name, kind, code } = top.rule;
+    applied.push({ rule_id: id, name, kind, code: code || null, amount: top.total });
+    return true;
+  }
+
+  applyBest(usable.filter(r => !r.code && r.kind === 'bundle'));
+  applyBest(usable.filter(r => !r.code && r.kind !== 'bundle'));
+
+  if (code) {
+    const wanted = String(code).trim().toUpperCase();
+    const coupon = rules.find(r => r.code && r.code.toUpperCase() === wanted);
+    if (!coupon) return { error: `Coupon ${wanted} does not exist.` };
+    const problem = ruleProblem(coupon, now);
+    if (problem) return { error: PROBLEMS[problem](wanted) };
+    if (!applyBest([coupon])) return { error: `Coupon ${wanted} does not apply to these events.` };
+  }
+
+  const subtotal = money(lines.reduce((s, l) => s + l.cost, 0));
+  const total    = money(lines.reduce((s, l) => s + l.price, 0));
+  return {
+    lines: lines.map(l => ({ event_id: l.event_id, cost: l.cost, discount: money(l.cost - l.price), price: l.price })),
+    subtotal,
+    discount: money(subtotal - total),
+    total,
+    applied
+  };
+}
+
+module.exports = { quote, ruleProblem, RULE_KINDS, COUPON_USED_UP_CODE };
@@ -0,0 +1,247 @@
+// ════════════════════════════════════════════════════════
+//  DATA ACCESS
+//  One repository per table, built on a small backend
+//  interface so routes never talk to Supabase directly.
+//
+//  DATA_BACKEND=supabase (default) needs SUPABASE_URL/KEY
+//  DATA_BACKEND=memory   keeps everything in process;
+//                        MEMORY_DB_FILE snapshots it to disk
+//
+//  Every method resolves to { data, error } like the
+//  Supabase client (paged listings add `count`, the total
+//  before limit/offset), and table repositories all share:
+//    find(where, { columns, orderBy, ascending, limit, offset })
+//    findAll(where, …) — find() with no row cap
+//    findOne(where, { columns }) · count(where)
+//    insert(row) · upsert(row) · update(where, patch) · remove(where)
+//  `where` maps columns to a value (null = IS NULL) or to
+//  { eq | neq | in | gt | gte | lt | lte: value }.
+// ════════════════════════════════════════════════════════
+
+const { countSeats } = require('../events');
+
+function createStore(env) {
+  const backend = String(env.DATA_BACKEND || 'supabase').toLowerCase();
+  if (backend === 'memory')
+    return require('./memory').createMemoryStore({ file: env.MEMORY_DB_FILE });
+  if (backend === 'supabase') {
+    if (!env.SUPABASE_URL || !env.SUPABASE_KEY)
+      throw new Error('SUPABASE_URL and SUPABASE_KEY are required (or set DATA_BACKEND=memory).');
+    return require('./supabase').createSupabaseStore({ url: env.SUPABASE_URL, key: env.SUPABASE_KEY });
+  }
+  throw new Error(`Unknown DATA_BACKEND "${backend}".`);
+}
+
+function createRepo(env = process.env) {
+  const store = createStore(env);
+  const t = name => store.table(name);
+
+  const members = {
+    ...t('Members'),
+    findByEmail(email) {
+      return this.findOne({ email }, { columns: 'id, name, email, role, password, must_change_password' });
+    }
+  };
+
+  const students = {
+    ...t('Students'),
+    findByStudentId(studentId, columns = 'id, name, student_id, phone_number, email') {
+      return this.findOne({ student_id: studentId }, { columns });
+    },
+    // q matches name, student_id, phone or email; sort is a Students column
+    search({ q, sort, ascending, limit, offset } = {}) {
+      return store.searchStudents({ q, sort, ascending, limit, offset });
+    },
+    // Folds mergeId into keepId after cancelling cancelIds (their clashing
+    // places) → { moved: [registration ids], cancelled: [ids] }
+    merge({ keepId, mergeId, cancelIds, reason, actorId }) {
+      return store.mergeStudents({ keepId, mergeId, cancelIds, reason, actorId });
+    }
+  };
+
+  const events = t('Events');
+  const eventPrices = t('EventPrices');
+  const pricingRules = t('PricingRules');
+  const waitlist = t('Waitlist');
+
+  const registrations = {
+    ...t('Registrations'),
+    // Events the student currently holds a place in; cancelled and refunded ones don't count
+    async eventIdsForStudent(studentId) {
+      const { data, error } = await this.find({ student_id: studentId, status: 'active' }, { columns: 'event_id' });
+      return { data: (data || []).map(r => r.event_id), error };
+    },
+    // event id → seats taken by active registrations; a team takes one seat
+    async seatsTaken(eventIds) {
+      const where = { status: 'active' };
+      if (eventIds) where.event_id = { in: eventIds };
+      const { data, error } = await this.findAll(where, { columns: 'event_id, team_id' });
+      return { data: countSeats(data || []), error };
+    },
+    // Joined rows for the sales tables: Students, Events, Members, Payments,
+    // Teams (null for individual registrations).
+    // ids limits it to those registrations and eventIds to those events;
+    // q searches the student's name, student_id, phone and email; from/to
+    // bound registered_at; status is active | cancelled | refunded; settled
+    // (true/false) and settlementId filter on cash handovers; sort is a
+    // Registrations column.
+    listSales(opts = {}) {
+      return store.listSales(opts);
+    },
+    // Flat rows for lib/reports, optionally limited to a registered_at range.
+    // Cancelled registrations are left out; refunded ones carry refunded_amount.
+    reportRows({ from, to } = {}) {
+      const where = { status: { neq: 'cancelled' } };
+      if (from || to) where.registered_at = { ...(from && { gte: from }), ...(to && { lte: to }) };
+      return this.findAll(where, { columns: 'student_id, event_id, member_id, payment_method, amount_paid, discount, status, refunded_amount, registered_at, checked_in_at' });
+    },
+    // Cash not yet covered by a handover, optionally for one member. Rows
+    // carry status and refunded_amount so lib/reports can net out refunds.
+    unsettledCash(where = {}) {
+      return this.findAll({ ...where, payment_method: 'cash', settlement_id: null, status: { neq: 'cancelled' } },
+        { columns: 'id, member_id, amount_paid, status, refunded_amount, registered_at' });
+    },
+    // Atomically creates one Payment and a Registration per event. Optional
+    // discounts (event id → amount off) and ruleIds come from lib/pricing;
+    // a rule that has run out of uses fails the lot with AC005.
+    registerWithPayment(args) {
+      return store.registerWithPayment(args);
+    },
+    // Adds a place in each of addEventIds (at its current cost, sold by
+    // memberId) to the payment and takes off removeIds, refunding those that
+    // were paid for in full, then sets the Payment's amount to the order's
+    // total (lib/reports net over its registrations), all or nothing.
+    // Resolves to { added, removed } registration ids, the new amount and
+    // the Refunds row (null when nothing paid was removed).
+    updateOrder({ paymentId, addEventIds, removeIds, memberId, actorId }) {
+      return store.updateOrder({ paymentId, addEventIds, removeIds, memberId, actorId });
+    }
+  };
+
+  const payments = {
+    ...t('Payments'),
+    // Every UPI payment with what its sales collected (cancelled ones don't
+    // count), who sold it and when → [{ id, transaction_id, upi_status,
+    // upi_amount, voided, amount, member_id, registered_at }]
+    async upiCollections() {
+      const [pays, regs] = await Promise.all([
+        this.findAll({ payment_method: 'upi' }, { columns: 'id, transaction_id, voided_at, upi_status, upi_amount' }),
+        registrations.findAll({ payment_method: 'upi', status: { neq: 'cancelled' } },
+          { columns: 'payment_id, member_id, amount_paid, registered_at' })
+      ]);
+      const error = pays.error || regs.error;
+      if (error) return { data: null, error };
+      const sold = new Map();
+      for (const r of regs.data) {
+        const s = sold.get(r.payment_id) || { amount: 0, member_id: r.member_id, registered_at: r.registered_at };
+        s.amount = Math.round((s.amount + Number(r.amount_paid)) * 100) / 100;
+        sold.set(r.payment_id, s);
+      }
+      return {
+        data: pays.data.map(({ voided_at, ...p }) => ({
+          ...p, voided: !!voided_at, amount: 0, member_id: null, registered_at: null, ...sold.get(p.id)
+        })),
+        error: null
+      };
+    }
+  };
+
+  const teams = {
+    ...t('Teams'),
+    // Atomically creates one Payment, the Team and a Registration per person
+    registerWithPayment({ eventId, teamName, captainId, studentIds, memberId, paymentMethod, transactionId }) {
+      return store.registerTeamWithPayment({ eventId, teamName, captainId, studentIds, memberId, paymentMethod, transactionId });
+    },
+    // Sets the teammates (everyone but the captain) and optionally the name,
+    // all or nothing. Resolves to { added, removed } registration ids.
+    updateRoster({ teamId, name, studentIds, actorId }) {
+      return store.updateTeamRoster({ teamId, name, studentIds, actorId });
+    }
+  };
+
+  const settlements = {
+    ...t('Settlements'),
+    // Records a cash handover and marks the registrations it covers as
+    // settled, all or nothing. Resolves to the new Settlement row.
+    settleCash({ memberId, receivedBy, registrationIds, amountReceived, notes }) {
+      return store.settleCash({ memberId, receivedBy, registrationIds, amountReceived, notes });
+    }
+  };
+
+  const sessions = {
+    ...t('Sessions'),
+    // Session plus its member, or null when the token is unknown
+    async findByTokenHash(tokenHash) {
+      const { data: sess, error } = await this.findOne({ token_hash: tokenHash },
+        { columns: 'id, member_id, created_at, last_seen_at, expires_at, revoked_at' });
+      if (error || !sess) return { data: null, error };
+      const { data: member } = await members.findOne({ id: sess.member_id }, { columns: 'id, name, email, role, must_change_password' });
+      return { data: { ...sess, Members: member }, error: null };
+    },
+    revokeForMember(memberId) {
+      return this.update({ member_id: memberId, revoked_at: null }, { revoked_at: new Date().toISOString() });
+    }
+  };
+
+  const refunds = {
+    ...t('Refunds'),
+    // Marks the registrations refunded and records who approved it, all or
+    // nothing. amount may be less than was paid (a partial refund).
+    refundRegistrations({ paymentId, registrationIds, amount, method, transactionId, reason, approvedBy }) {
+      return store.refundRegistrations({ paymentId, registrationIds, amount, method, transactionId, reason, approvedBy });
+    }
+  };
+
+  const emails = {
+    ...t('Emails'),
+    // Every email about these payments, newest first, for delivery status
+    forPayments(paymentIds) {
+      return this.findAll({ payment_id: { in: paymentIds } },
+        { columns: 'id, kind, to_email, subject, status, attempts, last_error, student_id, payment_id, registration_id, created_at, sent_at', orderBy: 'created_at', ascending: false });
+    }
+  };
+
+  const memberEvents = {
+    ...t('MemberEvents'),
+    async eventIdsFor(memberId) {
+      const { data, error } = await this.findAll({ member_id: memberId }, { columns: 'event_id' });
+      return { data: (data || []).map(r => r.event_id), error };
+    },
+    // Replaces the member's assigned events with eventIds
+    async assign(memberId, eventIds) {
+      const { data: current, error } = await this.eventIdsFor(memberId);
+      if (error) return { data: null, error };
+      const gone = current.filter(id => !eventIds.includes(id));
+      if (gone.length) {
+        const del = await this.remove({ member_id: memberId, event_id: { in: gone } });
+        if (del.error) return del;
+      }
+      for (const eventId of eventIds.filter(id => !current.includes(id))) {
+        const ins = await this.insert({ member_id: memberId, event_id: eventId });
+        if (ins.error && ins.error.code !== '23505') return ins;
+      }
+      return { data: eventIds, error: null };
+    }
+  };
+
+  const upiStatements = {
+    ...t('UpiStatements'),
+    // Saves an uploaded statement and sets upi_status on every payment in
+    // updates ([{ id, upi_status, upi_amount }] from lib/upi), all or
+    // nothing. Resolves to the new UpiStatements row.
+    record({ statement, updates }) {
+      return store.recordUpiStatement({ statement, updates });
+    }
+  };
+  const passwordResets = t('PasswordResets');
+  const idempotencyKeys = t('IdempotencyKeys');
+  const loginFailures = t('LoginFailures');
+  const audit = t('AuditLog');
+
+  return {
+    backend: store.backend,
+    members, students, events, eventPrices, pricingRules, waitlist, teams, payments, registrations, refunds, settlements, upiStatements, emails, sessions, passwordResets, memberEvents, idempotencyKeys, loginFailures, audit
+  };
+}
+
+module.exports = { createRepo };
@@ -0,0 +1,721 @@
+const crypto = require('crypto');
+const fs     = require('fs');
+const { availability, unavailable, countSeats, teamSizeError, TEAM_SIZE_CODE } = require('../events');
+const { COUPON_USED_UP_CODE } = require('../pricing');
+const { money, net } = require('../reports');
+
+// ════════════════════════════════════════════════════════
+//  IN-MEMORY BACKEND
+//  Mirrors the Supabase tables closely enough for local
+//  development and automated tests: unique constraints
+//  raise 23505, foreign keys raise 23503 and cascade on
+//  delete the way the production schema does.
+// ════════════════════════════════════════════════════════
+
+// key:        primary key column (default 'id', generated as a uuid)
+// unique:     column sets that must be unique (NULLs never clash), or
+//             { columns, where } for a partial unique index
+// refs:       column → [parent table, on delete: cascade | set null | restrict]
+// timestamps: columns filled with now() on insert when missing
+const SCHEMA = {
+  Members: {
+    unique: [['email'], ['phone_number']],
+    defaults: { role: 'member', must_change_password: false },
+    timestamps: ['created_at']
+  },
+  Students: {
+    unique: [['student_id'], ['phone_number'], ['email']],
+    timestamps: ['created_at']
+  },
+  Events: {
+    defaults: { active: true, capacity: null, team_min: null, team_max: null },
+    timestamps: ['created_at']
+  },
+  EventPrices: {
+    refs: {
+      event_id: ['Events', 'cascade'],
+      set_by:   ['Members', 'set null']
+    },
+    defaults: { set_by: null },
+    timestamps: ['effective_from', 'created_at']
+  },
+  Payments: {
+    unique: [{ columns: ['transaction_id'], where: { voided_at: null } }],
+    refs: { upi_statement_id: ['UpiStatements', 'set null'] },
+    defaults: { discount: 0, coupon_code: null, upi_status: null, upi_amount: null, upi_checked_at: null, upi_statement_id: null },
+    timestamps: ['created_at']
+  },
+  UpiStatements: {
+    refs: { uploaded_by: ['Members', 'set null'] },
+    defaults: { period_from: null, period_to: null },
+    timestamps: ['created_at']
+  },
+  PricingRules: {
+    unique: [['code']],
+    defaults: { event_ids: null, min_events: 1, max_uses: null, uses: 0, active: true },
+    timestamps: ['created_at']
+  },
+  Registrations: {
+    unique: [{ columns: ['student_id', 'event_id'], where: { status: 'active' } }],
+    refs: {
+      student_id: ['Students', 'cascade'],
+      event_id:   ['Events', 'cascade'],
+      member_id:  ['Members', 'set null'],
+      payment_id: ['Payments', 'cascade'],
+      settlement_id: ['Settlements', 'set null'],
+      refund_id:    ['Refunds', 'set null'],
+      cancelled_by: ['Members', 'set null'],
+      checked_in_by: ['Members', 'set null'],
+      team_id:      ['Teams', 'set null']
+    },
+    defaults: { status: 'active', refunded_amount: 0, discount: 0 },
+    timestamps: ['registered_at']
+  },
+  Teams: {
+    refs: {
+      event_id:   ['Events', 'cascade'],
+      captain_id: ['Students', 'cascade'],
+      payment_id: ['Payments', 'cascade'],
+      member_id:  ['Members', 'set null']
+    },
+    timestamps: ['created_at']
+  },
+  Refunds: {
+    unique: [['transaction_id']],
+    refs: {
+      payment_id:  ['Payments', 'cascade'],
+      approved_by: ['Members', 'set null']
+    },
+    timestamps: ['created_at']
+  },
+  Waitlist: {
+    unique: [{ columns: ['event_id', 'student_id'], where: { status: 'waiting' } }],
+    refs: {
+      event_id:        ['Events', 'cascade'],
+      student_id:      ['Students', 'cascade'],
+      member_id:       ['Members', 'set null'],
+      registration_id: ['Registrations', 'set null']
+    },
+    defaults: { status: 'waiting' },
+    timestamps: ['created_at']
+  },
+  Emails: {
+    refs: {
+      student_id:      ['Students', 'cascade'],
+      payment_id:      ['Payments', 'cascade'],
+      registration_id: ['Registrations', 'set null'],
+      created_by:      ['Members', 'set null']
+    },
+    defaults: { status: 'queued', attempts: 0, last_error: null, sent_at: null, payment_id: null, registration_id: null, created_by: null },
+    timestamps: ['created_at', 'next_attempt_at']
+  },
+  Settlements: {
+    refs: {
+      member_id:   ['Members', 'set null'],
+      received_by: ['Members', 'set null']
+    },
+    timestamps: ['created_at']
+  },
+  Sessions: {
+    unique: [['token_hash']],
+    refs: { member_id: ['Members', 'cascade'] },
+    timestamps: ['created_at', 'last_seen_at']
+  },
+  PasswordResets: {
+    unique: [['token_hash']],
+    refs: { member_id: ['Members', 'cascade'] },
+    defaults: { used_at: null },
+    timestamps: ['created_at']
+  },
+  MemberEvents: {
+    unique: [['member_id', 'event_id']],
+    refs: {
+      member_id: ['Members', 'cascade'],
+      event_id:  ['Events', 'cascade']
+    },
+    timestamps: ['created_at']
+  },
+  IdempotencyKeys: {
+    unique: [['member_id', 'key']],
+    refs: { member_id: ['Members', 'cascade'] },
+    defaults: { status: 'pending', response_status: null, response_body: null },
+    timestamps: ['created_at']
+  },
+  LoginFailures: {
+    key: 'key',
+    defaults: { failures: 0 },
+    timestamps: ['first_failed_at']
+  },
+  AuditLog: {
+    refs: { actor_id: ['Members', 'set null'] },
+    timestamps: ['created_at']
+  }
+};
+
+const OPS = {
+  eq:  (v, x) => v === x,
+  neq: (v, x) => v !== null && v !== x,
+  in:  (v, x) => x.includes(v),
+  gt:  (v, x) => v !== null && v > x,
+  gte: (v, x) => v !== null && v >= x,
+  lt:  (v, x) => v !== null && v < x,
+  lte: (v, x) => v !== null && v <= x
+};
+
+function matches(row, where) {
+  return Object.entries(where || {}).every(([col, cond]) => {
+    const v = row[col] ?? null;
+    if (cond === null || typeof cond !== 'object') return v === cond;
+    return Object.entries(cond).every(([op, x]) => {
+      if (!OPS[op]) throw new Error(`Unsupported filter "${op}" on ${col}.`);
+      return OPS[op](v, x);
+    });
+  });
+}
+
+function pick(row, columns) {
+  if (!columns || columns.trim() === '*') return { ...row };
+  const out = {};
+  columns.split(',').map(c => c.trim()).filter(Boolean).forEach(c => { out[c] = row[c] ?? null; });
+  return out;
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'string') return a.localeCompare(b);
+  return a < b ? -1 : 1;
+}
+
+function sortRows(rows, orderBy, ascending = true) {
+  if (!orderBy) return rows;
+  return rows.sort((a, b) => compare(a[orderBy], b[orderBy]) * (ascending ? 1 : -1));
+}
+
+function fail(code, message) { return { data: null, error: { code, message } }; }
+
+const STUDENT_SEARCH = ['name', 'student_id', 'phone_number', 'email'];
+
+// Case-insensitive substring match on any of the columns, like ILIKE '%q%'
+function textMatch(row, columns, q) {
+  const needle = String(q).toLowerCase();
+  return columns.some(c => String(row[c] ?? '').toLowerCase().includes(needle));
+}
+
+// Slice sorted rows the way .range() does, with the pre-slice total as count
+function page(rows, limit, offset = 0) {
+  return {
+    data: limit === undefined ? rows.slice(offset) : rows.slice(offset, offset + limit),
+    count: rows.length,
+    error: null
+  };
+}
+
+function createMemoryStore({ file } = {}) {
+  let tables = {};
+  Object.keys(SCHEMA).forEach(name => { tables[name] = []; });
+
+  if (file && fs.existsSync(file)) {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    // Columns added since the snapshot was written get their defaults, like ADD COLUMN … DEFAULT
+    Object.keys(SCHEMA).forEach(name => {
+      tables[name] = (saved[name] || []).map(row => ({ ...(SCHEMA[name].defaults || {}), ...row }));
+    });
+  }
+
+  let saveTimer = null;
+  function changed() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      fs.writeFileSync(file, JSON.stringify(tables));
+    }, 200);
+    saveTimer.unref?.();
+  }
+
+  function schemaOf(name) {
+    const s = SCHEMA[name];
+    if (!s) throw new Error(`Unknown table "${name}".`);
+    return s;
+  }
+
+  function checkUnique(name, row, ignore) {
+    for (const u of schemaOf(name).unique || []) {
+      const { columns: cols, where } = Array.isArray(u) ? { columns: u } : u;
+      if (cols.some(c => row[c] === null || row[c] === undefined)) continue;
+      if (where && !matches(row, where)) continue;
+      const clash = tables[name].find(r => r !== ignore && (!where || matches(r, where)) && cols.every(c => r[c] === row[c]));
+      if (clash) return `duplicate key value violates unique constraint "${name}_${cols.join('_')}_key"`;
+    }
+    return null;
+  }
+
+  function checkRefs(name, row) {
+    for (const [col, [parent]] of Object.entries(schemaOf(name).refs || {})) {
+      if (row[col] === null || row[col] === undefined) continue;
+      const pk = schemaOf(parent).key || 'id';
+      if (!tables[parent].some(r => r[pk] === row[col]))
+        return `insert or update on table "${name}" violates foreign key constraint "${name}_${col}_fkey"`;
+    }
+    return null;
+  }
+
+  // Apply ON DELETE rules for rows about to be removed from `name`
+  function cascade(name, removed) {
+    const pk = schemaOf(name).key || 'id';
+    const ids = removed.map(r => r[pk]);
+    for (const [child, s] of Object.entries(SCHEMA)) {
+      for (const [col, [parent, rule]] of Object.entries(s.refs || {})) {
+        if (parent !== name) continue;
+        const hits = tables[child].filter(r => ids.includes(r[col]));
+        if (!hits.length) continue;
+        if (rule === 'restrict')
+          return `update or delete on table "${name}" violates foreign key constraint "${child}_${col}_fkey"`;
+        if (rule === 'set null') hits.forEach(r => { r[col] = null; });
+        if (rule === 'cascade') {
+          const err = cascade(child, hits);
+          if (err) return err;
+          tables[child] = tables[child].filter(r => !hits.includes(r));
+        }
+      }
+    }
+    return null;
+  }
+
+  // Synchronous table primitives; the async wrappers below are what callers see
+  function tableSync(name) {
+    const s = schemaOf(name);
+    const pk = s.key || 'id';
+
+    function insertOne(input) {
+      const now = new Date().toISOString();
+      const row = { ...(s.defaults || {}), ...input };
+      if (pk === 'id' && !row.id) row.id = crypto.randomUUID();
+      (s.timestamps || []).forEach(c => { if (!row[c]) row[c] = now; });
+      if (tables[name].some(r => r[pk] === row[pk]))
+        return fail('23505', `duplicate key value violates unique constraint "${name}_pkey"`);
+      const dup = checkUnique(name, row);
+      if (dup) return fail('23505', dup);
+      const ref = checkRefs(name, row);
+      if (ref) return fail('23503', ref);
+      tables[name].push(row);
+      return { data: { ...row }, error: null };
+    }
+
+    return {
+      find(where, { columns, orderBy, ascending, limit, offset } = {}) {
+        let rows = sortRows(tables[name].filter(r => matches(r, where)), orderBy, ascending);
+        if (offset) rows = rows.slice(offset);
+        if (limit !== undefined) rows = rows.slice(0, limit);
+        return { data: rows.map(r => pick(r, columns)), error: null };
+      },
+      findAll(where, opts) {
+        return this.find(where, opts);
+      },
+      findOne(where, { columns } = {}) {
+        const rows = tables[name].filter(r => matches(r, where));
+        if (rows.length > 1) return fail('PGRST116', 'Multiple rows returned.');
+        return { data: rows[0] ? pick(rows[0], columns) : null, error: null };
+      },
+      count(where) {
+        return { data: tables[name].filter(r => matches(r, where)).length, error: null };
+      },
+      insert(row) {
+        const out = insertOne(row);
+        if (!out.error) changed();
+        return out;
+      },
+      upsert(row) {
+        if (!tables[name].some(r => r[pk] === row[pk])) return this.insert(row);
+        const out = this.update({ [pk]: row[pk] }, row);
+        return out.error ? out : { data: out.data[0], error: null };
+      },
+      update(where, patch) {
+        const hits = tables[name].filter(r => matches(r, where));
+        for (const r of hits) {
+          const next = { ...r, ...patch };
+          const dup = checkUnique(name, next, r);
+          if (dup) return fail('23505', dup);
+          const ref = checkRefs(name, next);
+          if (ref) return fail('23503', ref);
+        }
+        hits.forEach(r => Object.assign(r, patch));
+        if (hits.length) changed();
+        return { data: hits.map(r => ({ ...r })), error: null };
+      },
+      remove(where) {
+        const hits = tables[name].filter(r => matches(r, where));
+        if (!hits.length) return { data: [], error: null };
+        const before = structuredClone(tables);
+        const err = cascade(name, hits);
+        if (err) { tables = before; return fail('23503', err); }
+        tables[name] = tables[name].filter(r => !hits.includes(r));
+        changed();
+        return { data: hits.map(r => ({ ...r })), error: null };
+      }
+    };
+  }
+
+  function table(name) {
+    const t = tableSync(name);
+    const wrapped = {};
+    Object.keys(t).forEach(fn => { wrapped[fn] = async (...args) => t[fn](...args); });
+    return wrapped;
+  }
+
+  // Runs fn synchronously against a snapshot; any { error } result or throw
+  // rolls every table back, so callers get all-or-nothing semantics.
+  function transaction(fn) {
+    const before = structuredClone(tables);
+    try {
+      const out = fn(tableSync);
+      if (out && out.error) tables = before;
+      else changed();
+      return out;
+    } catch (e) {
+      tables = before;
+      throw e;
+    }
+  }
+
+  function get(name, id) { return tables[name].find(r => r.id === id) || null; }
+
+  // fail() result if ev isn't taking registrations, checked inside a transaction
+  function openError(t, ev) {
+    const rows = t('Registrations').find({ event_id: ev.id, status: 'active' }, { columns: 'event_id, team_id' }).data;
+    const state = availability(ev, countSeats(rows)[ev.id] || 0);
+    if (state === 'open') return null;
+    const { code, message } = unavailable(ev, state);
+    return fail(code, message);
+  }
+
+  return {
+    backend: 'memory',
+    table,
+
+    async listSales({ ids, memberId, eventId, eventIds, paymentMethod, status, settled, settlementId, from, to, q, sort = 'registered_at', ascending = false, limit, offset = 0 } = {}) {
+      const rows = tables.Registrations
+        .filter(r => (!ids || ids.includes(r.id)) &&
+                     (!memberId || r.member_id === memberId) &&
+                     (!eventId || r.event_id === eventId) &&
+                     (!eventIds || eventIds.includes(r.event_id)) &&
+                     (!paymentMethod || r.payment_method === paymentMethod) &&
+                     (!status || (r.status ?? 'active') === status) &&
+                     (settled === undefined || !!r.settlement_id === settled) &&
+                     (!settlementId || r.settlement_id === settlementId) &&
+                     (!from || r.registered_at >= from) &&
+                     (!to || r.registered_at <= to))
+        .map(r => {
+          const stu = get('Students', r.student_id);
+          const ev  = get('Events', r.event_id);
+          const mem = get('Members', r.member_id);
+          const pay = get('Payments', r.payment_id);
+          return {
+            id: r.id, payment_method: r.payment_method, amount_paid: r.amount_paid, registered_at: r.registered_at,
+            status: r.status ?? 'active', refunded_amount: r.refunded_amount ?? 0,
+            cancel_reason: r.cancel_reason ?? null, settlement_id: r.settlement_id ?? null,
+            checked_in_at: r.checked_in_at ?? null, discount: r.discount ?? 0,
+            Teams:    r.team_id ? pick(get('Teams', r.team_id), 'id, name, captain_id') : null,
+            Students: stu && pick(stu, 'id, student_id, name, phone_number, email'),
+            Events:   ev  && pick(ev, 'id, title'),
+            Members:  mem && pick(mem, 'id, name'),
+            Payments: pay && pick(pay, 'id, transaction_id, payment_method, upi_status, upi_amount')
+          };
+        })
+        .filter(r => !q || (r.Students && textMatch(r.Students, STUDENT_SEARCH, q)));
+      return page(sortRows(rows, sort, ascending), limit, offset);
+    },
+
+    async searchStudents({ q, sort = 'created_at', ascending = false, limit, offset = 0 } = {}) {
+      const rows = tables.Students
+        .filter(s => !q || textMatch(s, STUDENT_SEARCH, q))
+        .map(s => pick(s, 'id, student_id, name, phone_number, email, created_at'));
+      return page(sortRows(rows, sort, ascending), limit, offset);
+    },
+
+    // Same contract as the register_student_with_payment RPC: one Payment
+    // plus one Registration per event, or nothing at all. Every event must be
+    // taking registrations (lib/events), checked inside the transaction so
+    // the last seat can only be sold once. discounts (event id → amount off,
+    // from lib/pricing) are taken off each event's cost, and every rule in
+    // ruleIds uses up one of its max_uses or nothing is written.
+    async registerWithPayment({ studentId, memberId, eventIds, paymentMethod, transactionId, discounts = {}, ruleIds = [], couponCode = null }) {
+      return transaction(t => {
+        if (new Set(eventIds).size !== eventIds.length)
+          return fail('23505', 'duplicate key value violates unique constraint "Registrations_student_id_event_id_key"');
+        const events = eventIds.map(id => t('Events').findOne({ id }).data);
+        if (events.some(ev => !ev)) return fail('23503', 'Event not found.');
+        for (const ev of events) {
+          const err = openError(t, ev);
+          if (err) return err;
+        }
+
+        for (const id of ruleIds) {
+          const rule = t('PricingRules').findOne({ id }).data;
+          if (!rule || (rule.max_uses !== null && rule.uses >= rule.max_uses))
+            return fail(COUPON_USED_UP_CODE, 'A discount in this price has just run out; check the price again.');
+          t('PricingRules').update({ id }, { uses: rule.uses + 1 });
+        }
+
+        const off = ev => Math.min(Number(discounts[ev.id] || 0), Number(ev.cost));
+        const total    = events.reduce((sum, ev) => sum + Number(ev.cost) - off(ev), 0);
+        const discount = events.reduce((sum, ev) => sum + off(ev), 0);
+        const pay = t('Payments').insert({
+          payment_method: paymentMethod, transaction_id: transactionId,
+          amount: Math.round(total * 100) / 100, discount: Math.round(discount * 100) / 100, coupon_code: couponCode
+        });
+        if (pay.error) return pay;
+
+        const ids = [];
+        for (const ev of events) {
+          const reg = t('Registrations').insert({
+            student_id: studentId, event_id: ev.id, member_id: memberId, payment_id: pay.data.id,
+            payment_method: paymentMethod, amount_paid: Math.round((Number(ev.cost) - off(ev)) * 100) / 100, discount: off(ev)
+          });
+          if (reg.error) return reg;
+          ids.push(reg.data.id);
+        }
+        return { data: { payment_id: pay.data.id, registration_ids: ids }, error: null };
+      });
+    },
+
+    // Same contract as the register_team_with_payment RPC: one Payment, one
+    // Team and a Registration per person, or nothing. The captain's
+    // registration carries the fee; the team takes one seat.
+    async registerTeamWithPayment({ eventId, teamName, captainId, studentIds, memberId, paymentMethod, transactionId }) {
+      return transaction(t => {
+        const ev = t('Events').findOne({ id: eventId }).data;
+        if (!ev) return fail('23503', 'Event not found.');
+        const sizeErr = teamSizeError(ev, 1 + studentIds.length);
+        if (sizeErr) return fail(TEAM_SIZE_CODE, sizeErr);
+        const err = openError(t, ev);
+        if (err) return err;
+
+        const pay = t('Payments').insert({ payment_method: paymentMethod, transaction_id: transactionId, amount: ev.cost });
+        if (pay.error) return pay;
+        const team = t('Teams').insert({ event_id: ev.id, name: teamName, captain_id: captainId, payment_id: pay.data.id, member_id: memberId });
+        if (team.error) return team;
+
+        const ids = [];
+        for (const studentId of [captainId, ...studentIds]) {
+          const reg = t('Registrations').insert({
+            student_id: studentId, event_id: ev.id, member_id: memberId, team_id: team.data.id,
+            payment_id: pay.data.id, payment_method: paymentMethod, amount_paid: studentId === captainId ? ev.cost : 0
+          });
+          if (reg.error) return reg;
+          ids.push(reg.data.id);
+        }
+        return { data: { team_id: team.data.id, payment_id: pay.data.id, registration_ids: ids }, error: null };
+      });
+    },
+
+    // Same contract as the update_team_roster RPC: studentIds is the whole
+    // roster apart from the captain. Teammates left off are cancelled, new
+    // ones join at no charge on the team's payment.
+    async updateTeamRoster({ teamId, name, studentIds, actorId }) {
+      return transaction(t => {
+        const team = t('Teams').findOne({ id: teamId }).data;
+        if (!team) return fail('P0001', 'Team not found.');
+        const ev = t('Events').findOne({ id: team.event_id }).data;
+        const live = t('Registrations').find({ team_id: teamId, status: 'active' }).data;
+        if (!live.some(r => r.student_id === team.captain_id))
+          return fail('P0001', 'This team registration is no longer active.');
+        const wanted = [...new Set(studentIds)].filter(id => id !== team.captain_id);
+        const sizeErr = teamSizeError(ev, 1 + wanted.length);
+        if (sizeErr) return fail(TEAM_SIZE_CODE, sizeErr);
+
+        const removed = live.filter(r => r.student_id !== team.captain_id && !wanted.includes(r.student_id)).map(r => r.id);
+        if (removed.length) {
+          const upd = t('Registrations').update({ id: { in: removed } }, {
+            status: 'cancelled', cancelled_at: new Date().toISOString(), cancelled_by: actorId, cancel_reason: 'Removed from team'
+          });
+          if (upd.error) return upd;
+        }
+
+        const captainReg = live.find(r => r.student_id === team.captain_id);
+        const added = [];
+        for (const studentId of wanted.filter(id => !live.some(r => r.student_id === id))) {
+          const reg = t('Registrations').insert({
+            student_id: studentId, event_id: team.event_id, member_id: team.member_id, team_id: teamId,
+            payment_id: team.payment_id, payment_method: captainReg.payment_method, amount_paid: 0
+          });
+          if (reg.error) return reg;
+          added.push(reg.data.id);
+        }
+        if (name) t('Teams').update({ id: teamId }, { name });
+        return { data: { added, removed }, error: null };
+      });
+    },
+
+    // Same contract as the settle_cash RPC: every listed registration must be
+    // unsettled cash collected by memberId, otherwise nothing is written.
+    async settleCash({ memberId, receivedBy, registrationIds, amountReceived, notes }) {
+      return transaction(t => {
+        const ids = [...new Set(registrationIds)];
+        const regs = t('Registrations').find({
+          id: { in: ids }, member_id: memberId, payment_method: 'cash', settlement_id: null,
+          status: { neq: 'cancelled' }
+        }).data;
+        if (regs.length !== ids.length)
+          return fail('P0001', 'Some registrations are not unsettled cash collected by this member.');
+
+        const expected = money(regs.reduce((sum, r) => sum + net(r), 0));
+        const st = t('Settlements').insert({
+          member_id: memberId, received_by: receivedBy, registrations: ids.length,
+          expected_amount: expected, amount_received: amountReceived,
+          discrepancy: Math.round((amountReceived - expected) * 100) / 100, notes: notes || null
+        });
+        if (st.error) return st;
+        const upd = t('Registrations').update({ id: { in: ids } }, { settlement_id: st.data.id });
+        return upd.error ? upd : st;
+      });
+    },
+
+    // Same contract as the refund_registrations RPC: the registrations must be
+    // active and on paymentId; the amount is split across them pro rata.
+    async refundRegistrations({ paymentId, registrationIds, amount, method, transactionId, reason, approvedBy }) {
+      return transaction(t => {
+        const ids = [...new Set(registrationIds)];
+        const regs = t('Registrations').find({ id: { in: ids }, payment_id: paymentId, status: 'active' }).data;
+        if (regs.length !== ids.length)
+          return fail('P0001', 'Some registrations are not active on this payment.');
+        const paid = regs.reduce((sum, r) => sum + Number(r.amount_paid), 0);
+        if (amount > paid + 0.001)
+          return fail('P0001', 'Refund is more than was paid for the selected registrations.');
+
+        const refund = t('Refunds').insert({
+          payment_id: paymentId, amount, method, transaction_id: transactionId || null,
+          reason, approved_by: approvedBy, registrations: ids.length
+        });
+        if (refund.error) return refund;
+
+        let left = amount;
+        regs.forEach((r, i) => {
+          const share = i === regs.length - 1 ? left
+            : Math.round(amount * Number(r.amount_paid) / paid * 100) / 100;
+          left = Math.round((left - share) * 100) / 100;
+          t('Registrations').update({ id: r.id }, { status: 'refunded', refund_id: refund.data.id, refunded_amount: share });
+        });
+        return refund;
+      });
+    },
+
+    // Same contract as the record_upi_statement RPC
+    async recordUpiStatement({ statement, updates }) {
+      return transaction(t => {
+        const row = t('UpiStatements').insert({ ...statement, unmatched: statement.unmatched || [] });
+        if (row.error) return row;
+        const now = new Date().toISOString();
+        for (const u of updates) {
+          const res = t('Payments').update({ id: u.id },
+            { upi_status: u.upi_status, upi_amount: u.upi_amount, upi_checked_at: now, upi_statement_id: row.data.id });
+          if (res.error) return res;
+        }
+        return row;
+      });
+    },
+
+    // Same contract as the update_order RPC: removeIds must be active,
+    // unsettled places on the payment; paid ones are refunded in full (one
+    // Refunds row), free ones cancelled. Added events are charged their cost
+    // with no discount, and the payment's amount becomes the order's total
+    // (lib/reports net, summed over its lines).
+    async updateOrder({ paymentId, addEventIds, removeIds, memberId, actorId }) {
+      return transaction(t => {
+        const pay = t('Payments').findOne({ id: paymentId }).data;
+        const live = t('Registrations').find({ payment_id: paymentId, status: 'active' }).data;
+        if (!pay || pay.voided_at || !live.length) return fail('P0001', 'This order is no longer active.');
+        if (live.some(r => r.team_id)) return fail('P0001', 'Team registrations are changed from the team roster.');
+
+        const ids = [...new Set(removeIds)];
+        const dropped = live.filter(r => ids.includes(r.id) && !r.settlement_id);
+        if (dropped.length !== ids.length)
+          return fail('P0001', 'This order changed while you were editing it. Check it again.');
+        if (new Set(addEventIds).size !== addEventIds.length)
+          return fail('23505', 'duplicate key value violates unique constraint "Registrations_student_id_event_id_key"');
+        const events = addEventIds.map(id => t('Events').findOne({ id }).data);
+        if (events.some(ev => !ev)) return fail('23503', 'Event not found.');
+        for (const ev of events) {
+          const err = openError(t, ev);
+          if (err) return err;
+        }
+
+        const paid = dropped.filter(r => Number(r.amount_paid) > 0);
+        let refund = null;
+        if (paid.length) {
+          const row = t('Refunds').insert({
+            payment_id: paymentId, amount: money(paid.reduce((s, r) => s + Number(r.amount_paid), 0)),
+            method: pay.payment_method, transaction_id: null, reason: 'Removed from order',
+            approved_by: actorId, registrations: paid.length
+          });
+          if (row.error) return row;
+          refund = row.data;
+          for (const r of paid)
+            t('Registrations').update({ id: r.id }, { status: 'refunded', refund_id: refund.id, refunded_amount: Number(r.amount_paid) });
+        }
+        const free = dropped.filter(r => !paid.includes(r)).map(r => r.id);
+        if (free.length)
+          t('Registrations').update({ id: { in: free } },
+            { status: 'cancelled', cancelled_at: new Date().toISOString(), cancelled_by: actorId, cancel_reason: 'Removed from order' });
+        const added = [];
+        for (const ev of events) {
+          const reg = t('Registrations').insert({
+            student_id: live[0].student_id, event_id: ev.id, member_id: memberId, payment_id: paymentId,
+            payment_method: pay.payment_method, amount_paid: Number(ev.cost), discount: 0
+          });
+          if (reg.error) return reg;
+          added.push(reg.data.id);
+        }
+
+        const held = t('Registrations').find({ payment_id: paymentId, status: { neq: 'cancelled' } }).data;
+        const amount   = money(held.reduce((s, r) => s + net(r), 0));
+        const discount = money(held.reduce((s, r) => s + Number(r.discount || 0), 0));
+        // Added places are money a statement has to show again; a refund
+        // leaves what was collected as it was
+        t('Payments').update({ id: paymentId }, {
+          amount, discount,
+          ...(added.length && { upi_status: null, upi_amount: null, upi_checked_at: null, upi_statement_id: null })
+        });
+        return { data: { added, removed: ids, amount, refund }, error: null };
+      });
+    },
+
+    // Same contract as the merge_students RPC: cancels cancelIds (active
+    // registrations of either student), then moves everything mergeId has
+    // onto keepId and deletes mergeId. A place both still hold is a 23505.
+    async mergeStudents({ keepId, mergeId, cancelIds, reason, actorId }) {
+      return transaction(t => {
+        const [keep, merge] = [keepId, mergeId].map(id => t('Students').findOne({ id }).data);
+        if (!keep || !merge) return fail('P0001', 'Student not found.');
+        const now = new Date().toISOString();
+
+        const dropped = t('Registrations').find({ id: { in: cancelIds }, student_id: { in: [keepId, mergeId] }, status: 'active' }).data;
+        if (dropped.length !== new Set(cancelIds).size)
+          return fail('P0001', 'These registrations changed while merging. Try again.');
+        if (dropped.some(r => Number(r.amount_paid) > 0))
+          return fail('P0001', 'A place the merge would cancel was paid for. Refund it first.');
+        if (dropped.length) {
+          t('Registrations').update({ id: { in: dropped.map(r => r.id) } },
+            { status: 'cancelled', cancelled_at: now, cancelled_by: actorId, cancel_reason: reason });
+          for (const paymentId of new Set(dropped.map(r => r.payment_id)))
+            if (!t('Registrations').count({ payment_id: paymentId, status: { neq: 'cancelled' } }).data)
+              t('Payments').update({ id: paymentId }, { voided_at: now });
+        }
+
+        const waiting = t('Waitlist').find({ student_id: keepId, status: 'waiting' }).data.map(w => w.event_id);
+        t('Waitlist').update({ student_id: mergeId, status: 'waiting', event_id: { in: waiting } }, { status: 'removed' });
+
+        const moved = t('Registrations').update({ student_id: mergeId }, { student_id: keepId });
+        if (moved.error) return moved;
+        for (const table of ['Waitlist', 'Emails']) t(table).update({ student_id: mergeId }, { student_id: keepId });
+        t('Teams').update({ captain_id: mergeId }, { captain_id: keepId });
+        const del = t('Students').remove({ id: mergeId });
+        if (del.error) return del;
+        return { data: { moved: moved.data.map(r => r.id), cancelled: dropped.map(r => r.id) }, error: null };
+      });
+    }
+  };
+}
+
+module.exports = { createMemoryStore, SCHEMA };
@@ -0,0 +1,209 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// ════════════════════════════════════════════════════════
+//  SUPABASE BACKEND
+//  Translates the repository's filter objects into
+//  PostgREST queries. Errors come back untouched so
+//  callers can keep checking Postgres codes (23505 …).
+// ════════════════════════════════════════════════════════
+
+function applyWhere(q, where) {
+  for (const [col, cond] of Object.entries(where || {})) {
+    if (cond === null) q = q.is(col, null);
+    else if (typeof cond !== 'object') q = q.eq(col, cond);
+    else for (const [op, x] of Object.entries(cond)) {
+      if (op === 'neq' && x === null) q = q.not(col, 'is', null);
+      else q = q[op](col, x);
+    }
+  }
+  return q;
+}
+
+// Tables keyed by something other than `id`, so findAll() can page them in
+// a stable order without naming a column they don't have
+const KEYS = {
+  MemberEvents:    ['member_id', 'event_id'],
+  IdempotencyKeys: ['member_id', 'key'],
+  LoginFailures:   ['key']
+};
+
+const STUDENT_SEARCH = ['name', 'student_id', 'phone_number', 'email'];
+
+// PostgREST or=() filter matching `q` anywhere in any of the columns.
+// Callers strip the characters that would break the filter syntax.
+function ilikeAny(columns, q) {
+  return columns.map(c => `${c}.ilike.%${q}%`).join(',');
+}
+
+function createSupabaseStore({ url, key }) {
+  const db = createClient(url, key);
+
+  function table(name) {
+    return {
+      async find(where, { columns = '*', orderBy, ascending = true, limit, offset = 0 } = {}) {
+        let q = applyWhere(db.from(name).select(columns), where);
+        for (const col of [].concat(orderBy || [])) q = q.order(col, { ascending });
+        if (limit !== undefined) q = q.range(offset, offset + limit - 1);
+        return q;
+      },
+      // find() without PostgREST's per-request row cap, fetched page by page
+      async findAll(where, { columns = '*', orderBy = KEYS[name] || 'id', ascending = true } = {}) {
+        const PAGE = 1000;
+        const rows = [];
+        for (let offset = 0; ; offset += PAGE) {
+          const { data, error } = await this.find(where, { columns, orderBy, ascending, limit: PAGE, offset });
+          if (error) return { data: null, error };
+          rows.push(...data);
+          if (data.length < PAGE) return { data: rows, error: null };
+        }
+      },
+      async findOne(where, { columns = '*' } = {}) {
+        return applyWhere(db.from(name).select(columns), where).maybeSingle();
+      },
+      async count(where) {
+        const { count, error } = await applyWhere(db.from(name).select('*', { count: 'exact', head: true }), where);
+        return { data: count, error };
+      },
+      async insert(row) {
+        return db.from(name).insert(row).select().single();
+      },
+      async upsert(row) {
+        return db.from(name).upsert(row).select().single();
+      },
+      async update(where, patch) {
+        return applyWhere(db.from(name).update(patch), where).select();
+      },
+      async remove(where) {
+        return applyWhere(db.from(name).delete(), where).select();
+      }
+    };
+  }
+
+  return {
+    backend: 'supabase',
+    table,
+
+    async listSales({ ids, memberId, eventId, eventIds, paymentMethod, status, settled, settlementId, from, to, q, sort = 'registered_at', ascending = false, limit, offset = 0 } = {}) {
+      // !inner turns the Students embed into a join so the search can filter parent rows;
+      // Members!member_id picks the seller over the other Members references
+      let query = db.from('Registrations')
+        .select(`
+          id, payment_method, amount_paid, discount, registered_at, status, refunded_amount, cancel_reason, settlement_id, checked_in_at,
+          Students${q ? '!inner' : ''} ( id, student_id, name, phone_number, email ),
+          Events ( id, title ),
+          Members!member_id ( id, name ),
+          Payments ( id, transaction_id, payment_method, upi_status, upi_amount ),
+          Teams ( id, name, captain_id )
+        `, { count: 'exact' })
+        .order(sort, { ascending });
+      if (ids)           query = query.in('id', ids);
+      if (memberId)      query = query.eq('member_id', memberId);
+      if (eventId)       query = query.eq('event_id', eventId);
+      if (eventIds)      query = query.in('event_id', eventIds);
+      if (paymentMethod) query = query.eq('payment_method', paymentMethod);
+      if (status)        query = query.eq('status', status);
+      if (settled === true)  query = query.not('settlement_id', 'is', null);
+      if (settled === false) query = query.is('settlement_id', null);
+      if (settlementId)  query = query.eq('settlement_id', settlementId);
+      if (from)          query = query.gte('registered_at', from);
+      if (to)            query = query.lte('registered_at', to);
+      if (q)             query = query.or(ilikeAny(STUDENT_SEARCH, q), { referencedTable: 'Students' });
+      if (limit !== undefined) query = query.range(offset, offset + limit - 1);
+      return query;
+    },
+
+    async searchStudents({ q, sort = 'created_at', ascending = false, limit, offset = 0 } = {}) {
+      let query = db.from('Students')
+        .select('id, student_id, name, phone_number, email, created_at', { count: 'exact' })
+        .order(sort, { ascending });
+      if (q) query = query.or(ilikeAny(STUDENT_SEARCH, q));
+      if (limit !== undefined) query = query.range(offset, offset + limit - 1);
+      return query;
+    },
+
+    async registerWithPayment({ studentId, memberId, eventIds, paymentMethod, transactionId, discounts = {}, ruleIds = [], couponCode = null }) {
+      return db.rpc('register_student_with_payment', {
+        p_student_uuid:   studentId,
+        p_member_uuid:    memberId,
+        p_event_ids:      eventIds,
+        p_payment_method: paymentMethod,
+        p_transaction_id: transactionId,
+        p_discounts:      discounts,
+        p_rule_ids:       ruleIds,
+        p_coupon_code:    couponCode
+      });
+    },
+
+    async registerTeamWithPayment({ eventId, teamName, captainId, studentIds, memberId, paymentMethod, transactionId }) {
+      return db.rpc('register_team_with_payment', {
+        p_event_uuid:     eventId,
+        p_team_name:      teamName,
+        p_captain_uuid:   captainId,
+        p_student_uuids:  studentIds,
+        p_member_uuid:    memberId,
+        p_payment_method: paymentMethod,
+        p_transaction_id: transactionId
+      });
+    },
+
+    async updateTeamRoster({ teamId, name, studentIds, actorId }) {
+      return db.rpc('update_team_roster', {
+        p_team_uuid:     teamId,
+        p_name:          name || null,
+        p_student_uuids: studentIds,
+        p_actor_uuid:    actorId
+      });
+    },
+
+    async settleCash({ memberId, receivedBy, registrationIds, amountReceived, notes }) {
+      return db.rpc('settle_cash', {
+        p_member_uuid:      memberId,
+        p_received_by:      receivedBy,
+        p_registration_ids: registrationIds,
+        p_amount_received:  amountReceived,
+        p_notes:            notes || null
+      }).single();
+    },
+
+    async refundRegistrations({ paymentId, registrationIds, amount, method, transactionId, reason, approvedBy }) {
+      return db.rpc('refund_registrations', {
+        p_payment_uuid:     paymentId,
+        p_registration_ids: registrationIds,
+        p_amount:           amount,
+        p_method:           method,
+        p_transaction_id:   transactionId || null,
+        p_reason:           reason,
+        p_approved_by:      approvedBy
+      }).single();
+    },
+
+    async recordUpiStatement({ statement, updates }) {
+      return db.rpc('record_upi_statement', {
+        p_statement: statement,
+        p_updates:   updates
+      }).single();
+    },
+
+    async updateOrder({ paymentId, addEventIds, removeIds, memberId, actorId }) {
+      return db.rpc('update_order', {
+        p_payment_uuid:  paymentId,
+        p_add_event_ids: addEventIds,
+        p_remove_ids:    removeIds,
+        p_member_uuid:   memberId,
+        p_actor_uuid:    actorId
+      });
+    },
+
+    async mergeStudents({ keepId, mergeId, cancelIds, reason, actorId }) {
+      return db.rpc('merge_students', {
+        p_keep_uuid:   keepId,
+        p_merge_uuid:  mergeId,
+        p_cancel_ids:  cancelIds,
+        p_reason:      reason,
+        p_actor_uuid:  actorId
+      });
+    }
+  };
+}
+
+module.exports = { createSupabaseStore };
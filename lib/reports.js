@@ -0,0 +1,117 @@
+// ════════════════════════════════════════════════════════
+//  REPORT AGGREGATION
+//  Pure functions over flat registration rows:
+//  { student_id, event_id, member_id, payment_method,
+//    amount_paid, discount, status, refunded_amount,
+//    registered_at }
+//  Revenue is always net of refunds (amount_paid is
+//  already after discounts); only active registrations
+//  are counted.
+// ════════════════════════════════════════════════════════
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+function money(v) { return Math.round(Number(v) * 100) / 100; }
+
+function isActive(r) { return (r.status || 'active') === 'active'; }
+function refunded(r) { return r.status === 'cancelled' ? 0 : Number(r.refunded_amount || 0); }
+// What a registration brought in and kept: its price less any refund
+function net(r)      { return r.status === 'cancelled' ? 0 : Number(r.amount_paid) - refunded(r); }
+
+function summary(rows) {
+  const active   = rows.filter(isActive);
+  const students = new Set(active.map(r => r.student_id));
+  return {
+    registrations:          active.length,
+    revenue:                money(rows.reduce((s, r) => s + net(r), 0)),
+    refunded:               money(rows.reduce((s, r) => s + refunded(r), 0)),
+    discounts:              money(rows.reduce((s, r) => s + (r.status === 'cancelled' ? 0 : Number(r.discount || 0)), 0)),
+    unique_students:        students.size,
+    avg_events_per_student: students.size ? money(active.length / students.size) : 0
+  };
+}
+
+// Groups rows by keyFn → [{ key, registrations, revenue }], biggest revenue first
+function groupBy(rows, keyFn) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyFn(r);
+    const g = groups.get(key) || { key, registrations: 0, revenue: 0 };
+    if (isActive(r)) g.registrations += 1;
+    g.revenue += net(r);
+    groups.set(key, g);
+  }
+  return [...groups.values()]
+    .map(g => ({ ...g, revenue: money(g.revenue) }))
+    .sort((a, b) => b.revenue - a.revenue || b.registrations - a.registrations);
+}
+
+// names: id → display name; rows whose id is gone are labelled `missing`
+function byEvent(rows, names, missing = 'Deleted event') {
+  return groupBy(rows, r => r.event_id)
+    .map(({ key, ...g }) => ({ event_id: key, title: names[key] || missing, ...g }));
+}
+
+function byMember(rows, names, missing = 'Removed member') {
+  return groupBy(rows, r => r.member_id)
+    .map(({ key, ...g }) => ({ member_id: key, name: names[key] || missing, ...g }));
+}
+
+function byMethod(rows) {
+  const out = groupBy(rows, r => r.payment_method)
+    .map(({ key, ...g }) => ({ payment_method: key, ...g }));
+  for (const m of ['cash', 'upi'])
+    if (!out.some(g => g.payment_method === m)) out.push({ payment_method: m, registrations: 0, revenue: 0 });
+  return out;
+}
+
+// Per event: active registrations and how many of them have checked in
+function attendance(rows, names, missing = 'Deleted event') {
+  const groups = new Map();
+  for (const r of rows.filter(isActive)) {
+    const g = groups.get(r.event_id) || { event_id: r.event_id, title: names[r.event_id] || missing, registrations: 0, checked_in: 0 };
+    g.registrations += 1;
+    if (r.checked_in_at) g.checked_in += 1;
+    groups.set(r.event_id, g);
+  }
+  return [...groups.values()].sort((a, b) => b.registrations - a.registrations || a.title.localeCompare(b.title));
+}
+
+// Cash still held by each member: rows are unsettled cash registrations,
+// lastSettled maps member id → time of their latest handover
+function unsettledCash(rows, names, lastSettled = {}) {
+  return byMember(rows, names)
+    .map(({ revenue, ...g }) => ({ ...g, amount: revenue, last_settled_at: lastSettled[g.member_id] || null }));
+}
+
+// UPI payments not verified against a statement, per member. rows are
+// repo.payments.upiCollections(); voided payments don't count.
+// → [{ member_id, name, payments, amount, unchecked, amount_mismatch, not_found }], biggest amount first
+function unverifiedUpi(rows, names, missing = 'Removed member') {
+  const groups = new Map();
+  for (const p of rows) {
+    if (p.voided || p.upi_status === 'verified') continue;
+    const g = groups.get(p.member_id) || { member_id: p.member_id, name: names[p.member_id] || missing, payments: 0, amount: 0, unchecked: 0, amount_mismatch: 0, not_found: 0 };
+    g.payments += 1;
+    g.amount += Number(p.amount);
+    g[p.upi_status || 'unchecked'] += 1;
+    groups.set(p.member_id, g);
+  }
+  return [...groups.values()]
+    .map(g => ({ ...g, amount: money(g.amount) }))
+    .sort((a, b) => b.amount - a.amount || b.payments - a.payments);
+}
+
+// Buckets are labelled in IST: 'YYYY-MM-DD' for days, 'YYYY-MM-DD HH:00' for hours
+function bucketOf(ts, bucket) {
+  const ist = new Date(new Date(ts).getTime() + IST_OFFSET_MS).toISOString();
+  return bucket === 'hour' ? ist.slice(0, 10) + ' ' + ist.slice(11, 13) + ':00' : ist.slice(0, 10);
+}
+
+function timeline(rows, bucket = 'day') {
+  return groupBy(rows, r => bucketOf(r.registered_at, bucket))
+    .map(({ key, ...g }) => ({ bucket: key, ...g }))
+    .sort((a, b) => a.bucket.localeCompare(b.bucket));
+}
+
+module.exports = { money, net, summary, byEvent, byMember, byMethod, attendance, unsettledCash, unverifiedUpi, timeline, bucketOf };
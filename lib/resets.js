@@ -0,0 +1,56 @@
+const { createTransport } = require('./mail');
+const { passwordReset } = require('./mail/templates');
+
+// ════════════════════════════════════════════════════════
+//  PASSWORD RESET CHANNELS
+//  How a forgot-password link reaches the member, picked
+//  by RESET_CHANNEL:
+//    mail (default) — emailed through MAIL_TRANSPORT
+//    webhook        — POSTed as JSON to RESET_WEBHOOK_URL,
+//                     for an SMS or WhatsApp gateway
+//  A channel is { name, send({ member, token, link,
+//  expiresAt }) }; send rejects when delivery failed.
+//  Links are sent straight away rather than through the
+//  outbox, so the token is never stored in the clear.
+// ════════════════════════════════════════════════════════
+
+function mailChannel(transport, from) {
+  return {
+    name: 'mail',
+    async send({ member, token, link, expiresAt }) {
+      const { subject, text, html } = passwordReset({ member, token, link, expiresAt });
+      await transport.send({ from, to: member.email, subject, text, html });
+    }
+  };
+}
+
+// Body: { member: { id, name, email, phone_number }, token, link, expires_at }
+function webhookChannel(url) {
+  return {
+    name: 'webhook',
+    async send({ member, token, link, expiresAt }) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+          member: { id: member.id, name: member.name, email: member.email, phone_number: member.phone_number },
+          token, link, expires_at: expiresAt
+        }),
+        signal: AbortSignal.timeout(10 * 1000)
+      });
+      if (!res.ok) throw new Error(`Reset webhook answered ${res.status}.`);
+    }
+  };
+}
+
+function createResetChannel(env = process.env) {
+  const kind = String(env.RESET_CHANNEL || 'mail').toLowerCase();
+  if (kind === 'mail') return mailChannel(createTransport(env), env.MAIL_FROM || 'Accolade <no-reply@localhost>');
+  if (kind === 'webhook') {
+    if (!env.RESET_WEBHOOK_URL) throw new Error('RESET_WEBHOOK_URL is required when RESET_CHANNEL=webhook.');
+    return webhookChannel(env.RESET_WEBHOOK_URL);
+  }
+  throw new Error(`Unknown RESET_CHANNEL "${kind}".`);
+}
+
+module.exports = { createResetChannel };
@@ -0,0 +1,110 @@
+// ════════════════════════════════════════════════════════
+//  SCHEMAS
+//  A small JSON Schema checker for the request and response
+//  shapes in lib/api-spec. It understands
+//    type (a name or a list, 'null' allowing null), enum,
+//    const, format (uuid, email, phone, date, date-time),
+//    pattern, minLength, maxLength, minimum, maximum,
+//    exclusiveMinimum, items, minItems, maxItems,
+//    properties, required, allOf, if/then
+//  and departs from the standard twice: a required
+//  property that is null or blank counts as missing, and
+//  a schema may carry `message`, the sentence shown when
+//  its value fails (otherwise one is made from `title`).
+//  Failures come back as [{ field, code, message }].
+// ════════════════════════════════════════════════════════
+
+const FORMATS = {
+  uuid:        v => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+  email:       v => v.includes('@') && v.length <= 254,
+  phone:       v => /^\d{10}$/.test(v),
+  date:        v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(new Date(v).getTime()),
+  // Anything the server's dateParam reads: a date, an IST local time or a full timestamp
+  'date-time': v => !isNaN(new Date(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(v) ? v + '+05:30' : v).getTime())
+};
+const FORMAT_TEXT = {
+  uuid: 'a valid ID', email: 'a valid email', phone: '10 digits', date: 'a date (YYYY-MM-DD)', 'date-time': 'a date and time'
+};
+
+const TYPES = {
+  string:  v => typeof v === 'string',
+  number:  v => typeof v === 'number' && Number.isFinite(v),
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === 'boolean',
+  object:  v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array:   v => Array.isArray(v),
+  null:    v => v === null
+};
+const TYPE_TEXT = {
+  string: 'text', number: 'a number', integer: 'a whole number', boolean: 'true or false',
+  object: 'an object', array: 'a list'
+};
+
+const isBlank = v => v === undefined || v === null || (typeof v === 'string' && !v.trim());
+const typesOf = s => s.type === undefined ? null : [].concat(s.type);
+const join    = (field, key) => typeof key === 'number' ? `${field}[${key}]` : field ? `${field}.${key}` : key;
+
+// Query strings and path segments arrive as text; with coerce, '5' passes as
+// a number and 'true' as a boolean
+function coerce(types, v) {
+  if (typeof v !== 'string') return v;
+  if ((types.includes('number') || types.includes('integer')) && /^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  if (types.includes('boolean') && (v === 'true' || v === 'false')) return v === 'true';
+  return v;
+}
+
+function check(s, value, field, opts, out) {
+  const label = s.title || field || 'The request body';
+  const fail = (code, text) => { out.push({ field, code, message: s.message || `${label} ${text}.` }); };
+  const before = out.length;
+
+  const types = typesOf(s);
+  if (types && opts.coerce) value = coerce(types, value);
+  if (types && !types.some(t => TYPES[t](value))) {
+    fail('type', 'must be ' + types.filter(t => t !== 'null').map(t => TYPE_TEXT[t]).join(' or '));
+    return;
+  }
+  if (s.const !== undefined && value !== s.const) fail('const', `must be ${JSON.stringify(s.const)}`);
+  if (s.enum && !s.enum.includes(value)) fail('enum', `must be one of ${s.enum.filter(v => v !== null).join(', ')}`);
+  if (out.length > before || value === null) return;
+
+  if (typeof value === 'string') {
+    if (s.format && FORMATS[s.format] && !FORMATS[s.format](value)) fail('format', `must be ${FORMAT_TEXT[s.format]}`);
+    else if (s.minLength !== undefined && value.length < s.minLength) fail('min_length', `must be at least ${s.minLength} characters`);
+    else if (s.maxLength !== undefined && value.length > s.maxLength) fail('max_length', `must be at most ${s.maxLength} characters`);
+    else if (s.pattern && !new RegExp(s.pattern).test(value)) fail('pattern', 'is not in the expected form');
+  }
+  if (typeof value === 'number') {
+    if (s.minimum !== undefined && value < s.minimum) fail('minimum', `must be at least ${s.minimum}`);
+    else if (s.exclusiveMinimum !== undefined && value <= s.exclusiveMinimum) fail('minimum', `must be more than ${s.exclusiveMinimum}`);
+    else if (s.maximum !== undefined && value > s.maximum) fail('maximum', `must be at most ${s.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (s.minItems !== undefined && value.length < s.minItems) fail('min_items', `needs at least ${s.minItems}`);
+    else if (s.maxItems !== undefined && value.length > s.maxItems) fail('max_items', `takes at most ${s.maxItems}`);
+    else if (s.items) value.forEach((v, i) => check(s.items, v, join(field, i), opts, out));
+  }
+  if (TYPES.object(value)) {
+    const missing = new Set();
+    for (const key of s.required || []) {
+      if (!isBlank(value[key])) continue;
+      const p = s.properties?.[key] || {};
+      missing.add(key);
+      out.push({ field: join(field, key), code: 'required', message: p.title ? `${p.title} is required.` : p.message || `${join(field, key)} is required.` });
+    }
+    for (const [key, p] of Object.entries(s.properties || {}))
+      if (value[key] !== undefined && !missing.has(key)) check(p, value[key], join(field, key), opts, out);
+  }
+  for (const sub of s.allOf || []) check(sub, value, field, opts, out);
+  if (s.if && s.then && !validate(s.if, value, opts).length) check(s.then, value, field, opts, out);
+}
+
+// → [{ field, code, message }], empty when value fits. opts.coerce reads
+// numbers and booleans out of strings; opts.in is copied onto each failure.
+function validate(schema, value, opts = {}) {
+  const out = [];
+  check(schema, value, '', opts, out);
+  return opts.in ? out.map(e => ({ ...e, in: opts.in })) : out;
+}
+
+module.exports = { validate, FORMATS };
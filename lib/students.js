@@ -0,0 +1,104 @@
+// ════════════════════════════════════════════════════════
+//  DUPLICATE STUDENTS
+//  A mistyped roll number at the desk creates a second
+//  Students row for the same person. findDuplicates pairs
+//  up rows that look alike; mergePlan works out what
+//  merging one into the other does to their registrations.
+//
+//  Pairs come from shared keys rather than comparing every
+//  row with every other, so a big fest stays cheap:
+//    phone      — the same number, or one digit apart
+//    email      — equal once case, dots and +tags in the
+//                 local part are ignored
+//    name       — equal once case, punctuation and word
+//                 order are ignored
+//    student_id — equal after deleting at most one
+//                 character from either (one typo)
+// ════════════════════════════════════════════════════════
+
+const MAX_BUCKET = 25;   // a key shared by more rows than this says nothing
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean).sort().join(' ');
+}
+
+function normalizeEmail(email) {
+  const [local, domain] = String(email || '').toLowerCase().trim().split('@');
+  if (!domain) return '';
+  return local.split('+')[0].replace(/\./g, '') + '@' + domain;
+}
+
+// s with each single character removed, plus s itself
+function deletions(s) {
+  const out = [s];
+  for (let i = 0; i < s.length; i++) out.push(s.slice(0, i) + s.slice(i + 1));
+  return out;
+}
+
+const KEYS = {
+  phone(s) {
+    const p = String(s.phone_number || '');
+    if (!/^\d{10}$/.test(p)) return [];
+    return [...p].map((_, i) => p.slice(0, i) + '?' + p.slice(i + 1));
+  },
+  email(s) {
+    const e = normalizeEmail(s.email);
+    return e ? [e] : [];
+  },
+  name(s) {
+    const n = normalizeName(s.name);
+    return n.length >= 3 ? [n] : [];
+  },
+  student_id(s) {
+    const id = String(s.student_id || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return id.length >= 4 ? deletions(id) : [];
+  }
+};
+const REASONS = Object.keys(KEYS);
+
+// students: [{ id, student_id, name, phone_number, email }] →
+// [{ ids: [a, b], reasons: ['phone', 'name', …] }], most reasons first
+function findDuplicates(students) {
+  const pairs = new Map();
+  for (const reason of REASONS) {
+    const buckets = new Map();
+    for (const s of students)
+      for (const key of new Set(KEYS[reason](s))) {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(s.id);
+      }
+    for (const ids of buckets.values()) {
+      if (ids.length < 2 || ids.length > MAX_BUCKET) continue;
+      for (let i = 0; i < ids.length; i++)
+        for (let j = i + 1; j < ids.length; j++) {
+          const pair = [ids[i], ids[j]].sort();
+          const k = pair.join(':');
+          if (!pairs.has(k)) pairs.set(k, { ids: pair, reasons: [] });
+          if (!pairs.get(k).reasons.includes(reason)) pairs.get(k).reasons.push(reason);
+        }
+    }
+  }
+  return [...pairs.values()].sort((a, b) => b.reasons.length - a.reasons.length);
+}
+
+// What merging student `merge` into `keep` does. Both take their active
+// registrations: [{ id, event_id, checked_in_at, team_id, captain }].
+// Where both hold a place in the same event one has to go: the checked-in
+// one stays, then one on a team, then keep's. A captain can't be dropped
+// that way (their team would lose its payer), so that's an error.
+// → { cancel: [{ event_id, kept, cancelled }] } or { error, event_id }
+function mergePlan(keep, merge) {
+  const cancel = [];
+  for (const m of merge) {
+    const k = keep.find(r => r.event_id === m.event_id);
+    if (!k) continue;
+    const mergeWins = (!!m.checked_in_at && !k.checked_in_at) ||
+      (!!m.checked_in_at === !!k.checked_in_at && !!m.team_id && !k.team_id);
+    const [kept, dropped] = mergeWins ? [m, k] : [k, m];
+    if (dropped.captain) return { error: 'captain', event_id: m.event_id };
+    cancel.push({ event_id: m.event_id, kept: kept.id, cancelled: dropped.id });
+  }
+  return { cancel };
+}
+
+module.exports = { findDuplicates, mergePlan, normalizeName, normalizeEmail };
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// ════════════════════════════════════════════════════════
+//  TICKETS
+//  A ticket code is the registration id plus an HMAC of
+//  it, so a code can't be forged or pointed at another
+//  registration without TICKET_SECRET:
+//    ACC1.<registration uuid>.<base64url signature>
+// ════════════════════════════════════════════════════════
+
+const PREFIX = 'ACC1';
+
+function createTicketSigner(secret) {
+  const key = Buffer.from(String(secret));
+
+  function signature(regId) {
+    return crypto.createHmac('sha256', key).update(PREFIX + '.' + regId).digest('base64url').slice(0, 22);
+  }
+
+  return {
+    sign(regId) {
+      return `${PREFIX}.${regId}.${signature(regId)}`;
+    },
+    // Registration id for a genuine code, otherwise null
+    verify(code) {
+      const parts = String(code || '').trim().split('.');
+      if (parts.length !== 3 || parts[0] !== PREFIX) return null;
+      const [, regId, sig] = parts;
+      const expected = Buffer.from(signature(regId));
+      const given    = Buffer.from(sig);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+      return regId;
+    }
+  };
+}
+
+function qrSvg(code) {
+  return QRCode.toString(code, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+}
+
+module.exports = { createTicketSigner, qrSvg };
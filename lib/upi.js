@@ -0,0 +1,128 @@
+// ════════════════════════════════════════════════════════
+//  UPI STATEMENTS
+//  Checks the transaction IDs members typed at the desk
+//  against a statement exported from the bank or payment
+//  app. Each UPI payment the statement covers ends up
+//    verified        — a line with its reference and amount
+//    amount_mismatch — a line with its reference, but the
+//                      amount differs from what was sold
+//    not_found       — no line with its reference
+//  and statement lines that match no sale are reported
+//  back. A payment once verified stays verified: a later
+//  statement without it is more likely a partial export
+//  than a missing payment.
+// ════════════════════════════════════════════════════════
+
+const STATUSES = ['verified', 'amount_mismatch', 'not_found'];
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// References are compared without case, spaces or punctuation
+function normalizeRef(ref) {
+  return String(ref || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// '₹1,234.50', '1234.5 CR', 'INR 300' → number; NaN if unreadable
+function parseAmount(text) {
+  const s = String(text || '').replace(/[₹,\s]|INR|Rs\.?|CR$/gi, '');
+  return /^\d+(\.\d+)?$/.test(s) ? Number(s) : NaN;
+}
+
+// Statement dates as 'YYYY-MM-DD': accepts 2026-10-19, 19/10/2026,
+// 19-10-26 and 19 Oct 2026 (day first, as Indian banks write them), with
+// any time after it ignored; null if unreadable
+function parseDate(text) {
+  const s = String(text || '').trim().toLowerCase();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  let [y, mo, d] = m ? [m[1], m[2], m[3]] : [];
+  if (!m && (m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/))) [d, mo, y] = [m[1], m[2], m[3]];
+  if (!m && (m = s.match(/^(\d{1,2})[\s-]([a-z]{3})[a-z]*[\s,-]+(\d{2}|\d{4})\b/))) {
+    [d, mo, y] = [m[1], MONTHS.indexOf(m[2]) + 1, m[3]];
+    if (!mo) return null;
+  }
+  if (!m) return null;
+  if (String(y).length === 2) y = '20' + y;
+  const iso = `${y}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  const check = new Date(iso + 'T00:00:00Z');
+  return !isNaN(check) && check.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+function istDay(ts) {
+  return new Date(new Date(ts).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+// Statement rows → { lines, ignored }. rows: [{ line, transaction_id,
+// amount, date?, type? }] from lib/csv records; debit lines are ignored.
+// Each line comes back with the reference normalized and `error` set when
+// it can't be matched.
+function readLines(rows) {
+  const lines = [];
+  let ignored = 0;
+  for (const r of rows) {
+    if (/^d/i.test(r.type || '') || /^-|DR$/i.test(String(r.amount || '').trim())) {
+      ignored++;
+      continue;
+    }
+    const line = {
+      line: r.line,
+      transaction_id: String(r.transaction_id || '').trim(),
+      ref: normalizeRef(r.transaction_id),
+      amount: parseAmount(r.amount),
+      date: r.date ? parseDate(r.date) : null
+    };
+    if (!line.ref) line.error = 'No transaction reference.';
+    else if (isNaN(line.amount)) line.error = `Unreadable amount "${r.amount}".`;
+    else if (r.date && !line.date) line.error = `Unreadable date "${r.date}".`;
+    lines.push(line);
+  }
+  return { lines, ignored };
+}
+
+// The days a statement covers, from its line dates → { from, to } or null
+function periodOf(lines) {
+  const days = lines.map(l => l.date).filter(Boolean).sort();
+  return days.length ? { from: days[0], to: days[days.length - 1] } : null;
+}
+
+// lines from readLines; payments: every UPI payment as
+// { id, transaction_id, amount, registered_at, upi_status, voided }, amount
+// being what its sales collected. period ({ from, to } IST days, either
+// open) limits which unmatched payments become not_found; null means all.
+// → { updates: [{ id, upi_status, upi_amount }], unmatched: [{ line,
+//     transaction_id, amount, reason }], counts: { verified, … } }
+function matchStatement(lines, payments, period) {
+  const byRef = new Map();
+  for (const p of payments) {
+    const ref = normalizeRef(p.transaction_id);
+    if (!ref) continue;
+    // A live payment wins over a voided one reusing its reference
+    if (!byRef.has(ref) || (byRef.get(ref).voided && !p.voided)) byRef.set(ref, p);
+  }
+
+  const updates = new Map();
+  const unmatched = [];
+  const miss = (l, reason) => unmatched.push({ line: l.line, transaction_id: l.transaction_id, amount: isNaN(l.amount) ? null : l.amount, reason });
+  for (const l of lines) {
+    if (l.error) { miss(l, l.error); continue; }
+    const p = byRef.get(l.ref);
+    if (!p) { miss(l, 'No sale has this transaction ID.'); continue; }
+    if (p.voided) { miss(l, 'The sale with this transaction ID was cancelled.'); continue; }
+    if (updates.has(p.id)) { miss(l, `Same transaction ID as line ${updates.get(p.id).line}.`); continue; }
+    const same = Math.abs(l.amount - Number(p.amount)) < 0.005;
+    updates.set(p.id, { id: p.id, upi_status: same ? 'verified' : 'amount_mismatch', upi_amount: l.amount, line: l.line });
+  }
+
+  for (const p of payments) {
+    if (p.voided || updates.has(p.id) || p.upi_status === 'verified') continue;
+    const day = istDay(p.registered_at);
+    if (period && ((period.from && day < period.from) || (period.to && day > period.to))) continue;
+    updates.set(p.id, { id: p.id, upi_status: 'not_found', upi_amount: null });
+  }
+
+  const out = [...updates.values()].map(({ line, ...u }) => u);
+  const counts = Object.fromEntries(STATUSES.map(s => [s, out.filter(u => u.upi_status === s).length]));
+  return { updates: out, unmatched, counts };
+}
+
+module.exports = { STATUSES, normalizeRef, parseAmount, parseDate, readLines, periodOf, matchStatement };
@@ -1,92 +1,567 @@
 const express = require('express');
-const { createClient } = require('@supabase/supabase-js');
 const path    = require('path');
 const crypto  = require('crypto');
+const { createRepo } = require('./lib/repo');
+const reports = require('./lib/reports');
+const csv     = require('./lib/csv');
+const { streamExport } = require('./lib/export');
+const { createTicketSigner, qrSvg } = require('./lib/tickets');
+const { availability, unavailable, isTeamEvent, UNAVAILABLE_CODES, TEAM_SIZE_CODE } = require('./lib/events');
+const pricing = require('./lib/pricing');
+const { createHub } = require('./lib/live');
+const { createMailer, createTransport } = require('./lib/mail');
+const { createResetChannel } = require('./lib/resets');
+const perms   = require('./lib/permissions');
+const upi     = require('./lib/upi');
+const { findDuplicates, mergePlan } = require('./lib/students');
+const schema  = require('./lib/schema');
+const apiSpec = require('./lib/api-spec');
+const { errorCode } = require('./lib/errors');
 
 const app = express();
 app.use(express.json());
+app.use('/api', withErrorCodes);
 app.use(express.static(path.join(__dirname, 'public')));
+if (process.env.TRUST_PROXY)
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+
+let repo;
+try { repo = createRepo(process.env); }
+catch (e) { console.error(e.message); process.exit(1); }
+
+// Without TICKET_SECRET tickets still work, but only until the next restart
+if (!process.env.TICKET_SECRET)
+  console.warn('TICKET_SECRET is not set; tickets issued now will stop scanning after a restart.');
+const tickets = createTicketSigner(process.env.TICKET_SECRET || crypto.randomBytes(32).toString('hex'));
+const live    = createHub();
+
+let mailer, resetChannel;
+try {
+  mailer = createMailer({ emails: repo.emails, transport: createTransport(process.env), from: process.env.MAIL_FROM });
+  resetChannel = createResetChannel(process.env);
+}
+catch (e) { console.error(e.message); process.exit(1); }
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_KEY;
-if (!SUPABASE_URL || !SUPABASE_KEY) { console.error('Missing env vars.'); process.exit(1); }
-
-const db = createClient(SUPABASE_URL, SUPABASE_KEY);
+// ── Passwords ─────────────────────────────────────────────────────
+// Stored as scrypt$N$r$p$salt$hash. Bare 64-char hex is the old unsalted
+// sha256 format; it still verifies and gets rehashed on the next login.
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+function sha256(str) { return crypto.createHash('sha256').update(str).digest('hex'); }
+function scrypt(pw, salt, { N, r, p, keylen }) {
+  return new Promise((resolve, reject) =>
+    crypto.scrypt(pw, salt, keylen, { N, r, p }, (err, key) => err ? reject(err) : resolve(key)));
+}
+async function hashPassword(pw) {
+  const salt = crypto.randomBytes(16);
+  const key  = await scrypt(String(pw), salt, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('hex'), key.toString('hex')].join('$');
+}
+// → { ok, upgrade } where upgrade means the stored hash should be replaced
+async function verifyPassword(pw, stored) {
+  stored = String(stored || '');
+  if (/^[0-9a-f]{64}$/i.test(stored)) {
+    const ok = crypto.timingSafeEqual(Buffer.from(sha256(String(pw))), Buffer.from(stored.toLowerCase()));
+    return { ok, upgrade: ok };
+  }
+  const [scheme, N, r, p, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return { ok: false, upgrade: false };
+  const expected = Buffer.from(hash, 'hex');
+  const key = await scrypt(String(pw), Buffer.from(salt, 'hex'), { N: +N, r: +r, p: +p, keylen: expected.length });
+  const ok = crypto.timingSafeEqual(key, expected);
+  return { ok, upgrade: ok && +N !== SCRYPT.N };
+}
 
 // ── Sessions ──────────────────────────────────────────────────────
-const sessions = new Map();
+// Rows live in "Sessions" so they survive restarts and work across instances.
+// Only a hash of the token is stored. Expiry slides with activity, capped at
+// SESSION_MAX_MS from login.
+const SESSION_IDLE_MS  = 12 * 60 * 60 * 1000;
+const SESSION_MAX_MS   = 7 * 24 * 60 * 60 * 1000;
+const SESSION_TOUCH_MS = 5 * 60 * 1000;
+// All a member whose must_change_password is set can reach
+const PASSWORD_CHANGE_ROUTES = ['GET /api/me', 'PUT /api/me/password', 'POST /api/logout'];
 function makeToken() { return crypto.randomBytes(32).toString('hex'); }
-function sha256(str) { return crypto.createHash('sha256').update(str).digest('hex'); }
 
-function requireAuth(req, res, next) {
+async function createSession(member, req) {
+  const token = makeToken();
+  const now = Date.now();
+  await repo.sessions.remove({ member_id: member.id, expires_at: { lt: new Date(now).toISOString() } });
+  const { error } = await repo.sessions.insert({
+    member_id:    member.id,
+    token_hash:   sha256(token),
+    ip:           req.ip || null,
+    user_agent:   sanitize(req.headers['user-agent'] || '').slice(0, 200) || null,
+    expires_at:   new Date(now + SESSION_IDLE_MS).toISOString()
+  });
+  if (error) throw error;
+  return token;
+}
+
+function revokeSessions(memberId) {
+  live.disconnect(c => c.user.id === memberId);
+  return repo.sessions.revokeForMember(memberId);
+}
+
+async function requireAuth(req, res, next) {
   const token = req.headers['x-session'];
-  if (!token || !sessions.has(token)) return res.status(401).json({ error: 'Not logged in.' });
-  req.user = sessions.get(token);
+  if (!token) return res.status(401).json({ error: 'Not logged in.' });
+
+  const { data: sess } = await repo.sessions.findByTokenHash(sha256(String(token)));
+
+  const now = Date.now();
+  if (!sess || !sess.Members || sess.revoked_at || new Date(sess.expires_at).getTime() <= now)
+    return res.status(401).json({ error: 'Not logged in.' });
+
+  if (now - new Date(sess.last_seen_at).getTime() > SESSION_TOUCH_MS) {
+    const cap = new Date(sess.created_at).getTime() + SESSION_MAX_MS;
+    await repo.sessions.update({ id: sess.id }, {
+      last_seen_at: new Date(now).toISOString(),
+      expires_at:   new Date(Math.min(now + SESSION_IDLE_MS, cap)).toISOString()
+    });
+  }
+
+  const m = sess.Members;
+  // A temporary password has to be replaced before anything else
+  if (m.must_change_password && !PASSWORD_CHANGE_ROUTES.includes(`${req.method} ${req.route.path}`))
+    return res.status(403).json({ error: 'Choose a new password before continuing.', code: 'password_change_required' });
+  req.user = { id: m.id, name: m.name, email: m.email, role: m.role, event_ids: [] };
+  // Only these roles are limited by assigned events (lib/permissions eventScope)
+  if (m.role === 'coordinator' || m.role === 'member') {
+    // Without its assignments the member's scope is unknown, so nothing goes through
+    const { data: eventIds, error } = await repo.memberEvents.eventIdsFor(m.id);
+    if (error) return res.status(500).json({ error: 'Failed to load your assigned events.' });
+    req.user.event_ids = eventIds;
+  }
+  req.sessionId = sess.id;
   next();
 }
-function requireAdmin(req, res, next) {
-  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin access required.' });
-  next();
+function requirePermission(permission) {
+  const check = (req, res, next) => {
+    if (!perms.can(req.user, permission)) return res.status(403).json({ error: 'You do not have permission to do that.' });
+    next();
+  };
+  return Object.assign(check, { permission });
+}
+// 403s unless every event id is in the user's assigned events
+function requireEvents(req, res, eventIds) {
+  if (eventIds.every(id => perms.inEventScope(req.user, id))) return true;
+  res.status(403).json({ error: 'You are not assigned to that event.' });
+  return false;
+}
+
+// ── Login lockout ─────────────────────────────────────────────────
+// Counted per email and per client IP. A key that reaches its limit within
+// the window is locked for LOCKOUT_MS.
+const LOCKOUT_WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_MS        = 15 * 60 * 1000;
+const LOCKOUT_LIMITS    = { email: 5, ip: 20 };
+
+async function lockedFor(keys) {
+  const { data } = await repo.loginFailures.find({ key: { in: keys } }, { columns: 'key, locked_until' });
+  const until = (data || []).map(r => r.locked_until ? new Date(r.locked_until).getTime() : 0);
+  return Math.max(0, ...until) - Date.now();
+}
+
+async function recordLoginFailure(key, limit) {
+  const now = Date.now();
+  const { data: row } = await repo.loginFailures.findOne({ key }, { columns: 'failures, first_failed_at' });
+  const fresh = !row || now - new Date(row.first_failed_at).getTime() > LOCKOUT_WINDOW_MS;
+  const failures = fresh ? 1 : row.failures + 1;
+  await repo.loginFailures.upsert({
+    key,
+    failures,
+    first_failed_at: fresh ? new Date(now).toISOString() : row.first_failed_at,
+    locked_until:    failures >= limit ? new Date(now + LOCKOUT_MS).toISOString() : null
+  });
 }
 
 // ── Validators ────────────────────────────────────────────────────
-function isUUID(v)  { return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(v)); }
-function isPhone(v) { return /^\d{10}$/.test(String(v)); }
-function isEmail(v) { return typeof v === 'string' && v.includes('@') && v.length <= 254; }
+// Same formats as the route schemas (lib/schema), for values that arrive
+// some other way: CSV rows, ticket payloads
+function isUUID(v)  { return schema.FORMATS.uuid(String(v)); }
+function isPhone(v) { return schema.FORMATS.phone(String(v)); }
+function isEmail(v) { return typeof v === 'string' && schema.FORMATS.email(v); }
 function sanitize(v){ return String(v).trim().replace(/[<>"'`]/g, '').slice(0, 500); }
+// 'YYYY-MM-DD' or 'YYYY-MM-DDTHH:mm' (both read as IST) or a full timestamp
+// → ISO string, undefined if unparseable. With endOfDay a bare date covers
+// the whole day.
+function dateParam(v, endOfDay = false) {
+  if (!v) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(v));
+  const local    = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(String(v));
+  const d = new Date(dateOnly ? v + 'T00:00:00+05:30' : local ? v + '+05:30' : String(v));
+  if (isNaN(d.getTime())) return undefined;
+  if (dateOnly && endOfDay) d.setTime(d.getTime() + 24 * 60 * 60 * 1000 - 1);
+  return d.toISOString();
+}
+
+// ── Paging ────────────────────────────────────────────────────────
+// ?limit=&offset=&sort=&order= for list routes; sort falls back to the default
+function pageParams(query, sorts, defaultSort) {
+  return {
+    limit:     Math.min(Math.max(parseInt(query.limit) || 50, 1), 200),
+    offset:    Math.max(parseInt(query.offset) || 0, 0),
+    sort:      sorts.includes(query.sort) ? query.sort : defaultSort,
+    ascending: query.order === 'asc'
+  };
+}
+// Free-text search term, minus characters that would break a PostgREST filter
+function searchTerm(v) {
+  return sanitize(v || '').replace(/[,()*%\\]/g, ' ').trim().slice(0, 100);
+}
+
+// ── Idempotency ───────────────────────────────────────────────────
+// For writes a client may retry (after requireAuth). With an
+// Idempotency-Key header (any unique string up to 100 characters, e.g. a
+// uuid) the first response is stored and replayed, with Idempotent-Replayed:
+// true, to that member for the next day. The same key on a different request
+// is a 422; while the first is still running a retry gets a 409 with
+// Retry-After. 5xx responses aren't kept, so those can be retried as new;
+// that includes a handler that throws, which the /api error handler answers
+// with a 500. A client that gives up early doesn't free the key: the
+// handler carries on and its answer is kept for the retry.
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+async function idempotent(req, res, next) {
+  const key = req.headers['idempotency-key'];
+  if (key === undefined) return next();
+  if (!key || String(key).length > 100) return res.status(400).json({ error: 'Invalid Idempotency-Key.' });
+
+  const member_id = req.user.id;
+  const request_hash = sha256(req.method + ' ' + req.path + ' ' + JSON.stringify(req.body || {}));
+  await repo.idempotencyKeys.remove({ member_id, created_at: { lt: new Date(Date.now() - IDEMPOTENCY_TTL_MS).toISOString() } });
+
+  const { error } = await repo.idempotencyKeys.insert({ member_id, key, request_hash });
+  if (error) {
+    if (error.code !== '23505') return res.status(500).json({ error: error.message });
+    const { data: prior } = await repo.idempotencyKeys.findOne({ member_id, key });
+    if (!prior) return res.status(409).set('Retry-After', '1').json({ error: 'Please retry this request.', code: 'request_in_progress' });
+    if (prior.request_hash !== request_hash)
+      return res.status(422).json({ error: 'This Idempotency-Key was already used for a different request.' });
+    if (prior.status !== 'done')
+      return res.status(409).set('Retry-After', '2').json({ error: 'This request is still being processed.', code: 'request_in_progress' });
+    return res.status(prior.response_status).set('Idempotent-Replayed', 'true').json(prior.response_body);
+  }
+
+  // Keep the response before sending it, so a retry never finds it missing
+  const send = res.json.bind(res);
+  res.json = body => {
+    const where = { member_id, key };
+    const saved = res.statusCode >= 500
+      ? repo.idempotencyKeys.remove(where)
+      : repo.idempotencyKeys.update(where, { status: 'done', response_status: res.statusCode, response_body: body });
+    saved.catch(e => console.error('Idempotency key not saved:', e.message)).finally(() => send(body));
+    return res;
+  };
+  next();
+}
+
+// ── Error codes ───────────────────────────────────────────────────
+// Every /api error goes out with a code (lib/errors) beside its message
+function withErrorCodes(req, res, next) {
+  const send = res.json.bind(res);
+  res.json = body => send(res.statusCode >= 400 && body?.error ? { ...body, code: errorCode(res.statusCode, body) } : body);
+  next();
+}
+
+// ── Route schemas ─────────────────────────────────────────────────
+// /api routes are declared with api.get/post/put/delete, which take their
+// schemas from lib/api-spec (and refuse a route without one) and check the
+// request just before the handler, after auth and permissions, answering a
+// bad one with a 400 validation_failed that lists each field. With
+// VALIDATE_RESPONSES set, successful responses are checked too and any
+// mismatch is logged; that's for development, as it costs every request.
+// A handler that throws or rejects ends up in the /api error handler, so
+// the request still gets an answer.
+const VALIDATE_RESPONSES = !!process.env.VALIDATE_RESPONSES;
+const declared = [];
+
+function validateRequest(route, spec) {
+  const params = {
+    type: 'object',
+    properties: Object.fromEntries([...route.matchAll(/:(\w+)/g)].map(m => [m[1], { type: 'string', format: 'uuid', message: 'Invalid ID.' }]))
+  };
+  return (req, res, next) => {
+    // A blank query value leaves that filter off, as the handlers read it
+    const query = Object.fromEntries(Object.entries(req.query).filter(([, v]) => v !== ''));
+    const details = [
+      ...schema.validate(params, req.params, { in: 'path' }),
+      ...(spec.query ? schema.validate(spec.query, query, { in: 'query', coerce: true }) : []),
+      ...(spec.body ? schema.validate(spec.body, req.body ?? {}, { in: 'body' }) : [])
+    ];
+    if (details.length) return res.status(400).json({ error: details[0].message, code: 'validation_failed', details });
+    next();
+  };
+}
+
+function checkResponse(route, spec) {
+  return (req, res, next) => {
+    const send = res.json.bind(res);
+    res.json = body => {
+      const problems = res.statusCode < 400 ? schema.validate(spec.response, body) : [];
+      if (problems.length) console.warn(`${req.method} ${route} response does not match its schema:`, problems.slice(0, 5));
+      return send(body);
+    };
+    next();
+  };
+}
+
+const caught = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+const api = {};
+for (const method of ['get', 'post', 'put', 'delete'])
+  api[method] = (route, ...handlers) => {
+    const key = `${method.toUpperCase()} ${route}`;
+    const spec = apiSpec.routes[key];
+    if (!spec) throw new Error(`${key} has no entry in lib/api-spec.js.`);
+    const handler = handlers.pop();
+    const checks = [validateRequest(route, spec)];
+    if (VALIDATE_RESPONSES && spec.response) checks.push(checkResponse(route, spec));
+    app[method](route, ...[...handlers, ...checks, handler].map(caught));
+    declared.push({
+      method: method.toUpperCase(),
+      path: route,
+      auth: handlers.includes(requireAuth),
+      permission: handlers.find(h => h.permission)?.permission || null
+    });
+  };
+
+// ── Audit ─────────────────────────────────────────────────────────
+// One row per write: who did it, what changed, and the values either side.
+// A failed audit insert is logged but never fails the request itself.
+// Every write is also announced to the live portals (see LIVE UPDATES).
+async function audit(req, action, entity, entityId, before, after) {
+  announce(req, action, entity, entityId, before, after)
+    .catch(e => console.error('Live update failed:', e.message));
+  const { error } = await repo.audit.insert({
+    actor_id:   req.user.id,
+    actor_name: req.user.name,
+    action, entity,
+    entity_id:  entityId || null,
+    before:     before || null,
+    after:      after || null
+  });
+  if (error) console.error('Audit write failed:', error.message);
+}
+
+// Flat view of a registration, used for audit before/after values
+async function saleSnapshot(id) {
+  const { data: reg } = await repo.registrations.findOne({ id },
+    { columns: 'id, student_id, event_id, member_id, payment_id, team_id, payment_method, amount_paid, discount, status, refunded_amount, settlement_id' });
+  if (!reg) return null;
+  const [{ data: stu }, { data: pay }] = await Promise.all([
+    repo.students.findOne({ id: reg.student_id }, { columns: 'student_id, name, phone_number, email' }),
+    repo.payments.findOne({ id: reg.payment_id }, { columns: 'transaction_id' })
+  ]);
+  return { ...reg, student: stu, transaction_id: pay?.transaction_id ?? null };
+}
 
 // ════════════════════════════════════════════════════════
 //  AUTH
 // ════════════════════════════════════════════════════════
 
-app.post('/api/login', async (req, res) => {
+api.post('/api/login', async (req, res) => {
   const { email, password } = req.body;
-  if (!email || !password) return res.status(400).json({ error: 'Missing fields.' });
-  if (!isEmail(email))     return res.status(400).json({ error: 'Invalid email.' });
+  const cleanEmail = email.toLowerCase().trim();
+  const keys = ['email:' + cleanEmail, 'ip:' + (req.ip || 'unknown')];
 
-  const { data, error } = await db
-    .from('Members')
-    .select('id, name, email, role')
-    .eq('email', email.toLowerCase().trim())
-    .eq('password', sha256(String(password)))
-    .single();
+  const wait = await lockedFor(keys);
+  if (wait > 0)
+    return res.status(429).json({ error: `Too many failed attempts. Try again in ${Math.ceil(wait / 60000)} min.` });
 
-  if (error || !data) return res.status(401).json({ error: 'Invalid email or password.' });
+  const { data } = await repo.members.findByEmail(cleanEmail);
 
-  const token = makeToken();
-  sessions.set(token, { id: data.id, name: data.name, email: data.email, role: data.role });
-  setTimeout(() => sessions.delete(token), 12 * 60 * 60 * 1000);
-  res.json({ token, name: data.name, role: data.role });
+  const check = data ? await verifyPassword(password, data.password) : { ok: false };
+  if (!check.ok) {
+    await recordLoginFailure(keys[0], LOCKOUT_LIMITS.email);
+    await recordLoginFailure(keys[1], LOCKOUT_LIMITS.ip);
+    return res.status(401).json({ error: 'Invalid email or password.' });
+  }
+
+  await repo.loginFailures.remove({ key: keys[0] });
+  if (check.upgrade)
+    await repo.members.update({ id: data.id }, { password: await hashPassword(password) });
+
+  let token;
+  try { token = await createSession(data, req); }
+  catch (e) { return res.status(500).json({ error: 'Failed to start session.' }); }
+  const { data: eventIds } = await repo.memberEvents.eventIdsFor(data.id);
+  res.json({ token, id: data.id, name: data.name, role: data.role,
+    permissions: perms.permissionsFor(data), event_ids: eventIds || [], must_change_password: !!data.must_change_password });
+});
+
+api.post('/api/logout', requireAuth, async (req, res) => {
+  await repo.sessions.update({ id: req.sessionId }, { revoked_at: new Date().toISOString() });
+  live.disconnect(c => c.sessionId === req.sessionId);
+  res.json({ ok: true });
+});
+
+// ════════════════════════════════════════════════════════
+//  ACCOUNT
+//  The signed-in member's own profile, phone and password,
+//  and forgot-password links for members who can't sign
+//  in. A link carries a single-use token (only its hash
+//  is stored) that lapses after RESET_TTL_MS and goes out
+//  through lib/resets. It points at APP_URL; without that
+//  the member is sent the code to type in instead, since
+//  the request's Host header can't be trusted for links.
+// ════════════════════════════════════════════════════════
+
+const RESET_TTL_MS    = 30 * 60 * 1000;
+const RESET_RESEND_MS = 60 * 1000;
+const APP_URL = String(process.env.APP_URL || '').replace(/\/+$/, '');
+
+api.get('/api/me', requireAuth, async (req, res) => {
+  const [{ data: me, error }, { data: eventIds }] = await Promise.all([
+    repo.members.findOne({ id: req.user.id }, { columns: 'id, name, email, phone_number, role, must_change_password, created_at' }),
+    repo.memberEvents.eventIdsFor(req.user.id)
+  ]);
+  if (error || !me) return res.status(500).json({ error: 'Failed to load your account.' });
+  res.json({ ...me, permissions: perms.permissionsFor(me), event_ids: eventIds || [] });
 });
 
-app.post('/api/logout', requireAuth, (req, res) => {
-  sessions.delete(req.headers['x-session']);
+api.put('/api/me', requireAuth, async (req, res) => {
+  if (req.body.phone === undefined) return res.status(400).json({ error: 'Nothing to update.' });
+  const phone = String(req.body.phone || '').trim() || null;
+  const { data: before } = await repo.members.findOne({ id: req.user.id }, { columns: 'phone_number' });
+  if (phone) {
+    const { data: taken } = await repo.members.findOne({ phone_number: phone, id: { neq: req.user.id } }, { columns: 'id' });
+    if (taken) return res.status(400).json({ error: 'Phone number already used by another member.', code: 'already_exists' });
+  }
+  const { error } = await repo.members.update({ id: req.user.id }, { phone_number: phone });
+  if (error) return res.status(500).json({ error: error.message });
+  await audit(req, 'update', 'member', req.user.id, before, { phone_number: phone });
+  res.json({ ok: true });
+});
+
+// Wrong current passwords count towards the login lockout, so a stolen
+// session can't be used to guess it
+api.put('/api/me/password', requireAuth, async (req, res) => {
+  const { current_password, password } = req.body;
+  const key = 'email:' + req.user.email;
+  const wait = await lockedFor([key]);
+  if (wait > 0)
+    return res.status(429).json({ error: `Too many failed attempts. Try again in ${Math.ceil(wait / 60000)} min.` });
+
+  const { data: me } = await repo.members.findOne({ id: req.user.id }, { columns: 'password' });
+  const check = await verifyPassword(current_password, me?.password);
+  if (!check.ok) {
+    await recordLoginFailure(key, LOCKOUT_LIMITS.email);
+    return res.status(400).json({ error: 'Your current password is wrong.', code: 'wrong_password' });
+  }
+  if (password === current_password)
+    return res.status(400).json({ error: 'Choose a password different from your current one.' });
+
+  const { error } = await repo.members.update({ id: req.user.id }, { password: await hashPassword(password), must_change_password: false });
+  if (error) return res.status(500).json({ error: error.message });
+  await repo.loginFailures.remove({ key });
+  // Everywhere else signed in with the old password is signed out; this session stays
+  await repo.sessions.update({ member_id: req.user.id, revoked_at: null, id: { neq: req.sessionId } }, { revoked_at: new Date().toISOString() });
+  live.disconnect(c => c.user.id === req.user.id && c.sessionId !== req.sessionId);
+  await audit(req, 'change_password', 'member', req.user.id, null, null);
+  res.json({ ok: true });
+});
+
+// Answers the same whether or not the email has an account, and before
+// looking, so neither the reply nor its timing tells
+api.post('/api/password/forgot', async (req, res) => {
+  const email = req.body.email.toLowerCase().trim();
+  res.json({ ok: true });
+  try {
+    const { data: member } = await repo.members.findOne({ email }, { columns: 'id, name, email, phone_number' });
+    if (!member) return;
+    const now = Date.now();
+    const { data: recent } = await repo.passwordResets.count(
+      { member_id: member.id, created_at: { gt: new Date(now - RESET_RESEND_MS).toISOString() } });
+    if (recent) return;
+    // Asking again replaces any link not yet used
+    await repo.passwordResets.remove({ member_id: member.id, used_at: null });
+    const token = makeToken();
+    const expiresAt = new Date(now + RESET_TTL_MS).toISOString();
+    const { error } = await repo.passwordResets.insert({ member_id: member.id, token_hash: sha256(token), ip: req.ip || null, expires_at: expiresAt });
+    if (error) throw error;
+    await resetChannel.send({ member, token, link: APP_URL ? `${APP_URL}/#reset=${token}` : null, expiresAt });
+  } catch (e) {
+    console.error('Password reset failed:', e.message);
+  }
+});
+
+api.post('/api/password/reset', async (req, res) => {
+  const { token, password } = req.body;
+  const invalid = () => res.status(400).json({ error: 'This reset link is invalid or has expired. Ask for a new one.', code: 'invalid_reset_token' });
+  const { data: reset } = await repo.passwordResets.findOne({ token_hash: sha256(token) }, { columns: 'id, member_id, expires_at, used_at' });
+  if (!reset || reset.used_at || new Date(reset.expires_at).getTime() <= Date.now()) return invalid();
+  // Claimed before anything changes, so the same link can't be used twice at once
+  const { data: claimed } = await repo.passwordResets.update({ id: reset.id, used_at: null }, { used_at: new Date().toISOString() });
+  if (!claimed?.length) return invalid();
+
+  const { data: member } = await repo.members.findOne({ id: reset.member_id }, { columns: 'id, name, email, role' });
+  if (!member) return invalid();
+  const { error } = await repo.members.update({ id: member.id }, { password: await hashPassword(password), must_change_password: false });
+  if (error) return res.status(500).json({ error: error.message });
+  await revokeSessions(member.id);
+  await repo.loginFailures.remove({ key: 'email:' + member.email });
+  // Nobody is signed in, but the link proves who this is, so the change is theirs
+  req.user = { id: member.id, name: member.name, role: member.role, event_ids: [] };
+  await audit(req, 'reset_password', 'member', member.id, null, null);
   res.json({ ok: true });
 });
 
+// ════════════════════════════════════════════════════════
+//  LIVE UPDATES
+//  GET /api/live is an event stream (lib/live) with one
+//  `change` per write the caller may see: { entity, id,
+//  action, at }, plus event_ids for registrations. Everyone
+//  hears about events; other changes go to whoever may read
+//  them (lib/permissions). A sale the caller can't see
+//  arrives only as { entity: 'event', action: 'seats' } for
+//  each event whose seat count moved.
+// ════════════════════════════════════════════════════════
+
+api.get('/api/live', requireAuth, (req, res) => {
+  live.subscribe(req, res, req.user, req.sessionId);
+});
+
+// entity → permission needed to hear about it; unlisted entities are admin-only
+const LIVE_READ = {
+  member: 'members.read', student: 'students.read', team: 'sales.all',
+  pricing_rule: 'setup.read', waitlist: 'setup.read', upi_statement: 'payments.verify'
+};
+const holders = permission => u => perms.can(u, permission);
+
+async function announce(req, action, entity, entityId, before, after) {
+  if (!live.size) return;
+  const change = { entity, id: entityId || null, action, at: new Date().toISOString() };
+  if (entity === 'event')      return live.publish(change);
+  if (entity === 'settlement') return live.publish(change, u => perms.can(u, 'cash.all') || u.id === after?.member_id);
+  if (entity !== 'registration') return live.publish(change, holders(LIVE_READ[entity] || 'audit'));
+
+  // Check-ins are audited without the sale's seller and event
+  let reg = [after, before].find(r => r?.member_id);
+  if (!reg) ({ data: reg } = await repo.registrations.findOne({ id: entityId }, { columns: 'member_id, event_id' }));
+  const eventIds = [...new Set([before?.event_id, after?.event_id, reg?.event_id].filter(Boolean))];
+  const sees = u => eventIds.some(id => perms.canSeeSale(u, { member_id: reg?.member_id, event_id: id }));
+  live.publish({ ...change, event_ids: eventIds }, sees);
+  if (action === 'check_in' || action === 'undo_check_in') return;
+  for (const id of eventIds)
+    live.publish({ entity: 'event', id, action: 'seats', at: change.at }, u => !sees(u));
+}
+
 // ════════════════════════════════════════════════════════
 //  STUDENT LOOKUP — by student_id (college roll number etc.)
 //  phone & email still must be unique, checked separately
 // ════════════════════════════════════════════════════════
 
-app.post('/api/students/lookup', requireAuth, async (req, res) => {
+api.post('/api/students/lookup', requireAuth, requirePermission('register'), async (req, res) => {
   const studentId = sanitize(req.body.student_id || '').toUpperCase();
   if (!studentId) return res.status(400).json({ error: 'Enter a Student ID.' });
 
   // Primary lookup: by student_id
-  const { data: byId } = await db
-    .from('Students')
-    .select('id, name, student_id, phone_number, email')
-    .eq('student_id', studentId)
-    .maybeSingle();
+  const { data: byId } = await repo.students.findByStudentId(studentId);
 
   if (byId) {
     // Fetch which events this student is CURRENTLY registered for (not deleted)
-    const { data: regs } = await db
-      .from('Registrations')
-      .select('event_id')
-      .eq('student_id', byId.id);
-    const registeredEventIds = (regs || []).map(r => r.event_id);
+    const { data: registeredEventIds } = await repo.registrations.eventIdsForStudent(byId.id);
     return res.json({ status: 'found', student: byId, registeredEventIds });
   }
 
@@ -95,448 +570,2136 @@ app.post('/api/students/lookup', requireAuth, async (req, res) => {
 });
 
 // Check if a phone or email is already used by another student (for new student flow)
-app.post('/api/students/check-unique', requireAuth, async (req, res) => {
+api.post('/api/students/check-unique', requireAuth, requirePermission('register'), async (req, res) => {
   const { field, value } = req.body;
-  if (!field || !value) return res.status(400).json({ error: 'Missing field or value.' });
-  if (field === 'phone') {
-    if (!isPhone(value)) return res.status(400).json({ error: 'Invalid phone.' });
-    const { data } = await db.from('Students').select('student_id').eq('phone_number', value).maybeSingle();
-    return res.json({ unique: !data, student_id: data?.student_id || null });
-  }
-  if (field === 'email') {
-    if (!isEmail(value)) return res.status(400).json({ error: 'Invalid email.' });
-    const { data } = await db.from('Students').select('student_id').eq('email', value.toLowerCase()).maybeSingle();
-    return res.json({ unique: !data, student_id: data?.student_id || null });
-  }
-  return res.status(400).json({ error: 'field must be phone or email.' });
+  const where = field === 'phone' ? { phone_number: value } : { email: value.toLowerCase() };
+  const { data } = await repo.students.findOne(where, { columns: 'student_id' });
+  res.json({ unique: !data, student_id: data?.student_id || null });
 });
 
 // ════════════════════════════════════════════════════════
 //  EVENTS
 // ════════════════════════════════════════════════════════
 
-app.get('/api/events', requireAuth, async (req, res) => {
-  const { data, error } = await db.from('Events').select('id, title, cost, created_at').order('title');
-  if (error) return res.status(500).json({ error: 'Failed to load events.' });
-  res.json(data);
+const EVENT_COLUMNS = 'id, title, cost, capacity, registration_opens_at, registration_closes_at, starts_at, venue, active, team_min, team_max, created_at';
+const EVENT_TIMES   = ['registration_opens_at', 'registration_closes_at', 'starts_at'];
+
+// Validates the event fields present in body → { fields } or { error }.
+// Blank capacity/times clear them. before is the stored row when editing,
+// so the open/close order is checked against the merged result.
+function eventFields(body, before = null) {
+  const fields = {};
+  if (!before || body.title !== undefined) {
+    fields.title = sanitize(body.title || '');
+    if (!fields.title) return { error: 'Title is required.' };
+  }
+  if (!before || body.cost !== undefined) {
+    fields.cost = parseFloat(body.cost);
+    if (isNaN(fields.cost) || fields.cost <= 0) return { error: 'Cost must be > 0.' };
+  }
+  if (body.capacity !== undefined) {
+    const blank = body.capacity === null || body.capacity === '';
+    fields.capacity = blank ? null : Number(body.capacity);
+    if (!blank && !(Number.isInteger(fields.capacity) && fields.capacity >= 1))
+      return { error: 'Capacity must be a whole number of at least 1, or blank for no limit.' };
+  }
+  for (const col of EVENT_TIMES) {
+    if (body[col] === undefined) continue;
+    fields[col] = dateParam(body[col]);
+    if (fields[col] === undefined) return { error: `Invalid ${col.replace(/_/g, ' ')}.` };
+  }
+  if (body.venue !== undefined) fields.venue = body.venue ? sanitize(body.venue) : null;
+  if (body.active !== undefined) fields.active = body.active !== false && body.active !== 'false';
+  for (const col of ['team_min', 'team_max']) {
+    if (body[col] === undefined) continue;
+    const blank = body[col] === null || body[col] === '';
+    fields[col] = blank ? null : Number(body[col]);
+    if (!blank && !(Number.isInteger(fields[col]) && fields[col] >= 1))
+      return { error: 'Team sizes must be whole numbers of at least 1.' };
+  }
+
+  const merged = { ...before, ...fields };
+  if (merged.registration_opens_at && merged.registration_closes_at &&
+      new Date(merged.registration_opens_at) >= new Date(merged.registration_closes_at))
+    return { error: 'Registration must open before it closes.' };
+  if (merged.team_min && !merged.team_max)
+    return { error: 'Set a maximum team size too, or leave both blank for an individual event.' };
+  if (merged.team_max && (merged.team_max < 2 || (merged.team_min || 1) > merged.team_max))
+    return { error: 'Maximum team size must be at least 2 and no less than the minimum.' };
+  return { fields };
+}
+
+// Adds to the event's price history (EventPrices); Events.cost only ever
+// holds the latest, so sales are priced by when they were made
+function recordPrice(req, eventId, cost) {
+  return repo.eventPrices.insert({ event_id: eventId, cost, set_by: req.user.id });
+}
+
+// Every event with seats taken/left and whether it's taking registrations now
+api.get('/api/events', requireAuth, async (req, res) => {
+  const [{ data, error }, { data: taken, error: takenErr }] = await Promise.all([
+    repo.events.find({}, { columns: EVENT_COLUMNS, orderBy: 'title' }),
+    repo.registrations.seatsTaken()
+  ]);
+  if (error || takenErr) return res.status(500).json({ error: 'Failed to load events.' });
+  res.json(data.map(ev => {
+    const n = taken[ev.id] || 0;
+    return {
+      ...ev,
+      taken: n,
+      seats_left: ev.capacity === null || ev.capacity === undefined ? null : Math.max(ev.capacity - n, 0),
+      state: availability(ev, n)
+    };
+  }));
 });
 
-app.post('/api/events', requireAuth, requireAdmin, async (req, res) => {
-  const title = sanitize(req.body.title || '');
-  const cost  = parseFloat(req.body.cost);
-  if (!title)              return res.status(400).json({ error: 'Title is required.' });
-  if (isNaN(cost)||cost<=0) return res.status(400).json({ error: 'Cost must be > 0.' });
-  const { error } = await db.from('Events').insert({ title, cost });
+api.post('/api/events', requireAuth, requirePermission('events.manage'), async (req, res) => {
+  const { fields, error: bad } = eventFields(req.body);
+  if (bad) return res.status(400).json({ error: bad });
+  const { data: ev, error } = await repo.events.insert(fields);
   if (error) return res.status(500).json({ error: error.message });
+  await recordPrice(req, ev.id, fields.cost);
+  await audit(req, 'create', 'event', ev.id, null, fields);
   res.json({ ok: true });
 });
 
-app.put('/api/events/:id', requireAuth, requireAdmin, async (req, res) => {
+// Partial update: only the fields sent are changed
+api.put('/api/events/:id', requireAuth, requirePermission('events.manage'), async (req, res) => {
   const { id } = req.params;
-  if (!isUUID(id)) return res.status(400).json({ error: 'Invalid event ID.' });
-  const cost = parseFloat(req.body.cost);
-  if (isNaN(cost)||cost<=0) return res.status(400).json({ error: 'Cost must be > 0.' });
-  const { error } = await db.from('Events').update({ cost }).eq('id', id);
+  const { data: before } = await repo.events.findOne({ id }, { columns: EVENT_COLUMNS.replace('id, ', '') });
+  if (!before) return res.status(404).json({ error: 'Event not found.' });
+  const { fields, error: bad } = eventFields(req.body, before);
+  if (bad) return res.status(400).json({ error: bad });
+  const { error } = await repo.events.update({ id }, fields);
   if (error) return res.status(500).json({ error: error.message });
+  if (fields.cost !== undefined && fields.cost !== Number(before.cost)) await recordPrice(req, id, fields.cost);
+  await audit(req, 'update', 'event', id, before, { ...before, ...fields });
   res.json({ ok: true });
 });
 
-app.delete('/api/events/:id', requireAuth, requireAdmin, async (req, res) => {
+// The event's costs, newest first, each with who set it
+api.get('/api/events/:id/prices', requireAuth, requirePermission('setup.read'), async (req, res) => {
+  const { data, error } = await repo.eventPrices.findAll({ event_id: req.params.id },
+    { columns: 'id, cost, effective_from, set_by', orderBy: 'effective_from', ascending: false });
+  if (error) return res.status(500).json({ error: 'Failed to load price history.' });
+  const names = await nameMap('members', 'name');
+  res.json(data.map(p => ({ ...p, set_by_name: names[p.set_by] || null })));
+});
+
+api.delete('/api/events/:id', requireAuth, requirePermission('events.manage'), async (req, res) => {
   const { id } = req.params;
-  if (!isUUID(id)) return res.status(400).json({ error: 'Invalid ID.' });
-  const { error } = await db.from('Events').delete().eq('id', id);
+  const { data: before } = await repo.events.findOne({ id }, { columns: 'title, cost' });
+  const { error } = await repo.events.remove({ id });
   if (error) return res.status(500).json({ error: error.message });
+  if (before) await audit(req, 'delete', 'event', id, before, null);
   res.json({ ok: true });
 });
 
 // ════════════════════════════════════════════════════════
-//  MEMBERS (admin only)
+//  MEMBERS
+//  role is one of lib/permissions ROLES; event_ids are the
+//  events the member is assigned to (MemberEvents).
 // ════════════════════════════════════════════════════════
 
-app.get('/api/members', requireAuth, requireAdmin, async (req, res) => {
-  const { data, error } = await db
-    .from('Members').select('id, name, email, phone_number, role, created_at')
-    .order('created_at', { ascending: false });
-  if (error) return res.status(500).json({ error: 'Failed to load members.' });
-  res.json(data);
+// body.event_ids → { ids } (undefined when absent) or { error }
+async function assignedEvents(body) {
+  if (body.event_ids === undefined) return {};
+  const ids = [...new Set(body.event_ids || [])];
+  if (ids.length) {
+    const { data: found } = await repo.events.count({ id: { in: ids } });
+    if (found !== ids.length) return { error: 'Event not found.' };
+  }
+  return { ids };
+}
+
+api.get('/api/members', requireAuth, requirePermission('members.read'), async (req, res) => {
+  const [{ data, error }, { data: assigned, error: assignedErr }] = await Promise.all([
+    repo.members.find({}, { columns: 'id, name, email, phone_number, role, must_change_password, created_at', orderBy: 'created_at', ascending: false }),
+    repo.memberEvents.findAll({}, { columns: 'member_id, event_id' })
+  ]);
+  if (error || assignedErr) return res.status(500).json({ error: 'Failed to load members.' });
+  const eventIds = {};
+  assigned.forEach(a => (eventIds[a.member_id] ||= []).push(a.event_id));
+  res.json(data.map(m => ({ ...m, event_ids: eventIds[m.id] || [] })));
 });
 
-app.post('/api/members', requireAuth, requireAdmin, async (req, res) => {
+api.post('/api/members', requireAuth, requirePermission('members.manage'), async (req, res) => {
   const name    = sanitize(req.body.name || '');
   const email   = sanitize(req.body.email || '').toLowerCase();
   const pw      = String(req.body.password || '');
-  const role    = req.body.role === 'admin' ? 'admin' : 'member';
+  const role    = perms.ROLES.includes(req.body.role) ? req.body.role : 'member';
   const phone_m = String(req.body.phone || '').trim();
-  if (!name)           return res.status(400).json({ error: 'Name is required.' });
-  if (!isEmail(email)) return res.status(400).json({ error: 'Invalid email.' });
-  if (pw.length < 8)   return res.status(400).json({ error: 'Password must be at least 8 characters.' });
-  if (phone_m && !isPhone(phone_m)) return res.status(400).json({ error: 'Member phone must be 10 digits.' });
+  const must_change_password = req.body.must_change_password === true;
+  const { ids: eventIds = [], error: badEvents } = await assignedEvents(req.body);
+  if (badEvents) return res.status(400).json({ error: badEvents });
+  if (!name)     return res.status(400).json({ error: 'Name is required.' });
   // Check phone uniqueness manually before insert (gives clear message)
   if (phone_m) {
-    const { data: ph_taken } = await db.from('Members').select('id').eq('phone_number', phone_m).maybeSingle();
-    if (ph_taken) return res.status(400).json({ error: 'Phone number already used by another member.' });
+    const { data: ph_taken } = await repo.members.findOne({ phone_number: phone_m }, { columns: 'id' });
+    if (ph_taken) return res.status(400).json({ error: 'Phone number already used by another member.', code: 'already_exists' });
   }
-  const { error } = await db.from('Members').insert({ name, email, password: sha256(pw), role, phone_number: phone_m || null });
+  const { data: mem, error } = await repo.members.insert({ name, email, password: await hashPassword(pw), role, phone_number: phone_m || null, must_change_password });
   if (error) {
-    if (error.code === '23505') return res.status(400).json({ error: 'Email already exists.' });
+    if (error.code === '23505') return res.status(400).json({ error: 'Email already exists.', code: 'already_exists' });
     return res.status(500).json({ error: error.message });
   }
+  if (eventIds.length) {
+    const { error: assignErr } = await repo.memberEvents.assign(mem.id, eventIds);
+    if (assignErr) return res.status(500).json({ error: assignErr.message });
+  }
+  await audit(req, 'create', 'member', mem.id, null, { name, email, role, phone_number: phone_m || null, must_change_password, event_ids: eventIds });
   res.json({ ok: true });
 });
 
-app.put('/api/members/:id', requireAuth, requireAdmin, async (req, res) => {
+api.put('/api/members/:id', requireAuth, requirePermission('members.manage'), async (req, res) => {
   const { id } = req.params;
-  if (!isUUID(id)) return res.status(400).json({ error: 'Invalid ID.' });
+  const { data: current } = await repo.members.findOne({ id }, { columns: 'name, email, phone_number, role, must_change_password' });
+  if (!current) return res.status(404).json({ error: 'Member not found.' });
+  const { ids: eventIds, error: badEvents } = await assignedEvents(req.body);
+  if (badEvents) return res.status(400).json({ error: badEvents });
+  const { data: currentEvents, error: eventsErr } = await repo.memberEvents.eventIdsFor(id);
+  if (eventsErr) return res.status(500).json({ error: eventsErr.message });
+  const reassigned = eventIds && (eventIds.length !== currentEvents.length || eventIds.some(e => !currentEvents.includes(e)));
   const updates = {};
-  if (req.body.role && ['admin','member'].includes(req.body.role)) updates.role = req.body.role;
-  if (req.body.password) {
-    if (String(req.body.password).length < 8) return res.status(400).json({ error: 'Password too short.' });
-    updates.password = sha256(String(req.body.password));
-  }
+  if (req.body.role && perms.ROLES.includes(req.body.role)) updates.role = req.body.role;
+  if (req.body.password) updates.password = await hashPassword(req.body.password);
+  if (typeof req.body.must_change_password === 'boolean') updates.must_change_password = req.body.must_change_password;
   if (req.body.name)  updates.name  = sanitize(req.body.name);
   if (typeof req.body.phone !== 'undefined') {
-    const ph = String(req.body.phone).trim();
-    if (ph && !isPhone(ph)) return res.status(400).json({ error: 'Phone must be 10 digits.' });
+    const ph = String(req.body.phone || '').trim();
     if (ph) {
-      const { data: ph_taken } = await db.from('Members').select('id').eq('phone_number', ph).neq('id', id).maybeSingle();
-      if (ph_taken) return res.status(400).json({ error: 'Phone number already used by another member.' });
+      const { data: ph_taken } = await repo.members.findOne({ phone_number: ph, id: { neq: id } }, { columns: 'id' });
+      if (ph_taken) return res.status(400).json({ error: 'Phone number already used by another member.', code: 'already_exists' });
     }
     updates.phone_number = ph || null;
   }
-  if (req.body.email) {
-    const e = sanitize(req.body.email).toLowerCase();
-    if (!isEmail(e)) return res.status(400).json({ error: 'Invalid email.' });
-    updates.email = e;
+  if (req.body.email) updates.email = sanitize(req.body.email).toLowerCase();
+  if (!Object.keys(updates).length && !reassigned) return res.status(400).json({ error: 'Nothing to update.' });
+  if (Object.keys(updates).length) {
+    const { error } = await repo.members.update({ id }, updates);
+    if (error) return res.status(500).json({ error: error.message });
   }
-  if (!Object.keys(updates).length) return res.status(400).json({ error: 'Nothing to update.' });
-  const { error } = await db.from('Members').update(updates).eq('id', id);
-  if (error) return res.status(500).json({ error: error.message });
+  if (reassigned) {
+    const { error } = await repo.memberEvents.assign(id, eventIds);
+    if (error) return res.status(500).json({ error: error.message });
+    // Live streams filter on the assignments they were opened with
+    live.disconnect(c => c.user.id === id);
+  }
+  // A new role or password must not ride on sessions issued under the old one
+  if ((updates.role && updates.role !== current.role) || updates.password) await revokeSessions(id);
+  const { password, ...changed } = updates;
+  await audit(req, 'update', 'member', id, { ...current, event_ids: currentEvents },
+    { ...current, event_ids: eventIds || currentEvents, ...changed, ...(password ? { password_changed: true } : {}) });
   res.json({ ok: true });
 });
 
-app.delete('/api/members/:id', requireAuth, requireAdmin, async (req, res) => {
+api.delete('/api/members/:id', requireAuth, requirePermission('members.manage'), async (req, res) => {
   const { id } = req.params;
-  if (!isUUID(id)) return res.status(400).json({ error: 'Invalid ID.' });
   if (id === req.user.id) return res.status(400).json({ error: "You can't delete yourself." });
-  const { error } = await db.from('Members').delete().eq('id', id);
+  const { data: before } = await repo.members.findOne({ id }, { columns: 'name, email, phone_number, role' });
+  await revokeSessions(id);
+  const { error } = await repo.members.remove({ id });
   if (error) return res.status(500).json({ error: error.message });
+  if (before) await audit(req, 'delete', 'member', id, before, null);
+  res.json({ ok: true });
+});
+
+// Active sessions for a member — lets an admin sign out a lost phone
+api.get('/api/members/:id/sessions', requireAuth, requirePermission('members.manage'), async (req, res) => {
+  const { id } = req.params;
+  const { data, error } = await repo.sessions.find(
+    { member_id: id, revoked_at: null, expires_at: { gt: new Date().toISOString() } },
+    { columns: 'id, ip, user_agent, created_at, last_seen_at, expires_at', orderBy: 'last_seen_at', ascending: false });
+  if (error) return res.status(500).json({ error: 'Failed to load sessions.' });
+  res.json(data.map(s => ({ ...s, current: s.id === req.sessionId })));
+});
+
+api.delete('/api/members/:id/sessions', requireAuth, requirePermission('members.manage'), async (req, res) => {
+  const { id } = req.params;
+  const { data: revoked, error } = await revokeSessions(id);
+  if (error) return res.status(500).json({ error: error.message });
+  await audit(req, 'revoke_sessions', 'member', id, null, { sessions: revoked.length });
+  res.json({ ok: true });
+});
+
+api.delete('/api/members/:id/sessions/:sid', requireAuth, requirePermission('members.manage'), async (req, res) => {
+  const { id, sid } = req.params;
+  const { error } = await repo.sessions.update({ id: sid, member_id: id }, { revoked_at: new Date().toISOString() });
+  if (error) return res.status(500).json({ error: error.message });
+  live.disconnect(c => c.sessionId === sid);
+  await audit(req, 'revoke_session', 'member', id, null, { session_id: sid });
   res.json({ ok: true });
 });
 
 // ════════════════════════════════════════════════════════
-//  STUDENTS (admin only)
+//  STUDENTS
 // ════════════════════════════════════════════════════════
 
-app.get('/api/students', requireAuth, requireAdmin, async (req, res) => {
-  const { data, error } = await db
-    .from('Students').select('id, student_id, name, phone_number, email, created_at')
-    .order('created_at', { ascending: false });
+// ?q= searches name, student ID, phone and email → { rows, total, limit, offset }
+api.get('/api/students', requireAuth, requirePermission('students.read'), async (req, res) => {
+  const page = pageParams(req.query, ['created_at', 'name', 'student_id'], 'created_at');
+  const { data, count, error } = await repo.students.search({ q: searchTerm(req.query.q), ...page });
   if (error) return res.status(500).json({ error: 'Failed to load students.' });
-  res.json(data);
+  res.json({ rows: data, total: count, limit: page.limit, offset: page.offset });
 });
 
-app.put('/api/students/:id', requireAuth, requireAdmin, async (req, res) => {
+api.put('/api/students/:id', requireAuth, requirePermission('students.manage'), async (req, res) => {
   const { id } = req.params;
-  if (!isUUID(id)) return res.status(400).json({ error: 'Invalid ID.' });
   const name       = sanitize(req.body.name  || '');
   const phone      = String(req.body.phone   || '').trim();
   const email      = sanitize(req.body.email || '').toLowerCase();
   const student_id = sanitize(req.body.student_id || '').toUpperCase();
-  if (!name)           return res.status(400).json({ error: 'Name is required.' });
-  if (!isPhone(phone)) return res.status(400).json({ error: 'Phone must be 10 digits.' });
-  if (!isEmail(email)) return res.status(400).json({ error: 'Invalid email.' });
-  if (!student_id)     return res.status(400).json({ error: 'Student ID is required.' });
-  const { error } = await db.from('Students')
-    .update({ name, phone_number: phone, email, student_id }).eq('id', id);
+  if (!name)       return res.status(400).json({ error: 'Name is required.' });
+  if (!student_id) return res.status(400).json({ error: 'Student ID is required.' });
+  const { data: before } = await repo.students.findOne({ id }, { columns: 'student_id, name, phone_number, email' });
+  if (!before) return res.status(404).json({ error: 'Student not found.' });
+  const { error } = await repo.students.update({ id }, { name, phone_number: phone, email, student_id });
   if (error) {
-    if (error.code === '23505') return res.status(400).json({ error: 'Phone, email, or Student ID already used by another student.' });
+    if (error.code === '23505')
+      return res.status(400).json({ error: await studentClash({ student_id, phone_number: phone, email }, id), code: 'already_exists' });
     return res.status(500).json({ error: error.message });
   }
+  await audit(req, 'update', 'student', id, before, { student_id, name, phone_number: phone, email });
   res.json({ ok: true });
 });
 
-app.delete('/api/students/:id', requireAuth, requireAdmin, async (req, res) => {
+api.delete('/api/students/:id', requireAuth, requirePermission('students.manage'), async (req, res) => {
   const { id } = req.params;
-  if (!isUUID(id)) return res.status(400).json({ error: 'Invalid ID.' });
-  const { error } = await db.from('Students').delete().eq('id', id);
+  const { data: before } = await repo.students.findOne({ id }, { columns: 'student_id, name, phone_number, email' });
+  const { error } = await repo.students.remove({ id });
   if (error) return res.status(500).json({ error: error.message });
+  if (before) await audit(req, 'delete', 'student', id, before, null);
   res.json({ ok: true });
 });
 
+const CLASH_LABELS = { student_id: 'Student ID', phone_number: 'Phone', email: 'Email' };
+
+// Why saving fields hit a unique constraint, naming the student who already
+// holds the value. exceptId is the row being saved.
+async function studentClash(fields, exceptId = null) {
+  for (const col of Object.keys(CLASH_LABELS)) {
+    if (!fields[col]) continue;
+    const { data: owner } = await repo.students.findOne({ [col]: fields[col] }, { columns: 'id, name, student_id' });
+    if (owner && owner.id !== exceptId)
+      return `${CLASH_LABELS[col]} ${fields[col]} is already used by ${owner.name}` +
+        (col === 'student_id' ? '.' : ` (${owner.student_id}).`);
+  }
+  return 'Phone, email, or Student ID already used by another student.';
+}
+
+// ════════════════════════════════════════════════════════
+//  DUPLICATE STUDENTS
+//  Pairs that look like the same person (lib/students),
+//  and folding one record into the other. Everything the
+//  duplicate had moves across; where both hold a place in
+//  the same event, one place is cancelled.
+// ════════════════════════════════════════════════════════
+
+const DUPLICATE_PAIRS = 100;
+
+// → { pairs: [{ reasons, students: [a, b] }], total }; each student carries
+// `registrations`, their count of active places
+api.get('/api/students/duplicates', requireAuth, requirePermission('students.manage'), async (req, res) => {
+  const { data: students, error } = await repo.students.findAll({}, { columns: 'id, student_id, name, phone_number, email, created_at' });
+  if (error) return res.status(500).json({ error: 'Failed to load students.' });
+
+  const found = findDuplicates(students);
+  const pairs = found.slice(0, DUPLICATE_PAIRS);
+  const ids = [...new Set(pairs.flatMap(p => p.ids))];
+  const { data: regs } = ids.length
+    ? await repo.registrations.findAll({ student_id: { in: ids }, status: 'active' }, { columns: 'student_id' })
+    : { data: [] };
+  const places = {};
+  for (const r of regs || []) places[r.student_id] = (places[r.student_id] || 0) + 1;
+
+  const byId = new Map(students.map(s => [s.id, s]));
+  res.json({
+    pairs: pairs.map(p => ({
+      reasons: p.reasons,
+      students: p.ids.map(id => ({ ...byId.get(id), registrations: places[id] || 0 }))
+    })),
+    total: found.length
+  });
+});
+
+// Folds student `from` into :id, which stays. ?dry_run=1 (the default) only
+// reports what would happen → { keep, merge, moved, conflicts }, conflicts
+// being the events both are registered for and which place goes. A paid
+// place that would go is a 409 until it has been refunded.
+// Body: { from }
+api.post('/api/students/:id/merge', requireAuth, requirePermission('students.manage'), async (req, res) => {
+  const { id } = req.params;
+  const { from } = req.body;
+  const dryRun = !['0', 'false'].includes(String(req.query.dry_run));
+  if (id === from) return res.status(400).json({ error: 'Pick two different students.' });
+
+  const columns = 'id, student_id, name, phone_number, email';
+  const [{ data: keep }, { data: merge }] = await Promise.all([
+    repo.students.findOne({ id }, { columns }),
+    repo.students.findOne({ id: from }, { columns })
+  ]);
+  if (!keep || !merge) return res.status(404).json({ error: 'Student not found.' });
+
+  const { data: regs, error } = await repo.registrations.findAll(
+    { student_id: { in: [id, from] }, status: 'active' },
+    { columns: 'id, student_id, event_id, amount_paid, checked_in_at, team_id' }
+  );
+  if (error) return res.status(500).json({ error: 'Failed to load registrations.' });
+
+  const teamIds = [...new Set(regs.map(r => r.team_id).filter(Boolean))];
+  const eventIds = [...new Set(regs.map(r => r.event_id))];
+  const [{ data: teams }, { data: evs }] = await Promise.all([
+    teamIds.length ? repo.teams.find({ id: { in: teamIds } }, { columns: 'id, captain_id' }) : { data: [] },
+    eventIds.length ? repo.events.find({ id: { in: eventIds } }, { columns: 'id, title' }) : { data: [] }
+  ]);
+  const captainOf = new Map((teams || []).map(t => [t.id, t.captain_id]));
+  const title = eventId => (evs || []).find(ev => ev.id === eventId)?.title || 'an event';
+  const places = studentId => regs.filter(r => r.student_id === studentId)
+    .map(r => ({ ...r, captain: !!r.team_id && captainOf.get(r.team_id) === studentId }));
+
+  const plan = mergePlan(places(id), places(from));
+  if (plan.error)
+    return res.status(409).json({ error: `Both are registered for ${title(plan.event_id)}, and the place that would be cancelled is a team captain's. Change the team's captain first.` });
+
+  const reg = regId => regs.find(r => r.id === regId);
+  // Cancelling a paid place would drop money that was taken; it is refunded first
+  const paid = plan.cancel.find(c => Number(reg(c.cancelled).amount_paid) > 0);
+  if (paid) {
+    const who = reg(paid.cancelled).student_id === id ? keep : merge;
+    return res.status(409).json({ error: `Both are registered for ${title(paid.event_id)}, and ${who.student_id} paid ${reports.money(reg(paid.cancelled).amount_paid)} for the place that would be cancelled. Refund it first, then merge.` });
+  }
+  const conflicts = plan.cancel.map(c => ({
+    event_id: c.event_id,
+    title: title(c.event_id),
+    kept: c.kept,
+    cancelled: c.cancelled,
+    cancelled_student: reg(c.cancelled).student_id === id ? keep.student_id : merge.student_id,
+    cancelled_amount: Number(reg(c.cancelled).amount_paid)
+  }));
+  const summary = { keep, merge, moved: places(from).length - conflicts.filter(c => reg(c.cancelled).student_id === from).length, conflicts };
+  if (dryRun) return res.json({ dry_run: true, ...summary });
+
+  const cancelIds = plan.cancel.map(c => c.cancelled);
+  const before = {};
+  for (const rid of cancelIds) before[rid] = await saleSnapshot(rid);
+
+  const { data: merged, error: mergeErr } = await repo.students.merge({
+    keepId: id, mergeId: from, cancelIds,
+    reason: `Duplicate of ${keep.student_id} (merged)`,
+    actorId: req.user.id
+  });
+  if (mergeErr) {
+    if (mergeErr.code === '23505')
+      return res.status(409).json({ error: 'Their registrations changed while merging. Check again and retry.' });
+    if (mergeErr.code === 'P0001') return res.status(409).json({ error: mergeErr.message });
+    return res.status(500).json({ error: mergeErr.message });
+  }
+
+  const { id: _, ...gone } = merge;
+  await audit(req, 'merge', 'student', id, gone, {
+    merged_into: keep.student_id,
+    registrations_moved: summary.moved,
+    registrations_cancelled: merged.cancelled.length
+  });
+  for (const rid of cancelIds)
+    await audit(req, 'cancel', 'registration', rid, before[rid], await saleSnapshot(rid));
+  res.json({ ok: true, ...summary });
+});
+
 // ════════════════════════════════════════════════════════
 //  REGISTRATIONS
 // ════════════════════════════════════════════════════════
 
-app.get('/api/sales', requireAuth, async (req, res) => {
-  let query = db.from('Registrations')
-    .select(`
-      id, payment_method, amount_paid, registered_at,
-      Students ( id, student_id, name, phone_number, email ),
-      Events ( id, title ),
-      Members ( id, name ),
-      Payments ( transaction_id, payment_method )
-    `)
-    .order('registered_at', { ascending: false });
+// Filters shared by the sales listing and its export (lib/api-spec
+// SALES_FILTERS): ids (comma-separated registration ids), q (student
+// name/ID/phone/email), event_id, member_id, payment_method, status, from,
+// to, always narrowed to the sales the caller may read (lib/permissions
+// salesScope). Sends the 403 itself and returns null when none are.
+function salesFilters(req, res) {
+  const { event_id, member_id, payment_method, status } = req.query;
+  const scope = perms.salesScope(req.user);
+  if (!scope) { res.status(403).json({ error: 'You do not have permission to do that.' }); return null; }
+  return {
+    ids: req.query.ids ? req.query.ids.split(',') : undefined,
+    memberId: scope.memberId || member_id,
+    eventId: event_id,
+    eventIds: scope.eventIds,
+    paymentMethod: payment_method,
+    status,
+    from: dateParam(req.query.from),
+    to:   dateParam(req.query.to, true),
+    q: searchTerm(req.query.q)
+  };
+}
 
-  if (req.user.role !== 'admin')
-    query = query.eq('member_id', req.user.id);
+// → { rows, total, limit, offset }; for those who can resend receipts each
+// row has `email`, the latest receipt or notice about it (see EMAIL)
+api.get('/api/sales', requireAuth, async (req, res) => {
+  const filters = salesFilters(req, res);
+  if (!filters) return;
 
-  const { data, error } = await query;
+  const page = pageParams(req.query, ['registered_at', 'amount_paid'], 'registered_at');
+  const { data, count, error } = await repo.registrations.listSales({ ...filters, ...page });
   if (error) return res.status(500).json({ error: 'Failed to load sales.' });
 
-  res.json(data);
+  const rows = perms.can(req.user, 'emails') ? await withEmailStatus(data) : data;
+  res.json({ rows, total: count, limit: page.limit, offset: page.offset });
 });
 
-// POST /api/register — supports multiple events in one call
-app.post('/api/register', requireAuth, async (req, res) => {
-  const { student_id, name, phone, email, event_ids, payment_method, transaction_id } = req.body;
+// Student details shared by /api/register, /api/waitlist and teams, their
+// formats already checked against the route's schema → { student } or { error }
+function studentBody(body) {
+  const { student_id, name, phone, email } = body;
+  if (!student_id || !name || !phone || !email) return { error: 'Missing required fields.' };
+  return {
+    student: {
+      student_id:   sanitize(student_id).toUpperCase(),
+      name:         sanitize(name),
+      email:        sanitize(email).toLowerCase(),
+      phone_number: String(phone)
+    }
+  };
+}
+
+// Creates the student or refreshes their details, auditing either way → { id } or { error }
+async function upsertStudent(req, { student_id, ...stuFields }) {
+  const { data: existing } = await repo.students.findByStudentId(student_id);
+
+  if (existing) {
+    const { error } = await repo.students.update({ id: existing.id }, stuFields);
+    if (error) return { error: error.code === '23505' ? await studentClash(stuFields, existing.id) : error.message };
 
-  if (!student_id || !name || !phone || !email || !event_ids?.length || !payment_method)
-    return res.status(400).json({ error: 'Missing required fields.' });
+    const { id: _, ...before } = existing;
+    if (Object.keys(stuFields).some(k => stuFields[k] !== before[k]))
+      await audit(req, 'update', 'student', existing.id, before, { ...before, ...stuFields });
+    return { id: existing.id };
+  }
 
-  if (!isPhone(phone)) return res.status(400).json({ error: 'Phone must be 10 digits.' });
-  if (!isEmail(email)) return res.status(400).json({ error: 'Invalid email.' });
-  if (!Array.isArray(event_ids) || event_ids.some(id => !isUUID(id)))
-    return res.status(400).json({ error: 'Invalid event selection.' });
+  const { data: newStu, error } = await repo.students.insert({ student_id, ...stuFields });
+  if (error) return { error: error.code === '23505' ? await studentClash({ student_id, ...stuFields }) : error.message };
+  await audit(req, 'create', 'student', newStu.id, null, { student_id, ...stuFields });
+  return { id: newStu.id };
+}
 
-  if (!['cash','upi'].includes(payment_method))
-    return res.status(400).json({ error: 'Invalid payment method.' });
+// The first of eventIds that isn't taking registrations, as a 409 body, or
+// null. A quick early answer only: registering re-checks atomically.
+async function unavailableEvent(eventIds) {
+  const [{ data: evs }, { data: taken }] = await Promise.all([
+    repo.events.find({ id: { in: eventIds } }),
+    repo.registrations.seatsTaken(eventIds)
+  ]);
+  for (const ev of evs || []) {
+    const state = availability(ev, taken[ev.id] || 0);
+    if (state !== 'open') return { error: unavailable(ev, state).message, event_id: ev.id, state };
+  }
+  return null;
+}
 
-  if (payment_method === 'upi' && !transaction_id)
-    return res.status(400).json({ error: 'UPI transaction ID required.' });
+// First of eventIds that needs a team (POST /api/teams), or null
+async function teamEventAmong(eventIds) {
+  const { data } = await repo.events.find({ id: { in: eventIds }, team_max: { gte: 2 } }, { columns: 'id, title', limit: 1 });
+  return data?.[0] || null;
+}
 
-  const cleanStudId = sanitize(student_id).toUpperCase();
-  const cleanName   = sanitize(name);
-  const cleanEmail  = sanitize(email).toLowerCase();
-  const cleanTxn    = payment_method === 'upi' ? sanitize(transaction_id) : null;
+// POST /api/register — supports multiple events in one call; coupon_code is optional.
+// Desks send an Idempotency-Key so a retry after a timeout is answered, not repeated.
+api.post('/api/register', requireAuth, requirePermission('register'), idempotent, async (req, res) => {
+  const { event_ids, payment_method, transaction_id, coupon_code } = req.body;
 
-  // ───── UPSERT STUDENT ─────
-  let studentDbId;
+  const { student, error: badStudent } = studentBody(req.body);
+  if (badStudent) return res.status(400).json({ error: badStudent });
+  if (!requireEvents(req, res, event_ids)) return;
 
-  const { data: existing } = await db
-    .from('Students')
-    .select('id')
-    .eq('student_id', cleanStudId)
-    .maybeSingle();
+  const cleanTxn = payment_method === 'upi' ? sanitize(transaction_id) : null;
 
-  if (existing) {
-    studentDbId = existing.id;
+  const teamEvent = await teamEventAmong(event_ids);
+  if (teamEvent) return res.status(400).json({ error: `${teamEvent.title} is a team event; register a team instead.` });
 
-    const { error: stuUpdateErr } = await db
-      .from('Students')
-      .update({
-        name: cleanName,
-        email: cleanEmail,
-        phone_number: String(phone)
-      })
-      .eq('id', studentDbId);
+  // ───── SEATS & REGISTRATION WINDOWS ─────
+  const closed = await unavailableEvent(event_ids);
+  if (closed) return res.status(409).json(closed);
 
-    if (stuUpdateErr)
-      return res.status(400).json({ error: stuUpdateErr.message });
+  // ───── PRICE ─────
+  const price = await priceBasket(event_ids, coupon_code);
+  if (price.error) return res.status(400).json({ error: price.error });
 
-  } else {
-    const { data: newStu, error: stuErr } = await db
-      .from('Students')
-      .insert({
-        student_id: cleanStudId,
-        name: cleanName,
-        email: cleanEmail,
-        phone_number: String(phone)
-      })
-      .select()
-      .single();
-
-    if (stuErr)
-      return res.status(400).json({ error: stuErr.message });
-
-    studentDbId = newStu.id;
-  }
-
-  // ───── CALL TRANSACTIONAL RPC ─────
-  const { error: rpcErr } = await db.rpc('register_student_with_payment', {
-    p_student_uuid: studentDbId,
-    p_member_uuid: req.user.id,
-    p_event_ids: event_ids,
-    p_payment_method: payment_method,
-    p_transaction_id: cleanTxn
+  // ───── UPSERT STUDENT ─────
+  const { id: studentDbId, error: stuErr } = await upsertStudent(req, student);
+  if (stuErr) return res.status(400).json({ error: stuErr });
+
+  // ───── TRANSACTIONAL REGISTER ─────
+  const { error: rpcErr } = await repo.registrations.registerWithPayment({
+    studentId: studentDbId,
+    memberId: req.user.id,
+    eventIds: event_ids,
+    paymentMethod: payment_method,
+    transactionId: cleanTxn,
+    discounts: Object.fromEntries(price.lines.filter(l => l.discount > 0).map(l => [l.event_id, l.discount])),
+    ruleIds: price.applied.map(a => a.rule_id),
+    couponCode: price.applied.find(a => a.code)?.code || null
   });
 
   if (rpcErr) {
     if (rpcErr.code === '23505')
-      return res.status(400).json({ error: 'Duplicate event or transaction ID.' });
+      return res.status(400).json({ error: 'Duplicate event or transaction ID.', code: 'already_exists' });
+
+    if (UNAVAILABLE_CODES.includes(rpcErr.code) || rpcErr.code === pricing.COUPON_USED_UP_CODE)
+      return res.status(409).json({ error: rpcErr.message });
 
     return res.status(500).json({ error: rpcErr.message });
   }
 
-  res.json({ ok: true });
-});
-
-app.put('/api/sales/:id', requireAuth, async (req, res) => {
-  const { id } = req.params;
-  const { student_id, name, phone, email, event_id, payment_method, transaction_id } = req.body;
-
-  // ───────── Basic Validation ─────────
-  if (!isUUID(id) || !isUUID(String(student_id)) || !isUUID(String(event_id)))
-    return res.status(400).json({ error: 'Invalid IDs.' });
+  const { data: created } = await repo.registrations.find(
+    { student_id: studentDbId, event_id: { in: event_ids }, status: 'active' }, { columns: 'id' });
+  for (const { id } of created || [])
+    await audit(req, 'create', 'registration', id, null, await saleSnapshot(id));
+  await queueReceipts(req, (created || []).map(r => r.id));
 
-  if (!name || !phone || !email || !payment_method)
-    return res.status(400).json({ error: 'Missing fields.' });
-
-  if (!isPhone(phone))
-    return res.status(400).json({ error: 'Phone must be 10 digits.' });
+  res.json({ ok: true, count: event_ids.length, total: price.total, discount: price.discount });
+});
 
-  if (!isEmail(email))
-    return res.status(400).json({ error: 'Invalid email.' });
+// Cash handed over to the treasurer can only be corrected by an admin
+const SETTLED_LOCKED = 'This registration has been settled and can no longer be changed.';
 
-  if (!['cash', 'upi'].includes(payment_method))
-    return res.status(400).json({ error: 'Invalid payment method.' });
+// Edit/cancel check for reg (a saleSnapshot) → null when allowed, else [status, message].
+// Sellers may change their own sales until the cash is handed over; sales.edit may change any.
+function saleEditBlocked(user, reg) {
+  if (perms.can(user, 'sales.edit')) return null;
+  if (!perms.can(user, 'sales.own') || reg.member_id !== user.id) return [403, 'Not authorized.'];
+  if (reg.settlement_id) return [409, SETTLED_LOCKED];
+  return null;
+}
 
-  if (payment_method === 'upi' && !transaction_id)
-    return res.status(400).json({ error: 'UPI transaction ID required.' });
+api.put('/api/sales/:id', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  // Fields and formats are checked by the route's schema, shared with /api/register
+  const { student_id, name, phone, email, event_id, payment_method, transaction_id } = req.body;
 
   // ───────── Fetch Existing Registration ─────────
-  const { data: reg } = await db
-    .from('Registrations')
-    .select('member_id, payment_id')
-    .eq('id', id)
-    .single();
+  const reg = await saleSnapshot(id);
 
   if (!reg)
     return res.status(404).json({ error: 'Registration not found.' });
 
-  if (req.user.role !== 'admin' && reg.member_id !== req.user.id)
-    return res.status(403).json({ error: 'Not authorized.' });
+  const blocked = saleEditBlocked(req.user, reg);
+  if (blocked) return res.status(blocked[0]).json({ error: blocked[1] });
+  if (!requireEvents(req, res, [event_id])) return;
+
+  if (reg.status !== 'active')
+    return res.status(409).json({ error: `This registration was ${reg.status} and can no longer be edited.` });
+
+  // The student is the registration's own; moving a sale to someone else is a new sale
+  if (student_id !== reg.student_id)
+    return res.status(400).json({ error: 'This registration belongs to another student.' });
 
   // ───────── Prevent Duplicate Event BEFORE Updating ─────────
-  const { data: duplicate } = await db
-    .from('Registrations')
-    .select('id')
-    .eq('student_id', student_id)
-    .eq('event_id', event_id)
-    .neq('id', id)
-    .maybeSingle();
+  const { data: duplicate } = await repo.registrations.findOne(
+    { student_id: reg.student_id, event_id, status: 'active', id: { neq: id } }, { columns: 'id' });
 
   if (duplicate) {
     return res.status(400).json({
-      error: 'This student is already registered for the selected event.'
+      error: 'This student is already registered for the selected event.',
+      code: 'already_exists'
     });
   }
 
   // ───────── Get Event Cost ─────────
-  const { data: evData } = await db
-    .from('Events')
-    .select('cost')
-    .eq('id', event_id)
-    .single();
+  const { data: evData } = await repo.events.findOne({ id: event_id }, { columns: 'cost' });
 
   if (!evData)
     return res.status(400).json({ error: 'Event not found.' });
 
+  // Moving to another event takes a seat there
+  if (event_id !== reg.event_id) {
+    if (reg.team_id)
+      return res.status(409).json({ error: 'Team members stay with their team; edit the roster instead.' });
+    if (await teamEventAmong([event_id]))
+      return res.status(400).json({ error: 'That is a team event; register a team instead.' });
+    const closed = await unavailableEvent([event_id]);
+    if (closed) return res.status(409).json(closed);
+  }
+  const previous = (await orderSnapshot(reg.payment_id)).total;
+
   // ───────── Update Student ─────────
-  const { error: stuErr } = await db
-    .from('Students')
-    .update({
-      name: sanitize(name),
-      phone_number: String(phone),
-      email: sanitize(email).toLowerCase()
-    })
-    .eq('id', student_id);
-
-  if (stuErr)
+  const stuFields = {
+    name: sanitize(name),
+    phone_number: String(phone),
+    email: sanitize(email).toLowerCase()
+  };
+  const { error: stuErr } = await repo.students.update({ id: reg.student_id }, stuFields);
+
+  if (stuErr) {
+    if (stuErr.code === '23505')
+      return res.status(400).json({ error: await studentClash(stuFields, reg.student_id), code: 'already_exists' });
     return res.status(500).json({ error: stuErr.message });
+  }
+  if (Object.keys(stuFields).some(k => stuFields[k] !== reg.student[k]))
+    await audit(req, 'update', 'student', reg.student_id, reg.student, { ...reg.student, ...stuFields });
 
   // ───────── Update Payment ─────────
+  // A new transaction ID has to be checked against a statement again
+  const unverified = { upi_status: null, upi_amount: null, upi_checked_at: null, upi_statement_id: null };
   if (payment_method === 'upi') {
     const cleanTxn = sanitize(transaction_id);
 
-    const { error: payErr } = await db
-      .from('Payments')
-      .update({
-        transaction_id: cleanTxn,
-        payment_method
-      })
-      .eq('id', reg.payment_id);
+    const { error: payErr } = await repo.payments.update({ id: reg.payment_id }, {
+      transaction_id: cleanTxn,
+      payment_method,
+      ...(cleanTxn !== reg.transaction_id && unverified)
+    });
 
     if (payErr) {
       if (payErr.code === '23505')
-        return res.status(400).json({ error: 'Transaction ID already used.' });
+        return res.status(400).json({ error: 'Transaction ID already used.', code: 'already_exists' });
 
       return res.status(500).json({ error: payErr.message });
     }
   } else {
-    const { error: payErr } = await db
-      .from('Payments')
-      .update({
-        transaction_id: null,
-        payment_method
-      })
-      .eq('id', reg.payment_id);
+    const { error: payErr } = await repo.payments.update({ id: reg.payment_id }, {
+      transaction_id: null,
+      payment_method,
+      ...unverified
+    });
 
     if (payErr)
       return res.status(500).json({ error: payErr.message });
   }
 
   // ───────── Update Registration ─────────
-  const { error } = await db
-    .from('Registrations')
-    .update({
-      event_id,
-      payment_method,
-      amount_paid: evData.cost
-    })
-    .eq('id', id);
+  // A new event is charged its fee today with no discount, as when an order
+  // gains one (see ORDERS); otherwise the price (and any discount) stays as sold
+  const { error } = await repo.registrations.update({ id }, {
+    event_id,
+    payment_method,
+    ...(event_id !== reg.event_id && { amount_paid: Number(evData.cost), discount: 0 })
+  });
 
   if (error)
     return res.status(500).json({ error: error.message });
 
-  res.json({ ok: true });
+  // ───────── Reprice the Order ─────────
+  // The payment's amount stays its order's total (see ORDERS). A new price
+  // is money to collect or give back, and a statement has to show it.
+  const order = await orderSnapshot(reg.payment_id);
+  const difference = reports.money(order.total - previous);
+  if (difference) {
+    const held = order.lines.filter(l => l.status !== 'cancelled');
+    const { error: amountErr } = await repo.payments.update({ id: reg.payment_id }, {
+      amount: order.total,
+      discount: reports.money(held.reduce((sum, l) => sum + Number(l.discount || 0), 0)),
+      ...(payment_method === 'upi' && unverified)
+    });
+    if (amountErr) return res.status(500).json({ error: amountErr.message });
+  }
+
+  const after = await saleSnapshot(id);
+  await audit(req, 'update', 'registration', id, reg, after);
+
+  if (event_id !== reg.event_id) {
+    const titles = await nameMap('events', 'title');
+    await queueNotices(req, 'event_changed', [after],
+      { from: titles[reg.event_id] || 'your event', to: titles[event_id], amount_paid: after.amount_paid });
+  }
+
+  res.json({
+    ok: true,
+    previous_total: previous,
+    total: order.total,
+    difference,
+    collect: Math.max(difference, 0),
+    refund:  Math.max(-difference, 0)
+  });
 });
 
-app.delete('/api/sales/:id', requireAuth, async (req, res) => {
+// Cancels rather than deletes: for entries made by mistake, where no money
+// changes hands. Money going back to the student is a refund (below).
+// Body (optional): { reason }
+api.delete('/api/sales/:id', requireAuth, async (req, res) => {
   const { id } = req.params;
 
-  if (!isUUID(id))
-    return res.status(400).json({ error: 'Invalid ID.' });
-
   // Get registration first
-  const { data: reg } = await db
-    .from('Registrations')
-    .select('member_id, payment_id')
-    .eq('id', id)
-    .single();
+  const reg = await saleSnapshot(id);
 
   if (!reg)
     return res.status(404).json({ error: 'Not found.' });
 
-  if (req.user.role !== 'admin' && reg.member_id !== req.user.id)
+  const blocked = saleEditBlocked(req.user, reg);
+  if (blocked) return res.status(blocked[0]).json({ error: blocked[1] });
+
+  if (reg.status !== 'active')
+    return res.status(409).json({ error: `This registration was already ${reg.status}.` });
+
+  // A team is cancelled as a whole; teammates alone come off via the roster
+  const where = reg.team_id ? { team_id: reg.team_id, status: 'active' } : { id };
+  const { data: teamBefore } = reg.team_id
+    ? await repo.registrations.find(where, { columns: 'id' }) : { data: [{ id }] };
+  const before = {};
+  for (const r of teamBefore || []) before[r.id] = r.id === id ? reg : await saleSnapshot(r.id);
+
+  const reason = sanitize(req.body.reason || '') || null;
+  const { error: cancelErr } = await repo.registrations.update(where, {
+    status: 'cancelled',
+    cancelled_at: new Date().toISOString(),
+    cancelled_by: req.user.id,
+    cancel_reason: reason
+  });
+
+  if (cancelErr)
+    return res.status(500).json({ error: cancelErr.message });
+
+  // A payment with nothing left on it is voided, which frees its UPI reference
+  const { data: live } = await repo.registrations.count({ payment_id: reg.payment_id, status: { neq: 'cancelled' } });
+
+  if (live === 0)
+    await repo.payments.update({ id: reg.payment_id }, { voided_at: new Date().toISOString() });
+
+  for (const rid of Object.keys(before))
+    await audit(req, 'cancel', 'registration', rid, before[rid], await saleSnapshot(rid));
+  await queueNotices(req, 'cancelled', Object.values(before), { reason });
+
+  res.json({ ok: true, count: Object.keys(before).length });
+});
+
+// ════════════════════════════════════════════════════════
+//  ORDERS
+//  Everything bought with one payment, viewed and edited
+//  as a unit: events can be added or removed together and
+//  the payment's total follows. Added events are charged
+//  their cost today with no discounts; removed ones that
+//  were paid for are refunded in full as part of the edit.
+//  The difference is reported as money to collect or to
+//  give back. Team payments change via the roster.
+// ════════════════════════════════════════════════════════
+
+const ORDER_LINE_COLUMNS = 'id, student_id, event_id, member_id, team_id, amount_paid, discount, status, refunded_amount, settlement_id, checked_in_at, registered_at';
+
+// The payment with its student, seller and every registration on it, or null
+async function orderSnapshot(paymentId) {
+  const { data: pay } = await repo.payments.findOne({ id: paymentId },
+    { columns: 'id, payment_method, transaction_id, amount, discount, coupon_code, upi_status, voided_at, created_at' });
+  if (!pay) return null;
+  const { data: lines } = await repo.registrations.findAll({ payment_id: paymentId },
+    { columns: ORDER_LINE_COLUMNS, orderBy: 'registered_at', ascending: true });
+  if (!lines?.length) return null;
+  const [{ data: student }, titles, names] = await Promise.all([
+    repo.students.findOne({ id: lines[0].student_id }, { columns: 'id, student_id, name, phone_number, email' }),
+    nameMap('events', 'title'),
+    nameMap('members', 'name')
+  ]);
+  const { voided_at, ...rest } = pay;
+  return {
+    ...rest,
+    voided: !!voided_at,
+    team: lines.some(l => l.team_id),
+    student,
+    seller: { id: lines[0].member_id, name: names[lines[0].member_id] || null },
+    lines: lines.map(l => ({ ...l, event_title: titles[l.event_id] || 'Deleted event' })),
+    total: reports.money(lines.reduce((sum, l) => sum + reports.net(l), 0))
+  };
+}
+
+// total is what the order has brought in and kept: each place's price less
+// anything refunded on it, as revenue is counted in reports. Editing the
+// order sets the payment's amount to the same figure.
+api.get('/api/orders/:id', requireAuth, async (req, res) => {
+  const order = await orderSnapshot(req.params.id);
+  if (!order) return res.status(404).json({ error: 'Order not found.' });
+  if (!order.lines.every(l => perms.canSeeSale(req.user, l)))
     return res.status(403).json({ error: 'Not authorized.' });
+  res.json(order);
+});
 
-  // Delete registration
-  const { error: delErr } = await db
-    .from('Registrations')
-    .delete()
-    .eq('id', id);
+// Body: { event_ids }, every event the order should hold once saved.
+// ?dry_run=1 only reports what would change → { added, removed,
+// previous_total, total, difference, collect, refund, refunded }, refunded
+// being what the removed events are refunded. Refunds need their permission.
+api.put('/api/orders/:id', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const dryRun = ['1', 'true'].includes(String(req.query.dry_run));
+  const wanted = [...new Set(req.body.event_ids)];
+
+  const order = await orderSnapshot(id);
+  if (!order) return res.status(404).json({ error: 'Order not found.' });
+  if (order.team)
+    return res.status(409).json({ error: 'Team registrations are changed from the team roster.' });
+  const active = order.lines.filter(l => l.status === 'active');
+  if (order.voided || !active.length)
+    return res.status(409).json({ error: 'Nothing on this order is active any more.' });
+  for (const line of active) {
+    const blocked = saleEditBlocked(req.user, line);
+    if (blocked) return res.status(blocked[0]).json({ error: blocked[1] });
+  }
 
-  if (delErr)
-    return res.status(500).json({ error: delErr.message });
+  const removed = active.filter(l => !wanted.includes(l.event_id));
+  const addIds  = wanted.filter(eventId => !active.some(l => l.event_id === eventId));
+  const settled = removed.find(l => l.settlement_id);
+  if (settled)
+    return res.status(409).json({ error: `${settled.event_title}: ${SETTLED_LOCKED} Refund it instead.` });
+  const refunded = reports.money(removed.reduce((sum, l) => sum + Number(l.amount_paid), 0));
+  if (refunded > 0 && !perms.can(req.user, 'refunds'))
+    return res.status(403).json({ error: 'Taking off a paid event refunds it; ask someone who can approve refunds.' });
+  if (!requireEvents(req, res, addIds)) return;
+
+  const { data: evs } = addIds.length
+    ? await repo.events.find({ id: { in: addIds } }, { columns: 'id, title, cost' }) : { data: [] };
+  if (evs.length !== addIds.length) return res.status(400).json({ error: 'Event not found.' });
+  const teamEvent = await teamEventAmong(addIds);
+  if (teamEvent) return res.status(400).json({ error: `${teamEvent.title} is a team event; register a team instead.` });
+  if (addIds.length) {
+    const closed = await unavailableEvent(addIds);
+    if (closed) return res.status(409).json(closed);
+  }
 
-  // Check if any registrations still use this payment
-  const { count } = await db
-    .from('Registrations')
-    .select('*', { count: 'exact', head: true })
-    .eq('payment_id', reg.payment_id);
+  const previous = order.total;
+  const total = reports.money(previous - refunded + evs.reduce((sum, ev) => sum + Number(ev.cost), 0));
+  const difference = reports.money(total - previous);
+  const change = {
+    added:   evs.map(ev => ({ event_id: ev.id, event_title: ev.title, amount_paid: Number(ev.cost) })),
+    removed: removed.map(l => ({ id: l.id, event_id: l.event_id, event_title: l.event_title, amount_paid: l.amount_paid })),
+    previous_total: previous,
+    total,
+    difference,
+    collect: Math.max(difference, 0),
+    refund:  Math.max(-difference, 0),
+    refunded
+  };
+  if (dryRun) return res.json({ dry_run: true, ...change });
+  if (!addIds.length && !removed.length) return res.status(400).json({ error: 'Nothing to change.' });
+
+  const before = {};
+  for (const l of removed) before[l.id] = await saleSnapshot(l.id);
+  const { data: result, error } = await repo.registrations.updateOrder({
+    paymentId: id, addEventIds: addIds, removeIds: removed.map(l => l.id), memberId: req.user.id, actorId: req.user.id
+  });
+  if (error) {
+    if (error.code === '23505')
+      return res.status(400).json({ error: 'This student is already registered for one of those events.', code: 'already_exists' });
+    if (UNAVAILABLE_CODES.includes(error.code) || error.code === 'P0001')
+      return res.status(409).json({ error: error.message });
+    return res.status(500).json({ error: error.message });
+  }
 
-  if (count === 0) {
-    await db
-      .from('Payments')
-      .delete()
-      .eq('id', reg.payment_id);
+  const { refund } = result;
+  for (const rid of result.removed) {
+    const after = await saleSnapshot(rid);
+    if (after.status === 'refunded') await audit(req, 'refund', 'registration', rid, before[rid], { ...after, refund });
+    else await audit(req, 'cancel', 'registration', rid, before[rid], after);
   }
+  for (const rid of result.added)
+    await audit(req, 'create', 'registration', rid, null, await saleSnapshot(rid));
+  const paid = Object.values(before).filter(l => Number(l.amount_paid) > 0);
+  await queueNotices(req, 'cancelled', Object.values(before).filter(l => !paid.includes(l)), { reason: 'Removed from order' });
+  if (refund)
+    await queueNotices(req, 'refunded', paid, { amount: refund.amount, method: refund.method, transaction_id: null, reason: 'Removed from order' });
+  await queueReceipts(req, result.added);
+
+  res.json({ dry_run: false, ...change });
+});
+
+// ════════════════════════════════════════════════════════
+//  PRICING
+//  Coupons, bundles and automatic discounts (lib/pricing).
+//  Members ask for a quote while filling in the form; the
+//  register route prices the basket again itself.
+// ════════════════════════════════════════════════════════
 
+const RULE_COLUMNS = 'id, name, kind, code, value, event_ids, min_events, max_uses, uses, starts_at, ends_at, active, created_at';
+
+// lib/pricing quote for eventIds (in that order) with every rule → quote or { error }
+async function priceBasket(eventIds, code) {
+  const [{ data: evs, error }, { data: rules, error: rulesErr }] = await Promise.all([
+    repo.events.find({ id: { in: eventIds } }, { columns: 'id, cost' }),
+    repo.pricingRules.findAll({ active: true }, { columns: RULE_COLUMNS })
+  ]);
+  if (error || rulesErr) return { error: 'Failed to work out the price.' };
+  const byId = Object.fromEntries(evs.map(ev => [ev.id, ev]));
+  if (eventIds.some(id => !byId[id])) return { error: 'Event not found.' };
+  return pricing.quote(eventIds.map(id => byId[id]), rules, { code: code ? sanitize(code) : null });
+}
+
+// Validates the rule fields present in body → { fields } or { error }.
+// before is the stored rule when editing.
+function ruleFields(body, before = null) {
+  const fields = {};
+  if (!before || body.name !== undefined) {
+    fields.name = sanitize(body.name || '').slice(0, 100);
+    if (!fields.name) return { error: 'Name is required.' };
+  }
+  if (!before || body.kind !== undefined) {
+    if (!pricing.RULE_KINDS.includes(body.kind)) return { error: 'Kind must be bundle, percent or flat.' };
+    fields.kind = body.kind;
+  }
+  if (!before || body.value !== undefined) {
+    fields.value = parseFloat(body.value);
+    if (isNaN(fields.value) || fields.value <= 0) return { error: 'Value must be > 0.' };
+  }
+  if (body.code !== undefined) {
+    fields.code = body.code ? sanitize(body.code).toUpperCase() : null;
+    if (fields.code && !/^[A-Z0-9_-]{3,30}$/.test(fields.code))
+      return { error: 'Codes are 3–30 letters, digits, - or _.' };
+  }
+  if (body.event_ids !== undefined) {
+    const ids = body.event_ids || [];
+    if (!Array.isArray(ids) || ids.some(id => !isUUID(id))) return { error: 'Invalid event selection.' };
+    fields.event_ids = ids.length ? [...new Set(ids)] : null;
+  }
+  for (const col of ['min_events', 'max_uses']) {
+    if (body[col] === undefined) continue;
+    const blank = body[col] === null || body[col] === '';
+    fields[col] = blank ? (col === 'min_events' ? 1 : null) : Number(body[col]);
+    if (fields[col] !== null && !(Number.isInteger(fields[col]) && fields[col] >= 1))
+      return { error: `${col === 'min_events' ? 'Minimum events' : 'Usage limit'} must be a whole number of at least 1.` };
+  }
+  for (const col of ['starts_at', 'ends_at']) {
+    if (body[col] === undefined) continue;
+    fields[col] = dateParam(body[col]);
+    if (fields[col] === undefined) return { error: `Invalid ${col.replace('_at', '')} time.` };
+  }
+  if (body.active !== undefined) fields.active = body.active !== false && body.active !== 'false';
+
+  const merged = { min_events: 1, ...before, ...fields };
+  if (merged.kind === 'percent' && merged.value > 100) return { error: 'A percentage can be at most 100.' };
+  if (merged.kind === 'bundle' && merged.min_events < 2) return { error: 'A bundle needs at least 2 events.' };
+  if (merged.kind === 'bundle' && merged.event_ids && merged.event_ids.length < merged.min_events)
+    return { error: 'The bundle lists fewer events than it needs.' };
+  if (merged.starts_at && merged.ends_at && new Date(merged.starts_at) >= new Date(merged.ends_at))
+    return { error: 'A rule must start before it ends.' };
+  return { fields };
+}
+
+// POST /api/pricing/quote — { event_ids, coupon_code? } → the price breakdown
+api.post('/api/pricing/quote', requireAuth, requirePermission('register'), async (req, res) => {
+  const { event_ids, coupon_code } = req.body;
+  if (!event_ids.length) return res.json({ lines: [], subtotal: 0, discount: 0, total: 0, applied: [] });
+  const price = await priceBasket(event_ids, coupon_code);
+  if (price.error) return res.status(400).json({ error: price.error });
+  res.json(price);
+});
+
+api.get('/api/pricing-rules', requireAuth, requirePermission('setup.read'), async (req, res) => {
+  const { data, error } = await repo.pricingRules.findAll({}, { columns: RULE_COLUMNS, orderBy: 'created_at', ascending: false });
+  if (error) return res.status(500).json({ error: 'Failed to load pricing rules.' });
+  res.json(data);
+});
+
+api.post('/api/pricing-rules', requireAuth, requirePermission('pricing.manage'), async (req, res) => {
+  const { fields, error: bad } = ruleFields(req.body);
+  if (bad) return res.status(400).json({ error: bad });
+  const { data: rule, error } = await repo.pricingRules.insert(fields);
+  if (error) {
+    if (error.code === '23505') return res.status(400).json({ error: 'That code is already in use.', code: 'already_exists' });
+    return res.status(500).json({ error: error.message });
+  }
+  await audit(req, 'create', 'pricing_rule', rule.id, null, fields);
+  res.json(rule);
+});
+
+// Partial update: only the fields sent are changed
+api.put('/api/pricing-rules/:id', requireAuth, requirePermission('pricing.manage'), async (req, res) => {
+  const { id } = req.params;
+  const { data: before } = await repo.pricingRules.findOne({ id }, { columns: RULE_COLUMNS });
+  if (!before) return res.status(404).json({ error: 'Pricing rule not found.' });
+  const { fields, error: bad } = ruleFields(req.body, before);
+  if (bad) return res.status(400).json({ error: bad });
+  const { error } = await repo.pricingRules.update({ id }, fields);
+  if (error) {
+    if (error.code === '23505') return res.status(400).json({ error: 'That code is already in use.', code: 'already_exists' });
+    return res.status(500).json({ error: error.message });
+  }
+  await audit(req, 'update', 'pricing_rule', id, before, { ...before, ...fields });
   res.json({ ok: true });
 });
 
+api.delete('/api/pricing-rules/:id', requireAuth, requirePermission('pricing.manage'), async (req, res) => {
+  const { id } = req.params;
+  const { data: before } = await repo.pricingRules.findOne({ id }, { columns: RULE_COLUMNS });
+  if (!before) return res.status(404).json({ error: 'Pricing rule not found.' });
+  const { error } = await repo.pricingRules.remove({ id });
+  if (error) return res.status(500).json({ error: error.message });
+  await audit(req, 'delete', 'pricing_rule', id, before, null);
+  res.json({ ok: true });
+});
+
+// ════════════════════════════════════════════════════════
+//  WAITLIST
+//  When an event is full any member can queue a student;
+//  an admin promotes them (taking payment then) once a
+//  seat frees up or capacity is raised. First come, first
+//  served: position is by created_at per event.
+// ════════════════════════════════════════════════════════
+
+// event id → waiting entry ids, oldest first
+async function waitingOrder(eventIds) {
+  const where = { status: 'waiting' };
+  if (eventIds) where.event_id = { in: eventIds };
+  const { data } = await repo.waitlist.findAll(where, { columns: 'id, event_id', orderBy: 'created_at', ascending: true });
+  const order = {};
+  (data || []).forEach(w => (order[w.event_id] ||= []).push(w.id));
+  return order;
+}
+
+// POST /api/waitlist — same student fields as /api/register, plus event_ids
+// (all of which must be full right now)
+api.post('/api/waitlist', requireAuth, requirePermission('register'), async (req, res) => {
+  const { event_ids } = req.body;
+  const { student, error: badStudent } = studentBody(req.body);
+  if (badStudent) return res.status(400).json({ error: badStudent });
+  if (!requireEvents(req, res, event_ids)) return;
+
+  const [{ data: evs }, { data: taken }] = await Promise.all([
+    repo.events.find({ id: { in: event_ids } }, { columns: EVENT_COLUMNS }),
+    repo.registrations.seatsTaken(event_ids)
+  ]);
+  if ((evs || []).length !== new Set(event_ids).size) return res.status(400).json({ error: 'Event not found.' });
+  const teamEv = evs.find(isTeamEvent);
+  if (teamEv) return res.status(400).json({ error: `${teamEv.title} is a team event and has no waitlist.` });
+  for (const ev of evs) {
+    const state = availability(ev, taken[ev.id] || 0);
+    if (state === 'open')
+      return res.status(409).json({ error: `${ev.title} still has seats; register instead.`, event_id: ev.id, state });
+    if (state !== 'full')
+      return res.status(409).json({ error: unavailable(ev, state).message, event_id: ev.id, state });
+  }
+
+  const { id: studentDbId, error: stuErr } = await upsertStudent(req, student);
+  if (stuErr) return res.status(400).json({ error: stuErr });
+
+  const { data: held } = await repo.registrations.eventIdsForStudent(studentDbId);
+  const already = evs.find(ev => held.includes(ev.id));
+  if (already) return res.status(409).json({ error: `This student is already registered for ${already.title}.` });
+
+  const entries = [];
+  for (const ev of evs) {
+    const { data: entry, error } = await repo.waitlist.insert({ event_id: ev.id, student_id: studentDbId, member_id: req.user.id });
+    if (error) {
+      if (error.code === '23505')
+        return res.status(409).json({ error: `This student is already on the waitlist for ${ev.title}.`, code: 'already_exists' });
+      return res.status(500).json({ error: error.message });
+    }
+    await audit(req, 'create', 'waitlist', entry.id, null, entry);
+    entries.push(entry);
+  }
+
+  const order = await waitingOrder(event_ids);
+  res.json({
+    ok: true,
+    entries: entries.map(e => ({ id: e.id, event_id: e.event_id, position: order[e.event_id].indexOf(e.id) + 1 }))
+  });
+});
+
+// GET /api/waitlist?event_id=&status= (status defaults to waiting)
+api.get('/api/waitlist', requireAuth, requirePermission('setup.read'), async (req, res) => {
+  const status = req.query.status || 'waiting';
+  const where = { status };
+  if (req.query.event_id) where.event_id = req.query.event_id;
+
+  const { data, error } = await repo.waitlist.findAll(where, { orderBy: 'created_at', ascending: true });
+  if (error) return res.status(500).json({ error: 'Failed to load waitlist.' });
+
+  const [{ data: students }, titles, members] = await Promise.all([
+    repo.students.findAll({ id: { in: [...new Set(data.map(w => w.student_id))] } },
+      { columns: 'id, student_id, name, phone_number, email' }),
+    nameMap('events', 'title'),
+    nameMap('members', 'name')
+  ]);
+  const stuById = Object.fromEntries((students || []).map(s => [s.id, s]));
+  const seen = {};
+  res.json(data.map(w => ({
+    ...w,
+    position:    status === 'waiting' ? (seen[w.event_id] = (seen[w.event_id] || 0) + 1) : null,
+    event_title: titles[w.event_id] || null,
+    member_name: members[w.member_id] || null,
+    student:     stuById[w.student_id] || null
+  })));
+});
+
+// POST /api/waitlist/:id/promote — registers the student, taking payment now
+api.post('/api/waitlist/:id/promote', requireAuth, requirePermission('waitlist.manage'), async (req, res) => {
+  const { id } = req.params;
+  const { payment_method, transaction_id } = req.body;
+
+  const { data: entry } = await repo.waitlist.findOne({ id });
+  if (!entry) return res.status(404).json({ error: 'Waitlist entry not found.' });
+  if (entry.status !== 'waiting')
+    return res.status(409).json({ error: `This entry was already ${entry.status}.` });
+
+  const { data: reg, error: rpcErr } = await repo.registrations.registerWithPayment({
+    studentId: entry.student_id,
+    memberId: req.user.id,
+    eventIds: [entry.event_id],
+    paymentMethod: payment_method,
+    transactionId: payment_method === 'upi' ? sanitize(transaction_id) : null
+  });
+
+  if (rpcErr) {
+    if (rpcErr.code === '23505')
+      return res.status(400).json({ error: 'Student already registered, or transaction ID already used.', code: 'already_exists' });
+    if (UNAVAILABLE_CODES.includes(rpcErr.code))
+      return res.status(409).json({ error: rpcErr.message });
+    return res.status(500).json({ error: rpcErr.message });
+  }
+
+  const regId = reg.registration_ids[0];
+  const patch = { status: 'promoted', registration_id: regId, promoted_at: new Date().toISOString() };
+  await repo.waitlist.update({ id }, patch);
+  await audit(req, 'create', 'registration', regId, null, await saleSnapshot(regId));
+  await audit(req, 'update', 'waitlist', id, entry, { ...entry, ...patch });
+  await queueReceipts(req, [regId]);
+  res.json({ ok: true, registration_id: regId });
+});
+
+// DELETE /api/waitlist/:id — takes the student off the list (the row is kept)
+api.delete('/api/waitlist/:id', requireAuth, requirePermission('waitlist.manage'), async (req, res) => {
+  const { id } = req.params;
+  const { data: rows, error } = await repo.waitlist.update({ id, status: 'waiting' }, { status: 'removed' });
+  if (error) return res.status(500).json({ error: error.message });
+  if (!rows.length) return res.status(404).json({ error: 'No waiting entry with that ID.' });
+  await audit(req, 'update', 'waitlist', id, { ...rows[0], status: 'waiting' }, rows[0]);
+  res.json({ ok: true });
+});
+
+// ════════════════════════════════════════════════════════
+//  TEAMS
+//  A team event (team_max set) is sold per team: a captain
+//  and teammates share one payment and a team name. Each
+//  person gets a registration; the captain's carries the
+//  fee. Admins edit rosters afterwards.
+// ════════════════════════════════════════════════════════
+
+// A teammate is an existing Student ID on its own, or new-student details
+// like /api/register takes → { id } or { error }
+async function teammateId(req, body) {
+  const studentId = sanitize(body?.student_id || '').toUpperCase();
+  if (!studentId) return { error: 'Every teammate needs a Student ID.' };
+  if (!body.name && !body.phone && !body.email) {
+    const { data } = await repo.students.findByStudentId(studentId, 'id');
+    return data ? { id: data.id } : { error: `Student ${studentId} is new; add their name, phone and email.` };
+  }
+  const { student, error } = studentBody(body);
+  if (error) return { error: `${studentId}: ${error}` };
+  return upsertStudent(req, student);
+}
+
+// Teammates' Students ids, in order → { ids } or { error }
+async function teammateIds(req, members) {
+  const seen = new Set();
+  const ids = [];
+  for (const m of members) {
+    const key = sanitize(m?.student_id || '').toUpperCase();
+    if (seen.has(key)) return { error: `${key} is listed twice.` };
+    seen.add(key);
+    const { id, error } = await teammateId(req, m);
+    if (error) return { error };
+    ids.push(id);
+  }
+  return { ids };
+}
+
+// Team with its event and everyone who is or was on it, or null
+async function teamInfo(teamId) {
+  const { data: team } = await repo.teams.findOne({ id: teamId });
+  if (!team) return null;
+  const [{ data: ev }, { data: regs }] = await Promise.all([
+    repo.events.findOne({ id: team.event_id }, { columns: EVENT_COLUMNS }),
+    repo.registrations.find({ team_id: teamId }, { columns: 'id, student_id, status, amount_paid, checked_in_at', orderBy: 'registered_at', ascending: true })
+  ]);
+  const { data: students } = await repo.students.findAll({ id: { in: (regs || []).map(r => r.student_id) } },
+    { columns: 'id, student_id, name, phone_number, email' });
+  const byId = Object.fromEntries((students || []).map(s => [s.id, s]));
+  return {
+    ...team,
+    event: ev,
+    roster: (regs || []).map(r => ({
+      registration_id: r.id, status: r.status, amount_paid: r.amount_paid, checked_in_at: r.checked_in_at,
+      captain: r.student_id === team.captain_id, student: byId[r.student_id] || null
+    }))
+  };
+}
+
+// POST /api/teams — { event_id, team_name, captain: { student_id, name, phone, email },
+//   members: [{ student_id[, name, phone, email] }], payment_method, transaction_id }
+api.post('/api/teams', requireAuth, requirePermission('register'), idempotent, async (req, res) => {
+  const { event_id, captain, members, payment_method, transaction_id } = req.body;
+  const teamName = sanitize(req.body.team_name || '').slice(0, 100);
+
+  if (!requireEvents(req, res, [event_id])) return;
+  if (!teamName) return res.status(400).json({ error: 'Team name is required.' });
+
+  const { student, error: badCaptain } = studentBody(captain);
+  if (badCaptain) return res.status(400).json({ error: `Captain: ${badCaptain}` });
+
+  const { data: ev } = await repo.events.findOne({ id: event_id }, { columns: EVENT_COLUMNS });
+  if (!ev) return res.status(400).json({ error: 'Event not found.' });
+  if (!isTeamEvent(ev)) return res.status(400).json({ error: `${ev.title} is not a team event.` });
+
+  const closed = await unavailableEvent([event_id]);
+  if (closed) return res.status(409).json(closed);
+
+  if ((members || []).some(m => sanitize(m?.student_id || '').toUpperCase() === student.student_id))
+    return res.status(400).json({ error: 'The captain is already on the team; list only the teammates.' });
+
+  const { id: captainId, error: capErr } = await upsertStudent(req, student);
+  if (capErr) return res.status(400).json({ error: capErr });
+  const { ids, error: mateErr } = await teammateIds(req, members || []);
+  if (mateErr) return res.status(400).json({ error: mateErr });
+
+  const { data: taken } = await repo.registrations.find(
+    { event_id, status: 'active', student_id: { in: [captainId, ...ids] } }, { columns: 'student_id' });
+  if (taken?.length) {
+    const { data: stu } = await repo.students.findOne({ id: taken[0].student_id }, { columns: 'student_id' });
+    return res.status(400).json({ error: `${stu?.student_id} is already registered for ${ev.title}.`, code: 'already_exists' });
+  }
+
+  const { data: out, error: rpcErr } = await repo.teams.registerWithPayment({
+    eventId: event_id,
+    teamName,
+    captainId,
+    studentIds: ids,
+    memberId: req.user.id,
+    paymentMethod: payment_method,
+    transactionId: payment_method === 'upi' ? sanitize(transaction_id) : null
+  });
+
+  if (rpcErr) {
+    if (rpcErr.code === '23505')
+      return res.status(400).json({ error: 'A teammate is already registered for this event, or the transaction ID was used.', code: 'already_exists' });
+    if (rpcErr.code === TEAM_SIZE_CODE)
+      return res.status(400).json({ error: rpcErr.message });
+    if (UNAVAILABLE_CODES.includes(rpcErr.code))
+      return res.status(409).json({ error: rpcErr.message });
+    return res.status(500).json({ error: rpcErr.message });
+  }
+
+  for (const rid of out.registration_ids)
+    await audit(req, 'create', 'registration', rid, null, await saleSnapshot(rid));
+  await audit(req, 'create', 'team', out.team_id, null, { event_id, name: teamName, captain_id: captainId });
+  await queueReceipts(req, out.registration_ids);
+
+  res.json({ ok: true, team_id: out.team_id, count: out.registration_ids.length });
+});
+
+// GET /api/teams/:id — anyone who may read the team's sales
+api.get('/api/teams/:id', requireAuth, async (req, res) => {
+  const team = await teamInfo(req.params.id);
+  if (!team) return res.status(404).json({ error: 'Team not found.' });
+  if (!perms.canSeeSale(req.user, team))
+    return res.status(403).json({ error: 'Not authorized.' });
+  res.json(team);
+});
+
+// PUT /api/teams/:id — { name?, members: [...] }: members is the full list of
+// teammates (not the captain), in POST /api/teams form
+api.put('/api/teams/:id', requireAuth, requirePermission('teams.manage'), async (req, res) => {
+  const { id } = req.params;
+  const name = req.body.name === undefined ? null : sanitize(req.body.name || '').slice(0, 100);
+  if (name === '') return res.status(400).json({ error: 'Team name is required.' });
+
+  const before = await teamInfo(id);
+  if (!before) return res.status(404).json({ error: 'Team not found.' });
+
+  const { ids, error: mateErr } = await teammateIds(req, req.body.members);
+  if (mateErr) return res.status(400).json({ error: mateErr });
+  if (ids.includes(before.captain_id))
+    return res.status(400).json({ error: 'The captain is already on the team; list only the teammates.' });
+
+  const regBefore = {};
+  for (const r of before.roster.filter(r => r.status === 'active'))
+    regBefore[r.registration_id] = await saleSnapshot(r.registration_id);
+
+  const { data: out, error } = await repo.teams.updateRoster({ teamId: id, name, studentIds: ids, actorId: req.user.id });
+  if (error) {
+    if (error.code === '23505') return res.status(400).json({ error: 'A new teammate is already registered for this event.', code: 'already_exists' });
+    if (error.code === TEAM_SIZE_CODE) return res.status(400).json({ error: error.message });
+    if (error.code === 'P0001') return res.status(409).json({ error: error.message });
+    return res.status(500).json({ error: error.message });
+  }
+
+  for (const rid of out.removed)
+    await audit(req, 'cancel', 'registration', rid, regBefore[rid], await saleSnapshot(rid));
+  for (const rid of out.added)
+    await audit(req, 'create', 'registration', rid, null, await saleSnapshot(rid));
+  await queueNotices(req, 'cancelled', out.removed.map(rid => regBefore[rid]), { reason: 'Removed from team' });
+  await queueReceipts(req, out.added);
+
+  const after = await teamInfo(id);
+  const summary = t => ({ name: t.name, roster: t.roster.filter(r => r.status === 'active').map(r => r.student?.student_id) });
+  await audit(req, 'update', 'team', id, summary(before), summary(after));
+  res.json(after);
+});
+
+// ════════════════════════════════════════════════════════
+//  REFUNDS (admin only)
+//  A refund covers one or more active registrations on the
+//  same payment — all of a multi-event payment or only some
+//  of its events — for up to what was paid for them.
+// ════════════════════════════════════════════════════════
+
+// A payment with its registrations and any refunds against it
+api.get('/api/payments/:id', requireAuth, requirePermission('refunds'), async (req, res) => {
+  const { id } = req.params;
+  const { data: pay } = await repo.payments.findOne({ id });
+  if (!pay) return res.status(404).json({ error: 'Payment not found.' });
+  const [{ data: regs }, { data: refunds }, titles, names] = await Promise.all([
+    repo.registrations.find({ payment_id: id }, { columns: 'id, event_id, amount_paid, status, refunded_amount, registered_at', orderBy: 'registered_at' }),
+    repo.refunds.find({ payment_id: id }, { orderBy: 'created_at' }),
+    nameMap('events', 'title'),
+    nameMap('members', 'name')
+  ]);
+  res.json({
+    ...pay,
+    registrations: regs.map(r => ({ ...r, event_title: titles[r.event_id] || 'Deleted event' })),
+    refunds: refunds.map(rf => ({ ...rf, approved_by_name: names[rf.approved_by] || null }))
+  });
+});
+
+// Body: { registration_ids, amount, method: cash|upi, transaction_id (upi), reason }
+api.post('/api/payments/:id/refunds', requireAuth, requirePermission('refunds'), async (req, res) => {
+  const { id } = req.params;
+  const { registration_ids, method } = req.body;
+  const { amount } = req.body;
+  const reason = sanitize(req.body.reason);
+  const txn    = method === 'upi' ? sanitize(req.body.transaction_id) : null;
+  if (method === 'upi' && !txn) return res.status(400).json({ error: 'UPI refund reference required.' });
+  if (!reason) return res.status(400).json({ error: 'Give a reason for the refund.' });
+
+  // Refunding anyone on a team refunds the whole team
+  const { data: picked } = await repo.registrations.find({ id: { in: registration_ids } }, { columns: 'id, team_id' });
+  const teamIds = [...new Set((picked || []).map(r => r.team_id).filter(Boolean))];
+  let regIds = registration_ids;
+  if (teamIds.length) {
+    const { data: mates } = await repo.registrations.find({ team_id: { in: teamIds }, status: 'active' }, { columns: 'id' });
+    regIds = [...new Set([...registration_ids, ...(mates || []).map(r => r.id)])];
+  }
+
+  const before = {};
+  for (const rid of regIds) before[rid] = await saleSnapshot(rid);
+
+  const { data: refund, error } = await repo.refunds.refundRegistrations({
+    paymentId: id,
+    registrationIds: regIds,
+    amount: reports.money(amount),
+    method,
+    transactionId: txn,
+    reason,
+    approvedBy: req.user.id
+  });
+  if (error) {
+    if (error.code === 'P0001') return res.status(409).json({ error: error.message });
+    if (error.code === '23505') return res.status(400).json({ error: 'Refund reference already used.', code: 'already_exists' });
+    return res.status(500).json({ error: error.message });
+  }
+  for (const rid of Object.keys(before))
+    await audit(req, 'refund', 'registration', rid, before[rid], { ...(await saleSnapshot(rid)), refund });
+  await queueNotices(req, 'refunded', Object.values(before),
+    { amount: refund.amount, method, transaction_id: txn, reason });
+  res.json(refund);
+});
+
+// ════════════════════════════════════════════════════════
+//  EMAIL
+//  Receipts and notices to students go through the outbox
+//  (lib/mail); MAIL_TRANSPORT picks where they're sent.
+//  Queuing never fails the request that caused it, and a
+//  send that keeps failing shows up as the sale's email
+//  status, from where an admin can resend the receipt.
+// ════════════════════════════════════════════════════════
+
+async function queueEmail(kind, data, meta) {
+  const { error } = await mailer.enqueue(kind, data, meta);
+  if (error) console.error(`Email (${kind}) not queued:`, error.message);
+}
+
+// rows → [[row, …]] per student and payment, in first-seen order
+function perStudent(rows, studentOf, paymentOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = studentOf(r) + ':' + paymentOf(r);
+    groups.set(key, [...(groups.get(key) || []), r]);
+  }
+  return [...groups.values()];
+}
+
+// A receipt to each student on these registrations
+async function queueReceipts(req, regIds) {
+  if (!regIds.length) return;
+  const { data: rows, error } = await repo.registrations.listSales({ ids: regIds, sort: 'registered_at', ascending: true });
+  if (error) return console.error('Receipts not queued:', error.message);
+  for (const regs of perStudent(rows.filter(r => r.Students?.email), r => r.Students.id, r => r.Payments?.id)) {
+    const [first] = regs;
+    await queueEmail('receipt', {
+      student:        first.Students,
+      lines:          regs.map(r => ({ title: r.Events?.title || 'Deleted event', amount_paid: r.amount_paid, discount: r.discount })),
+      payment_method: first.payment_method,
+      transaction_id: first.Payments?.transaction_id || null,
+      team:           first.Teams?.name || null,
+      registered_at:  first.registered_at
+    }, { to: first.Students.email, studentId: first.Students.id, paymentId: first.Payments?.id || null, createdBy: req.user.id });
+  }
+}
+
+// A notice of kind to each student among snaps (saleSnapshot rows, taken
+// while they still had the details to report); data adds to the template's
+async function queueNotices(req, kind, snaps, data = {}) {
+  snaps = snaps.filter(s => s?.student?.email);
+  if (!snaps.length) return;
+  const titles = await nameMap('events', 'title');
+  for (const regs of perStudent(snaps, r => r.student_id, r => r.payment_id)) {
+    const [first] = regs;
+    await queueEmail(kind, { student: first.student, events: regs.map(r => titles[r.event_id] || 'Deleted event'), ...data }, {
+      to:             first.student.email,
+      studentId:      first.student_id,
+      paymentId:      first.payment_id,
+      registrationId: regs.length === 1 ? first.id : null,
+      createdBy:      req.user.id
+    });
+  }
+}
+
+// An email is about a registration when it names it, or names none and
+// covers the same student's payment
+const emailAbout = (e, { id, student_id, payment_id }) =>
+  e.registration_id ? e.registration_id === id : e.student_id === student_id && e.payment_id === payment_id;
+
+// listSales rows → the same rows with `email`, the latest email about each
+async function withEmailStatus(rows) {
+  const paymentIds = [...new Set(rows.map(r => r.Payments?.id).filter(Boolean))];
+  if (!paymentIds.length) return rows;
+  const { data: emails } = await repo.emails.forPayments(paymentIds);
+  return rows.map(r => {
+    const e = (emails || []).find(e => emailAbout(e, { id: r.id, student_id: r.Students?.id, payment_id: r.Payments?.id }));
+    return { ...r, email: e ? { kind: e.kind, to_email: e.to_email, status: e.status, attempts: e.attempts, last_error: e.last_error, created_at: e.created_at, sent_at: e.sent_at } : null };
+  });
+}
+
+// GET /api/sales/:id/emails — every email about the registration, newest first
+api.get('/api/sales/:id/emails', requireAuth, requirePermission('emails'), async (req, res) => {
+  const { id } = req.params;
+  const { data: reg } = await repo.registrations.findOne({ id }, { columns: 'id, student_id, payment_id' });
+  if (!reg) return res.status(404).json({ error: 'Registration not found.' });
+  const { data, error } = await repo.emails.forPayments([reg.payment_id]);
+  if (error) return res.status(500).json({ error: 'Failed to load emails.' });
+  res.json(data.filter(e => emailAbout(e, reg)));
+});
+
+// POST /api/sales/:id/receipt — queues a fresh receipt for the student's
+// active registrations on the same payment
+api.post('/api/sales/:id/receipt', requireAuth, requirePermission('emails'), async (req, res) => {
+  const { id } = req.params;
+  const { data: reg } = await repo.registrations.findOne({ id }, { columns: 'student_id, payment_id, status' });
+  if (!reg) return res.status(404).json({ error: 'Registration not found.' });
+  if (reg.status !== 'active') return res.status(409).json({ error: `This registration was ${reg.status}; there is no receipt to send.` });
+  const { data: regs } = await repo.registrations.find(
+    { student_id: reg.student_id, payment_id: reg.payment_id, status: 'active' }, { columns: 'id' });
+  await queueReceipts(req, regs.map(r => r.id));
+  await audit(req, 'resend_receipt', 'registration', id, null, null);
+  res.json({ ok: true });
+});
+
+// ════════════════════════════════════════════════════════
+//  TICKETS & CHECK-IN
+//  Every active registration has a signed ticket code (see
+//  lib/tickets). Volunteers scan it at the door; each
+//  ticket checks in once.
+// ════════════════════════════════════════════════════════
+
+// What a ticket shows and what the door screen needs, or null if unknown
+async function ticketInfo(regId) {
+  const { data: reg } = await repo.registrations.findOne({ id: regId },
+    { columns: 'id, student_id, event_id, member_id, status, registered_at, checked_in_at, checked_in_by' });
+  if (!reg) return null;
+  const [{ data: stu }, { data: ev }, { data: by }] = await Promise.all([
+    repo.students.findOne({ id: reg.student_id }, { columns: 'student_id, name' }),
+    repo.events.findOne({ id: reg.event_id }, { columns: 'title' }),
+    reg.checked_in_by ? repo.members.findOne({ id: reg.checked_in_by }, { columns: 'name' }) : { data: null }
+  ]);
+  return {
+    registration_id: reg.id,
+    member_id: reg.member_id,
+    status: reg.status,
+    event_id: reg.event_id,
+    event_title: ev?.title || 'Deleted event',
+    student_id: stu?.student_id || null,
+    student_name: stu?.name || null,
+    registered_at: reg.registered_at,
+    checked_in_at: reg.checked_in_at || null,
+    checked_in_by_name: by?.name || null
+  };
+}
+
+api.get('/api/sales/:id/ticket', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const ticket = await ticketInfo(id);
+  if (!ticket) return res.status(404).json({ error: 'Registration not found.' });
+  if (!perms.canSeeSale(req.user, ticket))
+    return res.status(403).json({ error: 'Not authorized.' });
+  if (ticket.status !== 'active')
+    return res.status(409).json({ error: `This registration was ${ticket.status}; its ticket is no longer valid.` });
+  const code = tickets.sign(id);
+  res.json({ ...ticket, code, svg: await qrSvg(code) });
+});
+
+// Body: { code, event_id? } — with event_id, tickets for other events are turned away
+api.post('/api/checkin', requireAuth, requirePermission('checkin'), async (req, res) => {
+  const { event_id } = req.body;
+  const regId = tickets.verify(req.body.code);
+  if (!regId || !isUUID(regId)) return res.status(400).json({ error: 'Not a valid ticket.' });
+
+  const ticket = await ticketInfo(regId);
+  if (!ticket) return res.status(404).json({ error: 'Ticket not found.' });
+  if (!perms.inEventScope(req.user, ticket.event_id))
+    return res.status(403).json({ error: `This ticket is for ${ticket.event_title}, which you are not assigned to.` });
+  if (ticket.status !== 'active')
+    return res.status(409).json({ error: `This ticket was ${ticket.status}.`, ticket });
+  if (event_id && ticket.event_id !== event_id)
+    return res.status(409).json({ error: `This ticket is for ${ticket.event_title}.`, ticket });
+  if (ticket.checked_in_at)
+    return res.status(409).json({ error: 'Already checked in.', ticket });
+
+  // Conditional on checked_in_at still being empty, so two scanners can't both admit it
+  const checkedIn = { checked_in_at: new Date().toISOString(), checked_in_by: req.user.id };
+  const { data, error } = await repo.registrations.update({ id: regId, status: 'active', checked_in_at: null }, checkedIn);
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data.length) return res.status(409).json({ error: 'Already checked in.', ticket: await ticketInfo(regId) });
+
+  await audit(req, 'check_in', 'registration', regId, null, checkedIn);
+  res.json({ ok: true, ticket: await ticketInfo(regId) });
+});
+
+// Undo a check-in made by mistake
+api.delete('/api/checkin/:id', requireAuth, requirePermission('checkin.undo'), async (req, res) => {
+  const { id } = req.params;
+  const ticket = await ticketInfo(id);
+  if (!ticket) return res.status(404).json({ error: 'Registration not found.' });
+  if (!ticket.checked_in_at) return res.status(409).json({ error: 'This ticket has not been checked in.' });
+  const { error } = await repo.registrations.update({ id }, { checked_in_at: null, checked_in_by: null });
+  if (error) return res.status(500).json({ error: error.message });
+  await audit(req, 'undo_check_in', 'registration', id,
+    { checked_in_at: ticket.checked_in_at, checked_in_by: ticket.checked_in_by_name }, null);
+  res.json({ ok: true });
+});
+
+// ════════════════════════════════════════════════════════
+//  CASH SETTLEMENT
+//  Desk members hand the cash they collected to an admin
+//  or finance, who records what was received against a specific set
+//  of cash registrations.
+// ════════════════════════════════════════════════════════
+
+// Members see their own figures; cash.all may pass ?member_id=
+function cashMemberId(req, res) {
+  const { member_id } = req.query;
+  const all = perms.can(req.user, 'cash.all');
+  if (!all && !perms.can(req.user, 'cash.own')) {
+    res.status(403).json({ error: 'You do not have permission to do that.' });
+    return null;
+  }
+  return all && member_id ? member_id : req.user.id;
+}
+
+// Unsettled cash since the member's last handover, oldest first; the
+// amount is net of refunds, as in lib/reports
+api.get('/api/cash/outstanding', requireAuth, async (req, res) => {
+  const memberId = cashMemberId(req, res);
+  if (!memberId) return;
+  const [{ data: sales, error }, { data: last }] = await Promise.all([
+    repo.registrations.listSales({ memberId, paymentMethod: 'cash', settled: false, sort: 'registered_at', ascending: true }),
+    repo.settlements.find({ member_id: memberId }, { columns: 'created_at', orderBy: 'created_at', ascending: false, limit: 1 })
+  ]);
+  if (error) return res.status(500).json({ error: 'Failed to load outstanding cash.' });
+  const rows = sales.filter(r => r.status !== 'cancelled');
+  res.json({
+    member_id: memberId,
+    registrations: rows.length,
+    amount: reports.money(rows.reduce((sum, r) => sum + reports.net(r), 0)),
+    last_settled_at: last?.[0]?.created_at || null,
+    rows
+  });
+});
+
+// → { rows, total, limit, offset }, newest first
+api.get('/api/settlements', requireAuth, async (req, res) => {
+  const memberId = cashMemberId(req, res);
+  if (!memberId) return;
+  const where = perms.can(req.user, 'cash.all') && !req.query.member_id ? {} : { member_id: memberId };
+  const { limit, offset } = pageParams(req.query, ['created_at'], 'created_at');
+  const [{ data, error }, { data: total }, names] = await Promise.all([
+    repo.settlements.find(where, { orderBy: 'created_at', ascending: false, limit, offset }),
+    repo.settlements.count(where),
+    nameMap('members', 'name')
+  ]);
+  if (error) return res.status(500).json({ error: 'Failed to load settlements.' });
+  const rows = data.map(st => ({
+    ...st, member_name: names[st.member_id] || null, received_by_name: names[st.received_by] || null
+  }));
+  res.json({ rows, total, limit, offset });
+});
+
+// One settlement plus the registrations it covers
+api.get('/api/settlements/:id', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const { data: st } = await repo.settlements.findOne({ id });
+  if (!st) return res.status(404).json({ error: 'Settlement not found.' });
+  if (!perms.can(req.user, 'cash.all') && st.member_id !== req.user.id)
+    return res.status(403).json({ error: 'Not authorized.' });
+  const { data: rows, error } = await repo.registrations.listSales({ settlementId: id, sort: 'registered_at', ascending: true });
+  if (error) return res.status(500).json({ error: 'Failed to load settlement.' });
+  res.json({ ...st, rows });
+});
+
+// Body: { member_id, registration_ids, amount_received, notes }
+api.post('/api/settlements', requireAuth, requirePermission('cash.settle'), async (req, res) => {
+  const { member_id, registration_ids, amount_received: amount } = req.body;
+  const notes = sanitize(req.body.notes || '');
+
+  const { data: st, error } = await repo.settlements.settleCash({
+    memberId: member_id,
+    receivedBy: req.user.id,
+    registrationIds: registration_ids,
+    amountReceived: reports.money(amount),
+    notes
+  });
+  if (error) {
+    if (error.code === 'P0001') return res.status(409).json({ error: error.message });
+    return res.status(500).json({ error: error.message });
+  }
+  await audit(req, 'create', 'settlement', st.id, null, { ...st, registration_ids });
+  res.json(st);
+});
+
+// ════════════════════════════════════════════════════════
+//  EXPORT — ?format=csv|xlsx
+//  Registrations take the same filters as /api/sales,
+//  students the same ?q= as /api/students.
+// ════════════════════════════════════════════════════════
+
+// Walks a paged listing so an export streams instead of loading every row
+async function* pagesOf(fetchPage, size = 500) {
+  for (let offset = 0; ; offset += size) {
+    const { data, error } = await fetchPage({ limit: size, offset });
+    if (error) throw new Error(error.message);
+    yield data;
+    if (data.length < size) return;
+  }
+}
+
+function istTime(ts) {
+  if (!ts) return '';
+  return new Date(new Date(ts).getTime() + 330 * 60 * 1000).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+async function sendExport(req, res, opts) {
+  const format = req.query.format || 'csv';
+  const stamp = new Date().toISOString().slice(0, 10);
+  try {
+    await streamExport(res, { ...opts, format, filename: `${opts.filename}-${stamp}` });
+  } catch (e) {
+    console.error('Export failed:', e.message);
+    if (!res.headersSent) res.status(500).json({ error: 'Export failed.' });
+    else res.destroy(e);
+  }
+}
+
+api.get('/api/export/registrations', requireAuth, requirePermission('export'), async (req, res) => {
+  const filters = salesFilters(req, res);
+  if (!filters) return;
+  await sendExport(req, res, {
+    filename: 'registrations',
+    sheet: 'Registrations',
+    pages: pagesOf(page => repo.registrations.listSales({ ...filters, ...page })),
+    columns: [
+      { header: 'Registered At (IST)', value: r => istTime(r.registered_at) },
+      { header: 'Student ID',     value: r => r.Students?.student_id },
+      { header: 'Student Name',   value: r => r.Students?.name, width: 24 },
+      { header: 'Phone',          value: r => r.Students?.phone_number },
+      { header: 'Email',          value: r => r.Students?.email, width: 28 },
+      { header: 'Event',          value: r => r.Events?.title, width: 24 },
+      { header: 'Team',           value: r => r.Teams?.name, width: 20 },
+      { header: 'Team Role',      value: r => r.Teams && (r.Teams.captain_id === r.Students?.id ? 'Captain' : 'Member') },
+      { header: 'Amount',         value: r => Number(r.amount_paid) },
+      { header: 'Discount',       value: r => Number(r.discount || 0) },
+      { header: 'Status',         value: r => r.status },
+      { header: 'Refunded',       value: r => Number(r.refunded_amount || 0) },
+      { header: 'Checked In At (IST)', value: r => istTime(r.checked_in_at) },
+      { header: 'Payment Method', value: r => r.Payments?.payment_method || r.payment_method },
+      { header: 'Transaction ID', value: r => r.Payments?.transaction_id },
+      { header: 'Member',         value: r => r.Members?.name }
+    ]
+  });
+});
+
+api.get('/api/export/students', requireAuth, requirePermission('export'), async (req, res) => {
+  const q = searchTerm(req.query.q);
+  await sendExport(req, res, {
+    filename: 'students',
+    sheet: 'Students',
+    pages: pagesOf(page => repo.students.search({ q, sort: 'student_id', ascending: true, ...page })),
+    columns: [
+      { header: 'Student ID', value: s => s.student_id },
+      { header: 'Name',       value: s => s.name, width: 24 },
+      { header: 'Phone',      value: s => s.phone_number },
+      { header: 'Email',      value: s => s.email, width: 28 },
+      { header: 'Created At (IST)', value: s => istTime(s.created_at) }
+    ]
+  });
+});
+
+api.get('/api/export/members', requireAuth, requirePermission('export'), async (req, res) => {
+  await sendExport(req, res, {
+    filename: 'members',
+    sheet: 'Members',
+    pages: pagesOf(page => repo.members.find({},
+      { columns: 'id, name, email, phone_number, role, created_at', orderBy: 'name', ...page })),
+    columns: [
+      { header: 'Name',  value: m => m.name, width: 24 },
+      { header: 'Email', value: m => m.email, width: 28 },
+      { header: 'Phone', value: m => m.phone_number },
+      { header: 'Role',  value: m => m.role },
+      { header: 'Created At (IST)', value: m => istTime(m.created_at) }
+    ]
+  });
+});
+
+// ════════════════════════════════════════════════════════
+//  IMPORT (admin only)
+//  POST a CSV body (Content-Type: text/csv). Every row is
+//  validated and reported; nothing is written unless
+//  ?dry_run=0, and then only the rows without errors.
+// ════════════════════════════════════════════════════════
+
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+// Parses the upload; sends the 400 itself and returns null on a bad file.
+// Columns in optional may be absent from the file.
+function importRecords(req, res, aliases, optional = {}) {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    res.status(400).json({ error: 'Upload a CSV file.' });
+    return null;
+  }
+  const { missing: absent, rows } = csv.records(req.body, { ...aliases, ...optional });
+  const missing = absent.filter(k => k in aliases);
+  if (missing.length) {
+    res.status(400).json({ error: 'Missing column(s): ' + missing.join(', ') + '.' });
+    return null;
+  }
+  if (rows.length > 5000) {
+    res.status(400).json({ error: 'At most 5000 rows per import.' });
+    return null;
+  }
+  return rows;
+}
+
+function importSummary(dryRun, rows) {
+  return {
+    dry_run: dryRun,
+    total:   rows.length,
+    valid:   rows.filter(r => !r.errors.length).length,
+    invalid: rows.filter(r => r.errors.length).length,
+    rows
+  };
+}
+
+api.post('/api/import/students', requireAuth, requirePermission('import'), csvBody, async (req, res) => {
+  const dryRun = !['0', 'false'].includes(String(req.query.dry_run));
+  const records = importRecords(req, res, {
+    student_id:   ['student id', 'roll', 'roll number'],
+    name:         ['full name', 'student name'],
+    phone_number: ['phone', 'mobile'],
+    email:        ['email address']
+  });
+  if (!records) return;
+
+  const { data: existing, error } = await repo.students.findAll({}, { columns: 'id, student_id, name, phone_number, email' });
+  if (error) return res.status(500).json({ error: 'Failed to load students.' });
+  const byCol = col => new Map(existing.map(s => [s[col], s]));
+  const known = { student_id: byCol('student_id'), phone_number: byCol('phone_number'), email: byCol('email') };
+  const seen  = { student_id: new Map(), phone_number: new Map(), email: new Map() };
+  const LABEL = { student_id: 'Student ID', phone_number: 'phone', email: 'email' };
+
+  const rows = records.map(rec => {
+    const data = {
+      student_id:   sanitize(rec.student_id).toUpperCase(),
+      name:         sanitize(rec.name),
+      phone_number: String(rec.phone_number).trim(),
+      email:        sanitize(rec.email).toLowerCase()
+    };
+    const errors = [];
+    if (!data.student_id)             errors.push('Student ID is required.');
+    if (!data.name)                   errors.push('Name is required.');
+    if (!isPhone(data.phone_number))  errors.push('Phone must be 10 digits.');
+    if (!isEmail(data.email))         errors.push('Invalid email.');
+
+    const current = known.student_id.get(data.student_id);
+    for (const col of ['student_id', 'phone_number', 'email']) {
+      if (!data[col]) continue;
+      if (seen[col].has(data[col])) errors.push(`Same ${LABEL[col]} as line ${seen[col].get(data[col])}.`);
+      else seen[col].set(data[col], rec.line);
+      const owner = known[col].get(data[col]);
+      if (col !== 'student_id' && owner && owner.id !== current?.id)
+        errors.push(`${LABEL[col][0].toUpperCase() + LABEL[col].slice(1)} already used by student ${owner.student_id}.`);
+    }
+    return { line: rec.line, action: current ? 'update' : 'create', id: current?.id, errors, data };
+  });
+
+  if (!dryRun) {
+    for (const row of rows.filter(r => !r.errors.length)) {
+      const { id, data } = row;
+      const { data: saved, error: err } = id
+        ? await repo.students.update({ id }, data)
+        : await repo.students.insert(data);
+      if (err) { row.errors.push(err.code === '23505' ? await studentClash(data, id) : err.message); continue; }
+      const before = id ? existing.find(s => s.id === id) : null;
+      await audit(req, row.action, 'student', id || saved.id, before, before ? { ...before, ...data } : data);
+    }
+  }
+  res.json(importSummary(dryRun, rows.map(({ id, ...row }) => row)));
+});
+
+api.post('/api/import/events', requireAuth, requirePermission('import'), csvBody, async (req, res) => {
+  const dryRun = !['0', 'false'].includes(String(req.query.dry_run));
+  const records = importRecords(req, res, {
+    title: ['event', 'event title', 'name'],
+    cost:  ['fee', 'price', 'amount']
+  });
+  if (!records) return;
+
+  const { data: existing, error } = await repo.events.findAll({}, { columns: 'title' });
+  if (error) return res.status(500).json({ error: 'Failed to load events.' });
+  const known = new Set(existing.map(ev => ev.title.toLowerCase()));
+  const seen  = new Map();
+
+  const rows = records.map(rec => {
+    const data = { title: sanitize(rec.title), cost: parseFloat(rec.cost) };
+    const errors = [];
+    if (!data.title) errors.push('Title is required.');
+    if (isNaN(data.cost) || data.cost <= 0) errors.push('Cost must be > 0.');
+    const key = data.title.toLowerCase();
+    if (key && known.has(key)) errors.push('Event already exists.');
+    if (key && seen.has(key)) errors.push(`Same title as line ${seen.get(key)}.`);
+    else seen.set(key, rec.line);
+    return { line: rec.line, action: 'create', errors, data };
+  });
+
+  if (!dryRun) {
+    for (const row of rows.filter(r => !r.errors.length)) {
+      const { data: ev, error: err } = await repo.events.insert(row.data);
+      if (err) { row.errors.push(err.message); continue; }
+      await recordPrice(req, ev.id, row.data.cost);
+      await audit(req, 'create', 'event', ev.id, null, row.data);
+    }
+  }
+  res.json(importSummary(dryRun, rows));
+});
+
+// ════════════════════════════════════════════════════════
+//  UPI VERIFICATION
+//  Admins or finance upload the bank's or payment app's
+//  statement (CSV) and every UPI payment it covers is
+//  marked verified, amount_mismatch or not_found (lib/upi).
+//  As with imports, nothing is saved unless ?dry_run=0.
+// ════════════════════════════════════════════════════════
+
+// ?from=&to= (YYYY-MM-DD) set the days the statement covers, for when its
+// lines carry no dates or it was exported for a longer range than it holds.
+// → { period, lines, ignored, counts, unmatched, payments }, payments being
+// the ones it flags, each with its seller
+api.post('/api/upi-statements', requireAuth, requirePermission('payments.verify'), csvBody, async (req, res) => {
+  const dryRun = !['0', 'false'].includes(String(req.query.dry_run));
+  const bounds = {};
+  for (const k of ['from', 'to']) {
+    if (!req.query[k]) continue;
+    bounds[k] = upi.parseDate(req.query[k]);
+    if (!bounds[k]) return res.status(400).json({ error: 'Invalid date.' });
+  }
+  const records = importRecords(req, res, {
+    transaction_id: ['utr', 'rrn', 'upi ref', 'upi ref no', 'reference', 'reference no', 'ref no', 'transaction ref', 'upi transaction id', 'txn id', 'transaction id'],
+    amount:         ['credit', 'credit amount', 'amount (inr)', 'deposit', 'amount received']
+  }, {
+    date: ['transaction date', 'txn date', 'value date', 'date & time'],
+    type: ['dr/cr', 'cr/dr', 'credit/debit', 'transaction type']
+  });
+  if (!records) return;
+
+  const { lines, ignored } = upi.readLines(records);
+  const period = bounds.from || bounds.to ? bounds : upi.periodOf(lines);
+  const { data: payments, error } = await repo.payments.upiCollections();
+  if (error) return res.status(500).json({ error: 'Failed to load payments.' });
+  const { updates, unmatched, counts } = upi.matchStatement(lines, payments, period);
+
+  const names = await nameMap('members', 'name');
+  const byId = new Map(payments.map(p => [p.id, p]));
+  const flagged = updates.filter(u => u.upi_status !== 'verified').map(u => {
+    const p = byId.get(u.id);
+    return { ...u, transaction_id: p.transaction_id, amount: p.amount, registered_at: p.registered_at, member: names[p.member_id] || null };
+  });
+  const summary = { period, lines: lines.length, ignored, counts, unmatched, payments: flagged };
+  if (dryRun) return res.json({ dry_run: true, ...summary });
+
+  const { data: statement, error: saveErr } = await repo.upiStatements.record({
+    statement: {
+      uploaded_by: req.user.id, period_from: period?.from || null, period_to: period?.to || null,
+      lines: lines.length, ignored, ...counts, unmatched
+    },
+    updates
+  });
+  if (saveErr) return res.status(500).json({ error: saveErr.message });
+  await audit(req, 'create', 'upi_statement', statement.id, null,
+    { period_from: statement.period_from, period_to: statement.period_to, lines: lines.length, ...counts, unmatched: unmatched.length });
+  res.json({ dry_run: false, id: statement.id, ...summary });
+});
+
+// Past uploads, newest first, with the lines that matched no sale
+api.get('/api/upi-statements', requireAuth, requirePermission('payments.verify'), async (req, res) => {
+  const [{ data, error }, names] = await Promise.all([
+    repo.upiStatements.find({}, { orderBy: 'created_at', ascending: false, limit: 50 }),
+    nameMap('members', 'name')
+  ]);
+  if (error) return res.status(500).json({ error: 'Failed to load statements.' });
+  res.json(data.map(st => ({ ...st, uploaded_by_name: names[st.uploaded_by] || null })));
+});
+
+// ════════════════════════════════════════════════════════
+//  REPORTS
+//  All accept ?from=&to= (YYYY-MM-DD in IST, or timestamps)
+// ════════════════════════════════════════════════════════
+
+// Filtered rows for lib/reports; sends the error response itself and returns null
+async function reportRows(req, res) {
+  const { data, error } = await repo.registrations.reportRows({ from: dateParam(req.query.from), to: dateParam(req.query.to, true) });
+  if (error) { res.status(500).json({ error: 'Failed to load report.' }); return null; }
+  return data;
+}
+
+async function nameMap(table, column) {
+  const { data } = await repo[table].findAll({}, { columns: 'id, ' + column });
+  return Object.fromEntries((data || []).map(r => [r.id, r[column]]));
+}
+
+api.get('/api/reports/summary', requireAuth, requirePermission('reports'), async (req, res) => {
+  const rows = await reportRows(req, res);
+  if (!rows) return;
+  const [{ data: members }, { data: events }] = await Promise.all([repo.members.count({}), repo.events.count({})]);
+  res.json({ ...reports.summary(rows), members, events });
+});
+
+api.get('/api/reports/by-event', requireAuth, requirePermission('reports'), async (req, res) => {
+  const rows = await reportRows(req, res);
+  if (!rows) return;
+  res.json(reports.byEvent(rows, await nameMap('events', 'title')));
+});
+
+api.get('/api/reports/by-member', requireAuth, requirePermission('reports'), async (req, res) => {
+  const rows = await reportRows(req, res);
+  if (!rows) return;
+  res.json(reports.byMember(rows, await nameMap('members', 'name')));
+});
+
+api.get('/api/reports/by-method', requireAuth, requirePermission('reports'), async (req, res) => {
+  const rows = await reportRows(req, res);
+  if (!rows) return;
+  res.json(reports.byMethod(rows));
+});
+
+api.get('/api/reports/attendance', requireAuth, requirePermission('reports'), async (req, res) => {
+  const rows = await reportRows(req, res);
+  if (!rows) return;
+  res.json(reports.attendance(rows, await nameMap('events', 'title')));
+});
+
+// Not date-bounded: cash is outstanding until it is handed over
+api.get('/api/reports/unsettled-cash', requireAuth, requirePermission('reports'), async (req, res) => {
+  const [{ data: rows, error }, { data: settled }, names] = await Promise.all([
+    repo.registrations.unsettledCash(),
+    repo.settlements.findAll({}, { columns: 'member_id, created_at' }),
+    nameMap('members', 'name')
+  ]);
+  if (error) return res.status(500).json({ error: 'Failed to load report.' });
+  const lastSettled = {};
+  for (const st of settled || [])
+    if (!lastSettled[st.member_id] || st.created_at > lastSettled[st.member_id]) lastSettled[st.member_id] = st.created_at;
+  res.json(reports.unsettledCash(rows, names, lastSettled));
+});
+
+// UPI collections not yet verified against a statement, per member. Not
+// date-bounded, like unsettled cash.
+api.get('/api/reports/unverified-upi', requireAuth, requirePermission('reports'), async (req, res) => {
+  const [{ data: rows, error }, names] = await Promise.all([repo.payments.upiCollections(), nameMap('members', 'name')]);
+  if (error) return res.status(500).json({ error: 'Failed to load report.' });
+  res.json(reports.unverifiedUpi(rows, names));
+});
+
+api.get('/api/reports/timeline', requireAuth, requirePermission('reports'), async (req, res) => {
+  const bucket = req.query.bucket || 'day';
+  const rows = await reportRows(req, res);
+  if (!rows) return;
+  res.json(reports.timeline(rows, bucket));
+});
+
+// ════════════════════════════════════════════════════════
+//  AUDIT (admin only)
+// ════════════════════════════════════════════════════════
+
+api.get('/api/audit', requireAuth, requirePermission('audit'), async (req, res) => {
+  const { actor, entity, entity_id } = req.query;
+  const where = {};
+  if (actor)     where.actor_id  = actor;
+  if (entity)    where.entity    = entity;
+  if (entity_id) where.entity_id = entity_id;
+  const from = dateParam(req.query.from);
+  const to   = dateParam(req.query.to, true);
+  if (from || to) where.created_at = { ...(from && { gte: from }), ...(to && { lte: to }) };
+
+  const limit  = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const { data, error } = await repo.audit.find(where, { orderBy: 'created_at', ascending: false, limit, offset });
+  if (error) return res.status(500).json({ error: 'Failed to load activity.' });
+  res.json(data);
+});
+
+// ════════════════════════════════════════════════════════
+//  API DOCUMENT
+//  OpenAPI 3.1 for every route above, built from
+//  lib/api-spec and what each route was declared with.
+// ════════════════════════════════════════════════════════
+
+let openapiDoc;
+api.get('/api/openapi.json', (req, res) => {
+  openapiDoc ||= apiSpec.openapi(declared, { title: 'Accolade portal API', version: require('./package.json').version });
+  res.json(openapiDoc);
+});
+
+const undeclared = Object.keys(apiSpec.routes).filter(k => !declared.some(d => `${d.method} ${d.path}` === k));
+if (undeclared.length) throw new Error(`lib/api-spec.js describes routes server.js lacks: ${undeclared.join(', ')}`);
+
+app.use('/api', (req, res) => res.status(404).json({ error: 'No such API route.' }));
+app.use('/api', (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed')
+    return res.status(400).json({ error: 'The request body is not valid JSON.', code: 'invalid_json' });
+  if (err.type === 'entity.too.large')
+    return res.status(413).json({ error: 'The request body is too large.', code: 'invalid_request' });
+  if (res.headersSent) return next(err);
+  console.error(`${req.method} ${req.path} failed:`, err);
+  res.status(500).json({ error: 'Something went wrong. Please try again.' });
+});
+
 app.get('*', (req, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Accolade portal running on port ${PORT}`));
\ No newline at end of file
+// Optional bootstrap admin, mainly for a fresh DATA_BACKEND=memory store
+async function seedAdmin() {
+  const email = String(process.env.ADMIN_EMAIL || '').toLowerCase().trim();
+  const pw    = String(process.env.ADMIN_PASSWORD || '');
+  if (!email || !pw) return;
+  const { data } = await repo.members.findOne({ email }, { columns: 'id' });
+  if (data) return;
+  const { error } = await repo.members.insert({ name: 'Admin', email, password: await hashPassword(pw), role: 'admin' });
+  if (error) console.error('Failed to seed admin:', error.message);
+  else console.log(`Seeded admin ${email}`);
+}
+
+module.exports = { app, repo, seedAdmin };
+
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  seedAdmin().then(() =>
+    app.listen(PORT, () => console.log(`Accolade portal running on port ${PORT} (${repo.backend} backend, ${mailer.transport} mail)`)));
+  mailer.start();
+}
\ No newline at end of file
@@ -0,0 +1,24 @@
+-- Durable, revocable sessions (replaces the in-memory Map in server.js)
+create table if not exists "Sessions" (
+  id           uuid primary key default gen_random_uuid(),
+  member_id    uuid not null references "Members"(id) on delete cascade,
+  token_hash   text not null unique,
+  ip           text,
+  user_agent   text,
+  created_at   timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  expires_at   timestamptz not null,
+  revoked_at   timestamptz
+);
+create index if not exists sessions_member_idx on "Sessions"(member_id);
+
+-- Failed login counters, keyed by 'email:<addr>' or 'ip:<addr>'
+create table if not exists "LoginFailures" (
+  key             text primary key,
+  failures        integer not null default 0,
+  first_failed_at timestamptz not null default now(),
+  locked_until    timestamptz
+);
+
+-- Salted scrypt hashes are longer than the old sha256 hex digests
+alter table "Members" alter column password type text;
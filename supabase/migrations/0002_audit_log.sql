@@ -0,0 +1,15 @@
+-- Who changed what: one row per write through the API
+create table if not exists "AuditLog" (
+  id          uuid primary key default gen_random_uuid(),
+  actor_id    uuid references "Members"(id) on delete set null,
+  actor_name  text,
+  action      text not null,
+  entity      text not null,
+  entity_id   uuid,
+  before      jsonb,
+  after       jsonb,
+  created_at  timestamptz not null default now()
+);
+create index if not exists audit_log_created_idx on "AuditLog"(created_at desc);
+create index if not exists audit_log_actor_idx   on "AuditLog"(actor_id);
+create index if not exists audit_log_entity_idx  on "AuditLog"(entity, entity_id);
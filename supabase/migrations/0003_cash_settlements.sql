@@ -0,0 +1,58 @@
+-- Cash handovers from desk members to the treasurer. Each settlement covers
+-- a fixed set of cash registrations, which are locked for members afterwards.
+create table if not exists "Settlements" (
+  id               uuid primary key default gen_random_uuid(),
+  member_id        uuid references "Members"(id) on delete set null,
+  received_by      uuid references "Members"(id) on delete set null,
+  registrations    integer not null,
+  expected_amount  numeric(10,2) not null,
+  amount_received  numeric(10,2) not null,
+  discrepancy      numeric(10,2) not null,
+  notes            text,
+  created_at       timestamptz not null default now()
+);
+create index if not exists settlements_member_idx on "Settlements"(member_id, created_at desc);
+
+alter table "Registrations"
+  add column if not exists settlement_id uuid references "Settlements"(id) on delete set null;
+create index if not exists registrations_unsettled_cash_idx
+  on "Registrations"(member_id) where payment_method = 'cash' and settlement_id is null;
+
+-- All or nothing: every id must be unsettled cash collected by p_member_uuid
+create or replace function settle_cash(
+  p_member_uuid      uuid,
+  p_received_by      uuid,
+  p_registration_ids uuid[],
+  p_amount_received  numeric,
+  p_notes            text
+) returns "Settlements"
+language plpgsql as $$
+declare
+  v_ids      uuid[] := array(select distinct unnest(p_registration_ids));
+  v_count    integer;
+  v_expected numeric;
+  v_row      "Settlements";
+begin
+  perform 1 from "Registrations" where id = any(v_ids) for update;
+
+  select count(*), coalesce(sum(amount_paid), 0) into v_count, v_expected
+    from "Registrations"
+   where id = any(v_ids)
+     and member_id = p_member_uuid
+     and payment_method = 'cash'
+     and settlement_id is null;
+
+  if v_count <> coalesce(array_length(v_ids, 1), 0) then
+    raise exception 'Some registrations are not unsettled cash collected by this member.';
+  end if;
+
+  insert into "Settlements" (member_id, received_by, registrations, expected_amount,
+                             amount_received, discrepancy, notes)
+  values (p_member_uuid, p_received_by, v_count, v_expected,
+          p_amount_received, p_amount_received - v_expected, p_notes)
+  returning * into v_row;
+
+  update "Registrations" set settlement_id = v_row.id where id = any(v_ids);
+  return v_row;
+end;
+$$;
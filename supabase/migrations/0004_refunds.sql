@@ -0,0 +1,130 @@
+-- Registrations are cancelled or refunded instead of deleted, so revenue
+-- history survives and refunds can be told apart from data-entry mistakes.
+alter table "Registrations"
+  add column if not exists status          text not null default 'active'
+                                           check (status in ('active', 'cancelled', 'refunded')),
+  add column if not exists cancelled_at    timestamptz,
+  add column if not exists cancelled_by    uuid references "Members"(id) on delete set null,
+  add column if not exists cancel_reason   text,
+  add column if not exists refunded_amount numeric(10,2) not null default 0;
+
+-- A student may register again for an event they cancelled or were refunded for
+alter table "Registrations" drop constraint if exists "Registrations_student_id_event_id_key";
+create unique index if not exists registrations_active_student_event_key
+  on "Registrations"(student_id, event_id) where status = 'active';
+
+-- Payments whose registrations were all cancelled are voided, freeing the UPI reference
+alter table "Payments" add column if not exists voided_at timestamptz;
+alter table "Payments" drop constraint if exists "Payments_transaction_id_key";
+create unique index if not exists payments_live_transaction_key
+  on "Payments"(transaction_id) where voided_at is null;
+
+create table if not exists "Refunds" (
+  id              uuid primary key default gen_random_uuid(),
+  payment_id      uuid not null references "Payments"(id) on delete cascade,
+  amount          numeric(10,2) not null check (amount > 0),
+  method          text not null check (method in ('cash', 'upi')),
+  transaction_id  text unique,
+  reason          text not null,
+  approved_by     uuid references "Members"(id) on delete set null,
+  registrations   integer not null,
+  created_at      timestamptz not null default now()
+);
+create index if not exists refunds_payment_idx on "Refunds"(payment_id);
+
+alter table "Registrations"
+  add column if not exists refund_id uuid references "Refunds"(id) on delete set null;
+
+-- All or nothing: the registrations must be active on p_payment_uuid, and
+-- p_amount is split across them in proportion to what each one paid.
+create or replace function refund_registrations(
+  p_payment_uuid     uuid,
+  p_registration_ids uuid[],
+  p_amount           numeric,
+  p_method           text,
+  p_transaction_id   text,
+  p_reason           text,
+  p_approved_by      uuid
+) returns "Refunds"
+language plpgsql as $$
+declare
+  v_ids   uuid[] := array(select distinct unnest(p_registration_ids));
+  v_count integer;
+  v_paid  numeric;
+  v_left  numeric := p_amount;
+  v_share numeric;
+  v_reg   record;
+  v_i     integer := 0;
+  v_row   "Refunds";
+begin
+  perform 1 from "Registrations" where id = any(v_ids) for update;
+
+  select count(*), coalesce(sum(amount_paid), 0) into v_count, v_paid
+    from "Registrations"
+   where id = any(v_ids) and payment_id = p_payment_uuid and status = 'active';
+
+  if v_count <> coalesce(array_length(v_ids, 1), 0) then
+    raise exception 'Some registrations are not active on this payment.';
+  end if;
+  if p_amount > v_paid then
+    raise exception 'Refund is more than was paid for the selected registrations.';
+  end if;
+
+  insert into "Refunds" (payment_id, amount, method, transaction_id, reason, approved_by, registrations)
+  values (p_payment_uuid, p_amount, p_method, p_transaction_id, p_reason, p_approved_by, v_count)
+  returning * into v_row;
+
+  for v_reg in select id, amount_paid from "Registrations" where id = any(v_ids) order by id loop
+    v_i := v_i + 1;
+    v_share := case when v_i = v_count then v_left
+                    else round(p_amount * v_reg.amount_paid / v_paid, 2) end;
+    v_left := v_left - v_share;
+    update "Registrations"
+       set status = 'refunded', refund_id = v_row.id, refunded_amount = v_share
+     where id = v_reg.id;
+  end loop;
+
+  return v_row;
+end;
+$$;
+
+-- Cancelled cash was never kept, so it is no longer part of a handover, and
+-- what was refunded is expected back net of the refund (lib/reports net)
+create or replace function settle_cash(
+  p_member_uuid      uuid,
+  p_received_by      uuid,
+  p_registration_ids uuid[],
+  p_amount_received  numeric,
+  p_notes            text
+) returns "Settlements"
+language plpgsql as $$
+declare
+  v_ids      uuid[] := array(select distinct unnest(p_registration_ids));
+  v_count    integer;
+  v_expected numeric;
+  v_row      "Settlements";
+begin
+  perform 1 from "Registrations" where id = any(v_ids) for update;
+
+  select count(*), coalesce(sum(amount_paid - refunded_amount), 0) into v_count, v_expected
+    from "Registrations"
+   where id = any(v_ids)
+     and member_id = p_member_uuid
+     and payment_method = 'cash'
+     and settlement_id is null
+     and status <> 'cancelled';
+
+  if v_count <> coalesce(array_length(v_ids, 1), 0) then
+    raise exception 'Some registrations are not unsettled cash collected by this member.';
+  end if;
+
+  insert into "Settlements" (member_id, received_by, registrations, expected_amount,
+                             amount_received, discrepancy, notes)
+  values (p_member_uuid, p_received_by, v_count, v_expected,
+          p_amount_received, p_amount_received - v_expected, p_notes)
+  returning * into v_row;
+
+  update "Registrations" set settlement_id = v_row.id where id = any(v_ids);
+  return v_row;
+end;
+$$;
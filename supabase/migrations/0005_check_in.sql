@@ -0,0 +1,6 @@
+-- Venue check-in: each ticket (registration) is admitted once
+alter table "Registrations"
+  add column if not exists checked_in_at timestamptz,
+  add column if not exists checked_in_by uuid references "Members"(id) on delete set null;
+create index if not exists registrations_checked_in_idx
+  on "Registrations"(event_id) where checked_in_at is not null;
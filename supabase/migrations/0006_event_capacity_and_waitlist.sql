@@ -0,0 +1,93 @@
+-- Optional capacity, registration window, schedule and an on/off switch per event
+alter table "Events"
+  add column if not exists capacity               integer check (capacity is null or capacity > 0),
+  add column if not exists registration_opens_at  timestamptz,
+  add column if not exists registration_closes_at timestamptz,
+  add column if not exists starts_at              timestamptz,
+  add column if not exists venue                  text,
+  add column if not exists active                 boolean not null default true;
+
+create index if not exists registrations_active_event_idx
+  on "Registrations"(event_id) where status = 'active';
+
+-- Students waiting for a seat at a full event; admins promote them into a registration
+create table if not exists "Waitlist" (
+  id               uuid primary key default gen_random_uuid(),
+  event_id         uuid not null references "Events"(id) on delete cascade,
+  student_id       uuid not null references "Students"(id) on delete cascade,
+  member_id        uuid references "Members"(id) on delete set null,
+  status           text not null default 'waiting' check (status in ('waiting', 'promoted', 'removed')),
+  registration_id  uuid references "Registrations"(id) on delete set null,
+  promoted_at      timestamptz,
+  created_at       timestamptz not null default now()
+);
+create unique index if not exists waitlist_waiting_event_student_key
+  on "Waitlist"(event_id, student_id) where status = 'waiting';
+
+-- Registration now checks each event's active flag, window and capacity
+-- while holding a row lock on the event, so two desks can't both sell the
+-- last seat. Error codes match lib/events.js:
+--   AC001 full · AC002 outside the registration window · AC003 inactive
+drop function if exists register_student_with_payment(uuid, uuid, uuid[], text, text);
+create function register_student_with_payment(
+  p_student_uuid   uuid,
+  p_member_uuid    uuid,
+  p_event_ids      uuid[],
+  p_payment_method text,
+  p_transaction_id text
+) returns jsonb
+language plpgsql as $$
+declare
+  v_event  "Events";
+  v_found  integer := 0;
+  v_taken  integer;
+  v_closes timestamptz;
+  v_total  numeric := 0;
+  v_pay    uuid;
+  v_reg    uuid;
+  v_regs   uuid[] := '{}';
+begin
+  if (select count(distinct e) from unnest(p_event_ids) e) <> coalesce(array_length(p_event_ids, 1), 0) then
+    raise exception 'duplicate key value violates unique constraint "registrations_active_student_event_key"'
+      using errcode = '23505';
+  end if;
+
+  for v_event in select * from "Events" where id = any(p_event_ids) order by id for update loop
+    v_found := v_found + 1;
+    if not v_event.active then
+      raise exception '% is not taking registrations.', v_event.title using errcode = 'AC003';
+    end if;
+    if v_event.registration_opens_at is not null and now() < v_event.registration_opens_at then
+      raise exception 'Registration for % has not opened yet.', v_event.title using errcode = 'AC002';
+    end if;
+    v_closes := coalesce(v_event.registration_closes_at, v_event.starts_at);
+    if v_closes is not null and now() >= v_closes then
+      raise exception 'Registration for % has closed.', v_event.title using errcode = 'AC002';
+    end if;
+    if v_event.capacity is not null then
+      select count(*) into v_taken from "Registrations" where event_id = v_event.id and status = 'active';
+      if v_taken >= v_event.capacity then
+        raise exception '% is full.', v_event.title using errcode = 'AC001';
+      end if;
+    end if;
+    v_total := v_total + v_event.cost;
+  end loop;
+
+  if v_found <> array_length(p_event_ids, 1) then
+    raise exception 'Event not found.' using errcode = '23503';
+  end if;
+
+  insert into "Payments" (payment_method, transaction_id, amount)
+  values (p_payment_method, p_transaction_id, v_total)
+  returning id into v_pay;
+
+  for v_event in select * from "Events" where id = any(p_event_ids) order by id loop
+    insert into "Registrations" (student_id, event_id, member_id, payment_id, payment_method, amount_paid)
+    values (p_student_uuid, v_event.id, p_member_uuid, v_pay, p_payment_method, v_event.cost)
+    returning id into v_reg;
+    v_regs := v_regs || v_reg;
+  end loop;
+
+  return jsonb_build_object('payment_id', v_pay, 'registration_ids', to_jsonb(v_regs));
+end;
+$$;
@@ -0,0 +1,164 @@
+-- Team events: a captain and teammates share one payment and a team name.
+-- Each person still gets their own registration (so duplicate registration
+-- is blocked per student and everyone has a ticket), but a team takes one
+-- seat against the event's capacity.
+alter table "Events"
+  add column if not exists team_min integer check (team_min >= 1),
+  add column if not exists team_max integer check (team_max >= 2);
+alter table "Events" drop constraint if exists events_team_bounds;
+alter table "Events" add constraint events_team_bounds
+  check (team_max is null or coalesce(team_min, 1) <= team_max);
+
+create table if not exists "Teams" (
+  id          uuid primary key default gen_random_uuid(),
+  event_id    uuid not null references "Events"(id) on delete cascade,
+  name        text not null,
+  captain_id  uuid not null references "Students"(id) on delete cascade,
+  payment_id  uuid not null references "Payments"(id) on delete cascade,
+  member_id   uuid references "Members"(id) on delete set null,
+  created_at  timestamptz not null default now()
+);
+create index if not exists teams_event_idx on "Teams"(event_id);
+
+alter table "Registrations"
+  add column if not exists team_id uuid references "Teams"(id) on delete set null;
+create index if not exists registrations_team_idx on "Registrations"(team_id);
+
+-- Seats taken: one per individual registration, one per team
+create or replace function event_seats_taken(p_event_uuid uuid) returns integer
+language sql stable as $$
+  select (count(*) filter (where team_id is null) + count(distinct team_id))::integer
+  from "Registrations" where event_id = p_event_uuid and status = 'active';
+$$;
+
+-- All or nothing, under the same event row lock and checks as
+-- register_student_with_payment, plus AC004 for a team of the wrong size.
+-- The captain's registration carries the fee; teammates' are 0.
+create or replace function register_team_with_payment(
+  p_event_uuid     uuid,
+  p_team_name      text,
+  p_captain_uuid   uuid,
+  p_student_uuids  uuid[],
+  p_member_uuid    uuid,
+  p_payment_method text,
+  p_transaction_id text
+) returns jsonb
+language plpgsql as $$
+declare
+  v_event  "Events";
+  v_size   integer := 1 + coalesce(array_length(p_student_uuids, 1), 0);
+  v_closes timestamptz;
+  v_pay    uuid;
+  v_team   uuid;
+  v_stu    uuid;
+  v_reg    uuid;
+  v_regs   uuid[] := '{}';
+begin
+  select * into v_event from "Events" where id = p_event_uuid for update;
+  if not found then
+    raise exception 'Event not found.' using errcode = '23503';
+  end if;
+  if v_event.team_max is null then
+    raise exception '% is not a team event.', v_event.title using errcode = 'AC004';
+  end if;
+  if v_size < coalesce(v_event.team_min, 1) or v_size > v_event.team_max then
+    raise exception 'Teams for % have % to % people.', v_event.title, coalesce(v_event.team_min, 1), v_event.team_max
+      using errcode = 'AC004';
+  end if;
+  if not v_event.active then
+    raise exception '% is not taking registrations.', v_event.title using errcode = 'AC003';
+  end if;
+  if v_event.registration_opens_at is not null and now() < v_event.registration_opens_at then
+    raise exception 'Registration for % has not opened yet.', v_event.title using errcode = 'AC002';
+  end if;
+  v_closes := coalesce(v_event.registration_closes_at, v_event.starts_at);
+  if v_closes is not null and now() >= v_closes then
+    raise exception 'Registration for % has closed.', v_event.title using errcode = 'AC002';
+  end if;
+  if v_event.capacity is not null and event_seats_taken(v_event.id) >= v_event.capacity then
+    raise exception '% is full.', v_event.title using errcode = 'AC001';
+  end if;
+
+  insert into "Payments" (payment_method, transaction_id, amount)
+  values (p_payment_method, p_transaction_id, v_event.cost)
+  returning id into v_pay;
+
+  insert into "Teams" (event_id, name, captain_id, payment_id, member_id)
+  values (v_event.id, p_team_name, p_captain_uuid, v_pay, p_member_uuid)
+  returning id into v_team;
+
+  foreach v_stu in array array_prepend(p_captain_uuid, coalesce(p_student_uuids, '{}')) loop
+    insert into "Registrations" (student_id, event_id, member_id, team_id, payment_id, payment_method, amount_paid)
+    values (v_stu, v_event.id, p_member_uuid, v_team, v_pay, p_payment_method,
+            case when v_stu = p_captain_uuid then v_event.cost else 0 end)
+    returning id into v_reg;
+    v_regs := v_regs || v_reg;
+  end loop;
+
+  return jsonb_build_object('team_id', v_team, 'payment_id', v_pay, 'registration_ids', to_jsonb(v_regs));
+end;
+$$;
+
+-- p_student_uuids is the whole roster apart from the captain. Teammates left
+-- off are cancelled; new ones join on the team's payment at no charge.
+create or replace function update_team_roster(
+  p_team_uuid     uuid,
+  p_name          text,
+  p_student_uuids uuid[],
+  p_actor_uuid    uuid
+) returns jsonb
+language plpgsql as $$
+declare
+  v_team    "Teams";
+  v_event   "Events";
+  v_captain "Registrations";
+  v_wanted  uuid[];
+  v_stu     uuid;
+  v_reg     uuid;
+  v_added   uuid[] := '{}';
+  v_removed uuid[];
+begin
+  select * into v_team from "Teams" where id = p_team_uuid for update;
+  if not found then
+    raise exception 'Team not found.' using errcode = 'P0001';
+  end if;
+  select * into v_event from "Events" where id = v_team.event_id;
+  select * into v_captain from "Registrations"
+   where team_id = v_team.id and student_id = v_team.captain_id and status = 'active';
+  if not found then
+    raise exception 'This team registration is no longer active.' using errcode = 'P0001';
+  end if;
+
+  select coalesce(array_agg(distinct s), '{}') into v_wanted
+    from unnest(coalesce(p_student_uuids, '{}')) s where s <> v_team.captain_id;
+  if 1 + coalesce(array_length(v_wanted, 1), 0) < coalesce(v_event.team_min, 1)
+     or 1 + coalesce(array_length(v_wanted, 1), 0) > v_event.team_max then
+    raise exception 'Teams for % have % to % people.', v_event.title, coalesce(v_event.team_min, 1), v_event.team_max
+      using errcode = 'AC004';
+  end if;
+
+  with gone as (
+    update "Registrations"
+       set status = 'cancelled', cancelled_at = now(), cancelled_by = p_actor_uuid, cancel_reason = 'Removed from team'
+     where team_id = v_team.id and status = 'active'
+       and student_id <> v_team.captain_id and not (student_id = any(v_wanted))
+    returning id
+  )
+  select coalesce(array_agg(id), '{}') into v_removed from gone;
+
+  foreach v_stu in array v_wanted loop
+    if not exists (select 1 from "Registrations" where team_id = v_team.id and student_id = v_stu and status = 'active') then
+      insert into "Registrations" (student_id, event_id, member_id, team_id, payment_id, payment_method, amount_paid)
+      values (v_stu, v_team.event_id, v_team.member_id, v_team.id, v_team.payment_id, v_captain.payment_method, 0)
+      returning id into v_reg;
+      v_added := v_added || v_reg;
+    end if;
+  end loop;
+
+  if p_name is not null then
+    update "Teams" set name = p_name where id = v_team.id;
+  end if;
+
+  return jsonb_build_object('added', to_jsonb(v_added), 'removed', to_jsonb(v_removed));
+end;
+$$;
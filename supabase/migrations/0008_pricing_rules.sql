@@ -0,0 +1,103 @@
+-- Admin-managed pricing: coupons, bundles and automatic discounts (see
+-- lib/pricing.js). The server works out the price; the RPC applies the
+-- per-event discounts it was given and spends one use of each rule, so a
+-- coupon with max_uses can't be redeemed more often than allowed.
+create table if not exists "PricingRules" (
+  id          uuid primary key default gen_random_uuid(),
+  name        text not null,
+  kind        text not null check (kind in ('bundle', 'percent', 'flat')),
+  code        text unique,
+  value       numeric(10,2) not null check (value > 0),
+  event_ids   uuid[],
+  min_events  integer not null default 1 check (min_events >= 1),
+  max_uses    integer check (max_uses >= 1),
+  uses        integer not null default 0,
+  starts_at   timestamptz,
+  ends_at     timestamptz,
+  active      boolean not null default true,
+  created_at  timestamptz not null default now()
+);
+
+alter table "Registrations"
+  add column if not exists discount numeric(10,2) not null default 0;
+alter table "Payments"
+  add column if not exists discount    numeric(10,2) not null default 0,
+  add column if not exists coupon_code text;
+
+-- Same as 0006 plus p_discounts (event id → amount off), p_rule_ids and
+-- p_coupon_code. AC005: a rule ran out of uses since the price was quoted.
+drop function if exists register_student_with_payment(uuid, uuid, uuid[], text, text);
+create function register_student_with_payment(
+  p_student_uuid   uuid,
+  p_member_uuid    uuid,
+  p_event_ids      uuid[],
+  p_payment_method text,
+  p_transaction_id text,
+  p_discounts      jsonb  default '{}',
+  p_rule_ids       uuid[] default '{}',
+  p_coupon_code    text   default null
+) returns jsonb
+language plpgsql as $$
+declare
+  v_event  "Events";
+  v_found  integer := 0;
+  v_closes timestamptz;
+  v_total  numeric := 0;
+  v_off    numeric;
+  v_disc   numeric := 0;
+  v_used   integer;
+  v_pay    uuid;
+  v_reg    uuid;
+  v_regs   uuid[] := '{}';
+begin
+  if (select count(distinct e) from unnest(p_event_ids) e) <> coalesce(array_length(p_event_ids, 1), 0) then
+    raise exception 'duplicate key value violates unique constraint "registrations_active_student_event_key"'
+      using errcode = '23505';
+  end if;
+
+  for v_event in select * from "Events" where id = any(p_event_ids) order by id for update loop
+    v_found := v_found + 1;
+    if not v_event.active then
+      raise exception '% is not taking registrations.', v_event.title using errcode = 'AC003';
+    end if;
+    if v_event.registration_opens_at is not null and now() < v_event.registration_opens_at then
+      raise exception 'Registration for % has not opened yet.', v_event.title using errcode = 'AC002';
+    end if;
+    v_closes := coalesce(v_event.registration_closes_at, v_event.starts_at);
+    if v_closes is not null and now() >= v_closes then
+      raise exception 'Registration for % has closed.', v_event.title using errcode = 'AC002';
+    end if;
+    if v_event.capacity is not null and event_seats_taken(v_event.id) >= v_event.capacity then
+      raise exception '% is full.', v_event.title using errcode = 'AC001';
+    end if;
+    v_off   := least(coalesce((p_discounts ->> v_event.id::text)::numeric, 0), v_event.cost);
+    v_total := v_total + v_event.cost - v_off;
+    v_disc  := v_disc + v_off;
+  end loop;
+
+  if v_found <> array_length(p_event_ids, 1) then
+    raise exception 'Event not found.' using errcode = '23503';
+  end if;
+
+  update "PricingRules" set uses = uses + 1
+   where id = any(p_rule_ids) and (max_uses is null or uses < max_uses);
+  get diagnostics v_used = row_count;
+  if v_used <> coalesce(array_length(p_rule_ids, 1), 0) then
+    raise exception 'A discount in this price has just run out; check the price again.' using errcode = 'AC005';
+  end if;
+
+  insert into "Payments" (payment_method, transaction_id, amount, discount, coupon_code)
+  values (p_payment_method, p_transaction_id, v_total, v_disc, p_coupon_code)
+  returning id into v_pay;
+
+  for v_event in select * from "Events" where id = any(p_event_ids) order by id loop
+    v_off := least(coalesce((p_discounts ->> v_event.id::text)::numeric, 0), v_event.cost);
+    insert into "Registrations" (student_id, event_id, member_id, payment_id, payment_method, amount_paid, discount)
+    values (p_student_uuid, v_event.id, p_member_uuid, v_pay, p_payment_method, v_event.cost - v_off, v_off)
+    returning id into v_reg;
+    v_regs := v_regs || v_reg;
+  end loop;
+
+  return jsonb_build_object('payment_id', v_pay, 'registration_ids', to_jsonb(v_regs));
+end;
+$$;
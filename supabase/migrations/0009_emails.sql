@@ -0,0 +1,25 @@
+-- Outbox for receipts and notices to students (lib/mail). Rows are rendered
+-- when queued and sent in the background with retries. registration_id is
+-- set when the email is about one registration; null means all of the
+-- student's registrations on payment_id (a receipt, or a notice covering
+-- several events).
+create table if not exists "Emails" (
+  id               uuid primary key default gen_random_uuid(),
+  kind             text not null check (kind in ('receipt', 'event_changed', 'cancelled', 'refunded')),
+  to_email         text not null,
+  subject          text not null,
+  body_text        text not null,
+  body_html        text,
+  student_id       uuid not null references "Students"(id) on delete cascade,
+  payment_id       uuid references "Payments"(id) on delete cascade,
+  registration_id  uuid references "Registrations"(id) on delete set null,
+  created_by       uuid references "Members"(id) on delete set null,
+  status           text not null default 'queued' check (status in ('queued', 'sent', 'failed')),
+  attempts         integer not null default 0,
+  last_error       text,
+  next_attempt_at  timestamptz not null default now(),
+  sent_at          timestamptz,
+  created_at       timestamptz not null default now()
+);
+create index if not exists emails_due_idx on "Emails"(next_attempt_at) where status = 'queued';
+create index if not exists emails_payment_idx on "Emails"(payment_id, created_at desc);
@@ -0,0 +1,14 @@
+-- Responses to writes sent with an Idempotency-Key header, so a desk that
+-- retries after a timeout gets the first result back instead of registering
+-- twice. Keys are per member and kept for a day.
+create table if not exists "IdempotencyKeys" (
+  member_id        uuid not null references "Members"(id) on delete cascade,
+  key              text not null,
+  request_hash     text not null,
+  status           text not null default 'pending' check (status in ('pending', 'done')),
+  response_status  integer,
+  response_body    jsonb,
+  created_at       timestamptz not null default now(),
+  primary key (member_id, key)
+);
+create index if not exists idempotency_keys_created_idx on "IdempotencyKeys"(created_at);
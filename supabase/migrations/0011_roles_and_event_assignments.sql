@@ -0,0 +1,14 @@
+-- Roles beyond admin/member (see lib/permissions.js) and the events a member
+-- is assigned to. Coordinators only see their assigned events; a desk member
+-- with assignments sells and checks in for those events only.
+alter table "Members" drop constraint if exists "Members_role_check";
+alter table "Members" add constraint "Members_role_check"
+  check (role in ('admin', 'member', 'finance', 'coordinator', 'viewer'));
+
+create table if not exists "MemberEvents" (
+  member_id   uuid not null references "Members"(id) on delete cascade,
+  event_id    uuid not null references "Events"(id) on delete cascade,
+  created_at  timestamptz not null default now(),
+  primary key (member_id, event_id)
+);
+create index if not exists member_events_event_idx on "MemberEvents"(event_id);
@@ -0,0 +1,64 @@
+-- Folds a duplicate student into the record that stays. p_cancel_ids are the
+-- places the two held in the same event that the server decided to drop
+-- (lib/students.js mergePlan); everything else moves across, and the
+-- duplicate row is deleted. A place both still hold fails the unique index,
+-- which rolls the whole merge back. Only unpaid places are cancelled here:
+-- money taken for one has to go back through a refund first.
+create or replace function merge_students(
+  p_keep_uuid   uuid,
+  p_merge_uuid  uuid,
+  p_cancel_ids  uuid[],
+  p_reason      text,
+  p_actor_uuid  uuid
+) returns json
+language plpgsql as $$
+declare
+  v_ids       uuid[] := array(select distinct unnest(p_cancel_ids));
+  v_cancelled uuid[];
+  v_moved     uuid[];
+  v_payment   uuid;
+begin
+  perform 1 from "Students" where id in (p_keep_uuid, p_merge_uuid) order by id for update;
+  if (select count(*) from "Students" where id in (p_keep_uuid, p_merge_uuid)) <> 2 then
+    raise exception 'Student not found.';
+  end if;
+
+  if exists (select 1 from "Registrations" where id = any(v_ids) and status = 'active' and amount_paid > 0) then
+    raise exception 'A place the merge would cancel was paid for. Refund it first.';
+  end if;
+
+  with cancelled as (
+    update "Registrations"
+       set status = 'cancelled', cancelled_at = now(), cancelled_by = p_actor_uuid, cancel_reason = p_reason
+     where id = any(v_ids) and student_id in (p_keep_uuid, p_merge_uuid) and status = 'active'
+    returning id
+  )
+  select coalesce(array_agg(id), '{}') into v_cancelled from cancelled;
+
+  if coalesce(array_length(v_cancelled, 1), 0) <> coalesce(array_length(v_ids, 1), 0) then
+    raise exception 'These registrations changed while merging. Try again.';
+  end if;
+
+  for v_payment in select distinct payment_id from "Registrations" where id = any(v_cancelled) loop
+    if not exists (select 1 from "Registrations" where payment_id = v_payment and status <> 'cancelled') then
+      update "Payments" set voided_at = now() where id = v_payment;
+    end if;
+  end loop;
+
+  update "Waitlist" w set status = 'removed'
+   where w.student_id = p_merge_uuid and w.status = 'waiting'
+     and exists (select 1 from "Waitlist" k
+                  where k.student_id = p_keep_uuid and k.event_id = w.event_id and k.status = 'waiting');
+
+  with moved as (
+    update "Registrations" set student_id = p_keep_uuid where student_id = p_merge_uuid returning id
+  )
+  select coalesce(array_agg(id), '{}') into v_moved from moved;
+  update "Waitlist" set student_id = p_keep_uuid where student_id = p_merge_uuid;
+  update "Emails"   set student_id = p_keep_uuid where student_id = p_merge_uuid;
+  update "Teams"    set captain_id = p_keep_uuid where captain_id = p_merge_uuid;
+  delete from "Students" where id = p_merge_uuid;
+
+  return json_build_object('moved', v_moved, 'cancelled', v_cancelled);
+end;
+$$;
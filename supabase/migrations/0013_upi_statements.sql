@@ -0,0 +1,49 @@
+-- UPI statements uploaded by admins (lib/upi.js). Each upload is kept with
+-- the lines that matched no sale; every payment it covered records the
+-- outcome and the statement amount.
+create table if not exists "UpiStatements" (
+  id               uuid primary key default gen_random_uuid(),
+  uploaded_by      uuid references "Members"(id) on delete set null,
+  period_from      date,
+  period_to        date,
+  lines            integer not null,
+  ignored          integer not null default 0,
+  verified         integer not null default 0,
+  amount_mismatch  integer not null default 0,
+  not_found        integer not null default 0,
+  unmatched        jsonb not null default '[]',
+  created_at       timestamptz not null default now()
+);
+
+alter table "Payments"
+  add column if not exists upi_status       text check (upi_status in ('verified', 'amount_mismatch', 'not_found')),
+  add column if not exists upi_amount       numeric(10,2),
+  add column if not exists upi_checked_at   timestamptz,
+  add column if not exists upi_statement_id uuid references "UpiStatements"(id) on delete set null;
+create index if not exists payments_upi_unverified_idx
+  on "Payments"(upi_status) where payment_method = 'upi' and voided_at is null;
+
+-- All or nothing: the statement row plus each payment's outcome.
+-- p_updates: [{ id, upi_status, upi_amount }]
+create or replace function record_upi_statement(
+  p_statement jsonb,
+  p_updates   jsonb
+) returns "UpiStatements"
+language plpgsql as $$
+declare
+  v_row "UpiStatements";
+begin
+  insert into "UpiStatements" (uploaded_by, period_from, period_to, lines, ignored, verified, amount_mismatch, not_found, unmatched)
+  select uploaded_by, period_from, period_to, lines, ignored, verified, amount_mismatch, not_found, coalesce(unmatched, '[]')
+    from jsonb_populate_record(null::"UpiStatements", p_statement)
+  returning * into v_row;
+
+  update "Payments" p
+     set upi_status = u.upi_status, upi_amount = u.upi_amount,
+         upi_checked_at = now(), upi_statement_id = v_row.id
+    from jsonb_to_recordset(p_updates) as u(id uuid, upi_status text, upi_amount numeric)
+   where p.id = u.id;
+
+  return v_row;
+end;
+$$;
@@ -0,0 +1,18 @@
+-- Forgot-password links (server.js ACCOUNT). Only a hash of the token is
+-- stored; a link works once, until expires_at, and asking again replaces
+-- any unused one.
+create table if not exists "PasswordResets" (
+  id          uuid primary key default gen_random_uuid(),
+  member_id   uuid not null references "Members"(id) on delete cascade,
+  token_hash  text not null unique,
+  ip          text,
+  expires_at  timestamptz not null,
+  used_at     timestamptz,
+  created_at  timestamptz not null default now()
+);
+create index if not exists password_resets_member_idx on "PasswordResets"(member_id);
+
+-- Set when an admin creates or resets an account with a temporary password;
+-- the member can only change it (and read /api/me) until they do
+alter table "Members"
+  add column if not exists must_change_password boolean not null default false;
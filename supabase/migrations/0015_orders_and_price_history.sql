@@ -0,0 +1,133 @@
+-- Every cost an event has had. Events.cost stays the current price; a row is
+-- added whenever it is set, so a sale can be priced as of when it was made.
+create table if not exists "EventPrices" (
+  id              uuid primary key default gen_random_uuid(),
+  event_id        uuid not null references "Events"(id) on delete cascade,
+  cost            numeric not null,
+  effective_from  timestamptz not null default now(),
+  set_by          uuid references "Members"(id) on delete set null,
+  created_at      timestamptz not null default now()
+);
+create index if not exists event_prices_event_idx on "EventPrices"(event_id, effective_from);
+
+-- Existing events start their history with today's cost, from when they were added
+insert into "EventPrices" (event_id, cost, effective_from)
+select e.id, e.cost, e.created_at from "Events" e
+ where not exists (select 1 from "EventPrices" p where p.event_id = e.id);
+
+-- Edits a multi-event purchase (one payment) as a unit: takes off
+-- p_remove_ids, which must be active, unsettled places on it, adds a place in
+-- each of p_add_event_ids at the event's current cost, and sets the payment's
+-- amount to the order's total: what its places that aren't cancelled were
+-- sold for, less anything refunded on them (as reports count revenue).
+-- Removed places that were paid for are refunded in full, as one Refunds row
+-- by the payment's method; places sold at no charge are cancelled.
+-- Availability is checked as in register_student_with_payment; any failure
+-- rolls the whole edit back.
+create or replace function update_order(
+  p_payment_uuid  uuid,
+  p_add_event_ids uuid[],
+  p_remove_ids    uuid[],
+  p_member_uuid   uuid,
+  p_actor_uuid    uuid
+) returns json
+language plpgsql as $$
+declare
+  v_pay     "Payments";
+  v_student uuid;
+  v_ids     uuid[] := array(select distinct unnest(p_remove_ids));
+  v_removed uuid[];
+  v_paid    numeric;
+  v_refund  "Refunds";
+  v_event   "Events";
+  v_found   integer := 0;
+  v_closes  timestamptz;
+  v_reg     uuid;
+  v_added   uuid[] := '{}';
+  v_amount  numeric;
+  v_disc    numeric;
+begin
+  select * into v_pay from "Payments" where id = p_payment_uuid for update;
+  select student_id into v_student from "Registrations"
+   where payment_id = p_payment_uuid and status = 'active' limit 1;
+  if v_pay.id is null or v_pay.voided_at is not null or v_student is null then
+    raise exception 'This order is no longer active.';
+  end if;
+  if exists (select 1 from "Registrations" where payment_id = p_payment_uuid and team_id is not null) then
+    raise exception 'Team registrations are changed from the team roster.';
+  end if;
+
+  if (select count(distinct e) from unnest(p_add_event_ids) e) <> coalesce(array_length(p_add_event_ids, 1), 0) then
+    raise exception 'duplicate key value violates unique constraint "registrations_active_student_event_key"'
+      using errcode = '23505';
+  end if;
+
+  for v_event in select * from "Events" where id = any(p_add_event_ids) order by id for update loop
+    v_found := v_found + 1;
+    if not v_event.active then
+      raise exception '% is not taking registrations.', v_event.title using errcode = 'AC003';
+    end if;
+    if v_event.registration_opens_at is not null and now() < v_event.registration_opens_at then
+      raise exception 'Registration for % has not opened yet.', v_event.title using errcode = 'AC002';
+    end if;
+    v_closes := coalesce(v_event.registration_closes_at, v_event.starts_at);
+    if v_closes is not null and now() >= v_closes then
+      raise exception 'Registration for % has closed.', v_event.title using errcode = 'AC002';
+    end if;
+    if v_event.capacity is not null and event_seats_taken(v_event.id) >= v_event.capacity then
+      raise exception '% is full.', v_event.title using errcode = 'AC001';
+    end if;
+  end loop;
+
+  if v_found <> coalesce(array_length(p_add_event_ids, 1), 0) then
+    raise exception 'Event not found.' using errcode = '23503';
+  end if;
+
+  perform 1 from "Registrations" where id = any(v_ids) for update;
+  select coalesce(array_agg(id), '{}'), coalesce(sum(amount_paid), 0) into v_removed, v_paid
+    from "Registrations"
+   where id = any(v_ids) and payment_id = p_payment_uuid and status = 'active' and settlement_id is null;
+
+  if coalesce(array_length(v_removed, 1), 0) <> coalesce(array_length(v_ids, 1), 0) then
+    raise exception 'This order changed while you were editing it. Check it again.';
+  end if;
+
+  if v_paid > 0 then
+    insert into "Refunds" (payment_id, amount, method, reason, approved_by, registrations)
+    select p_payment_uuid, v_paid, v_pay.payment_method, 'Removed from order', p_actor_uuid, count(*)
+      from "Registrations" where id = any(v_removed) and amount_paid > 0
+    returning * into v_refund;
+
+    update "Registrations"
+       set status = 'refunded', refund_id = v_refund.id, refunded_amount = amount_paid
+     where id = any(v_removed) and amount_paid > 0;
+  end if;
+
+  update "Registrations"
+     set status = 'cancelled', cancelled_at = now(), cancelled_by = p_actor_uuid, cancel_reason = 'Removed from order'
+   where id = any(v_removed) and amount_paid = 0;
+
+  for v_event in select * from "Events" where id = any(p_add_event_ids) order by id loop
+    insert into "Registrations" (student_id, event_id, member_id, payment_id, payment_method, amount_paid, discount)
+    values (v_student, v_event.id, p_member_uuid, p_payment_uuid, v_pay.payment_method, v_event.cost, 0)
+    returning id into v_reg;
+    v_added := v_added || v_reg;
+  end loop;
+
+  select coalesce(sum(amount_paid - refunded_amount), 0), coalesce(sum(discount), 0) into v_amount, v_disc
+    from "Registrations" where payment_id = p_payment_uuid and status <> 'cancelled';
+
+  -- Added places are money a statement has to show again; a refund leaves
+  -- what was collected as it was
+  update "Payments"
+     set amount = v_amount, discount = v_disc,
+         upi_status       = case when v_added = '{}' then upi_status end,
+         upi_amount       = case when v_added = '{}' then upi_amount end,
+         upi_checked_at   = case when v_added = '{}' then upi_checked_at end,
+         upi_statement_id = case when v_added = '{}' then upi_statement_id end
+   where id = p_payment_uuid;
+
+  return json_build_object('added', v_added, 'removed', v_removed, 'amount', v_amount,
+                           'refund', case when v_refund.id is null then null else row_to_json(v_refund) end);
+end;
+$$;
@@ -0,0 +1,177 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+const { start } = require('./helpers');
+
+let api;
+before(async () => { api = await start(); });
+after(() => api.close());
+
+// The reset code from the newest .eml the file transport wrote for `to`
+async function resetCode(to) {
+  for (let i = 0; i < 50; i++) {
+    const files = fs.readdirSync(api.mailDir).filter(f => f.includes(to)).sort();
+    // quoted-printable: a line ending in = continues on the next
+    if (files.length) return fs.readFileSync(path.join(api.mailDir, files.at(-1)), 'utf8').replace(/=\r?\n/g, '').match(/\b[0-9a-f]{64}\b/)[0];
+    await new Promise(r => setTimeout(r, 20));
+  }
+  throw new Error(`No reset email for ${to}.`);
+}
+
+test('login, me and logout', async () => {
+  const bad = await api.call('POST', '/api/login', { email: api.admin.email, password: 'wrong-one' }, { token: null });
+  assert.equal(bad.status, 401);
+  assert.equal(bad.body.code, 'unauthorized');
+
+  const { token, role, permissions } = await api.login(api.admin.email, api.admin.password);
+  assert.equal(role, 'admin');
+  assert.ok(permissions.includes('audit'));
+
+  const me = await api.call('GET', '/api/me', undefined, { token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.email, api.admin.email);
+
+  assert.equal((await api.call('POST', '/api/logout', undefined, { token })).status, 200);
+  assert.equal((await api.call('GET', '/api/me', undefined, { token })).status, 401);
+  assert.equal((await api.call('GET', '/api/me', undefined, { token: null })).status, 401);
+});
+
+test('repeated failed logins lock the account', async () => {
+  const email = (await api.member()).email;
+  for (let i = 0; i < 5; i++)
+    await api.call('POST', '/api/login', { email, password: 'wrong-one' }, { token: null });
+  const locked = await api.call('POST', '/api/login', { email, password: 'password1' }, { token: null });
+  assert.equal(locked.status, 429);
+});
+
+test('request bodies are validated against the route schema', async () => {
+  const res = await api.call('POST', '/api/login', { email: 'not-an-email' }, { token: null });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'validation_failed');
+  assert.deepEqual(res.body.details.map(d => d.field).sort(), ['email', 'password']);
+  assert.equal((await api.call('GET', '/api/members/not-a-uuid/sessions')).status, 400);
+  assert.equal((await api.call('GET', '/api/nowhere')).status, 404);
+});
+
+test('members: create, list, update, delete', async () => {
+  const ev = await api.event({ title: 'Members Event', cost: 100 });
+  const created = await api.call('POST', '/api/members', { name: 'Desk', email: 'desk@test.local', password: 'password1', event_ids: [ev.id] });
+  assert.equal(created.status, 200);
+  const dup = await api.call('POST', '/api/members', { name: 'Desk 2', email: 'desk@test.local', password: 'password1' });
+  assert.equal(dup.status, 400);
+  assert.equal(dup.body.code, 'already_exists');
+
+  let desk = (await api.call('GET', '/api/members')).body.find(m => m.email === 'desk@test.local');
+  assert.equal(desk.role, 'member');
+  assert.deepEqual(desk.event_ids, [ev.id]);
+
+  assert.equal((await api.call('PUT', `/api/members/${desk.id}`, { role: 'viewer', event_ids: [] })).status, 200);
+  desk = (await api.call('GET', '/api/members')).body.find(m => m.id === desk.id);
+  assert.equal(desk.role, 'viewer');
+  assert.deepEqual(desk.event_ids, []);
+
+  const { token } = await api.login('desk@test.local', 'password1');
+  assert.equal((await api.call('POST', '/api/members', { name: 'x', email: 'x@test.local', password: 'password1' }, { token })).status, 403);
+
+  assert.equal((await api.call('DELETE', `/api/members/${desk.id}`)).status, 200);
+  assert.equal((await api.call('GET', '/api/me', undefined, { token })).status, 401);
+});
+
+test('a member whose assigned events can\'t be loaded is turned away', async () => {
+  const ev = await api.event({ title: 'Assigned Event', cost: 10 });
+  const desk = await api.member('member', { event_ids: [ev.id] });
+  const { findAll } = api.repo.memberEvents;
+  api.repo.memberEvents.findAll = async () => ({ data: null, error: { message: 'column MemberEvents.id does not exist' } });
+  try {
+    const sell = await api.call('POST', '/api/register', { student_id: 'ST0900', name: 'Student Nine', phone: '9876500900', email: 'nine@test.local', event_ids: [ev.id], payment_method: 'cash' }, { token: desk.token });
+    assert.equal(sell.status, 500);
+    assert.equal((await api.call('GET', '/api/members')).status, 500);
+  } finally {
+    api.repo.memberEvents.findAll = findAll;
+  }
+  assert.equal((await api.call('GET', '/api/me', undefined, { token: desk.token })).status, 200);
+});
+
+test('member sessions can be listed and revoked', async () => {
+  const m = await api.member();
+  const second = (await api.login(m.email, 'password1')).token;
+
+  const sessions = await api.call('GET', `/api/members/${m.id}/sessions`);
+  assert.equal(sessions.status, 200);
+  assert.equal(sessions.body.length, 2);
+
+  assert.equal((await api.call('DELETE', `/api/members/${m.id}/sessions/${sessions.body[0].id}`)).status, 200);
+  const alive = [];
+  for (const token of [m.token, second]) alive.push((await api.call('GET', '/api/me', undefined, { token })).status);
+  assert.deepEqual(alive.sort(), [200, 401]);
+
+  assert.equal((await api.call('DELETE', `/api/members/${m.id}/sessions`)).status, 200);
+  for (const token of [m.token, second]) assert.equal((await api.call('GET', '/api/me', undefined, { token })).status, 401);
+  assert.equal((await api.call('GET', `/api/members/${m.id}/sessions`)).body.length, 0);
+});
+
+test('own phone and password', async () => {
+  const m = await api.member();
+  const elsewhere = (await api.login(m.email, 'password1')).token;
+
+  assert.equal((await api.call('PUT', '/api/me', { phone: '9000000001' }, { token: m.token })).status, 200);
+  assert.equal((await api.call('GET', '/api/me', undefined, { token: m.token })).body.phone_number, '9000000001');
+
+  const wrong = await api.call('PUT', '/api/me/password', { current_password: 'nope', password: 'password2' }, { token: m.token });
+  assert.equal(wrong.body.code, 'wrong_password');
+  assert.equal((await api.call('PUT', '/api/me/password', { current_password: 'password1', password: 'password2' }, { token: m.token })).status, 200);
+  assert.equal((await api.call('GET', '/api/me', undefined, { token: elsewhere })).status, 401);
+  assert.equal((await api.call('GET', '/api/me', undefined, { token: m.token })).status, 200);
+  await api.login(m.email, 'password2');
+});
+
+test('a temporary password must be changed before anything else', async () => {
+  const m = await api.member('member', { must_change_password: true });
+  const blocked = await api.call('GET', '/api/events', undefined, { token: m.token });
+  assert.equal(blocked.status, 403);
+  assert.equal(blocked.body.code, 'password_change_required');
+  await api.call('PUT', '/api/me/password', { current_password: 'password1', password: 'password2' }, { token: m.token });
+  assert.equal((await api.call('GET', '/api/events', undefined, { token: m.token })).status, 200);
+});
+
+test('forgot and reset password', async () => {
+  const m = await api.member();
+  const unknown = await api.call('POST', '/api/password/forgot', { email: 'nobody@test.local' }, { token: null });
+  assert.deepEqual(unknown.body, { ok: true });
+
+  assert.equal((await api.call('POST', '/api/password/forgot', { email: m.email }, { token: null })).status, 200);
+  const code = await resetCode(m.email);
+
+  const reset = await api.call('POST', '/api/password/reset', { token: code, password: 'password3' }, { token: null });
+  assert.equal(reset.status, 200);
+  assert.equal((await api.call('GET', '/api/me', undefined, { token: m.token })).status, 401);
+  await api.login(m.email, 'password3');
+
+  const again = await api.call('POST', '/api/password/reset', { token: code, password: 'password4' }, { token: null });
+  assert.equal(again.body.code, 'invalid_reset_token');
+});
+
+test('live updates stream changes to signed-in members', async () => {
+  assert.equal((await api.call('GET', '/api/live', undefined, { token: null })).status, 401);
+
+  const ctl = new AbortController();
+  const res = await fetch(`${api.base}/api/live`, { headers: { 'x-session': api.admin.token }, signal: ctl.signal });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+  const reader = res.body.getReader();
+  await api.event({ title: 'Live Event', cost: 10 });
+  let text = '';
+  while (!text.includes('event: change')) text += new TextDecoder().decode((await reader.read()).value);
+  assert.match(text, /"entity":"event"/);
+  ctl.abort();
+});
+
+test('the OpenAPI document lists every route', async () => {
+  const { status, body } = await api.call('GET', '/api/openapi.json', undefined, { token: null });
+  assert.equal(status, 200);
+  assert.equal(body.openapi, '3.1.0');
+  assert.ok(body.paths['/api/orders/{id}'].put);
+  assert.ok(body.components.schemas.Sale);
+});
@@ -0,0 +1,139 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, student } = require('./helpers');
+
+let api;
+before(async () => { api = await start(); });
+after(() => api.close());
+
+test('events: create, list, update, delete', async () => {
+  const bad = await api.call('POST', '/api/events', { title: 'Broken', cost: 0 });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.code, 'validation_failed');
+
+  const ev = await api.event({ title: 'Dance', cost: 100, capacity: 50, venue: 'Hall A' });
+  assert.equal(ev.state, 'open');
+  assert.equal(ev.seats_left, 50);
+
+  assert.equal((await api.call('PUT', `/api/events/${ev.id}`, { capacity: null, active: false })).status, 200);
+  const changed = (await api.call('GET', '/api/events')).body.find(e => e.id === ev.id);
+  assert.equal(changed.capacity, null);
+  assert.equal(changed.state, 'inactive');
+  assert.equal(changed.venue, 'Hall A');
+
+  const closes = await api.call('PUT', `/api/events/${ev.id}`, { registration_opens_at: '2030-01-02T00:00:00Z', registration_closes_at: '2030-01-01T00:00:00Z' });
+  assert.equal(closes.status, 400);
+
+  assert.equal((await api.call('DELETE', `/api/events/${ev.id}`)).status, 200);
+  assert.equal((await api.call('GET', '/api/events')).body.some(e => e.id === ev.id), false);
+});
+
+test('changing an event\'s cost keeps its price history', async () => {
+  const ev = await api.event({ title: 'Quiz', cost: 50 });
+  await api.call('PUT', `/api/events/${ev.id}`, { cost: 80 });
+  await api.call('PUT', `/api/events/${ev.id}`, { venue: 'Room 2' });
+
+  const { status, body } = await api.call('GET', `/api/events/${ev.id}/prices`);
+  assert.equal(status, 200);
+  assert.deepEqual(body.map(p => p.cost), [80, 50]);
+  assert.equal(body[0].set_by_name, 'Admin');
+});
+
+test('only events.manage may change events', async () => {
+  const desk = await api.member();
+  assert.equal((await api.call('POST', '/api/events', { title: 'Nope', cost: 10 }, { token: desk.token })).status, 403);
+  assert.equal((await api.call('GET', '/api/events', undefined, { token: desk.token })).status, 200);
+});
+
+test('import events from CSV', async () => {
+  const csv = 'title,cost\nDebate,120\nDebate,130\n,40\nChess,abc\nArt,75\n';
+  const dry = await api.call('POST', '/api/import/events', csv);
+  assert.equal(dry.status, 200);
+  assert.equal(dry.body.dry_run, true);
+  assert.equal(dry.body.valid, 2);
+  assert.equal(dry.body.invalid, 3);
+  assert.equal((await api.call('GET', '/api/events')).body.some(e => e.title === 'Art'), false);
+
+  const saved = await api.call('POST', '/api/import/events?dry_run=0', csv);
+  assert.equal(saved.body.dry_run, false);
+  const art = (await api.call('GET', '/api/events')).body.find(e => e.title === 'Art');
+  assert.equal(art.cost, 75);
+  assert.equal((await api.call('GET', `/api/events/${art.id}/prices`)).body.length, 1);
+  assert.equal((await api.call('POST', '/api/import/events', '')).status, 400);
+});
+
+test('pricing rules and quotes', async () => {
+  const a = await api.event({ title: 'Rule A', cost: 100 });
+  const b = await api.event({ title: 'Rule B', cost: 200 });
+  const c = await api.event({ title: 'Rule C', cost: 300 });
+
+  const bundle = await api.call('POST', '/api/pricing-rules', { name: 'Any 3 for 450', kind: 'bundle', value: 450, min_events: 3 });
+  assert.equal(bundle.status, 200);
+  const coupon = (await api.call('POST', '/api/pricing-rules', { name: 'Partner', kind: 'flat', value: 50, code: 'PARTNER', max_uses: 1 })).body;
+  assert.equal((await api.call('POST', '/api/pricing-rules', { name: 'Again', kind: 'flat', value: 5, code: 'partner' })).status, 400);
+
+  let quote = (await api.call('POST', '/api/pricing/quote', { event_ids: [a.id, b.id, c.id] })).body;
+  assert.equal(quote.subtotal, 600);
+  assert.equal(quote.total, 450);
+  quote = (await api.call('POST', '/api/pricing/quote', { event_ids: [a.id], coupon_code: 'partner' })).body;
+  assert.equal(quote.total, 50);
+  assert.equal((await api.call('POST', '/api/pricing/quote', { event_ids: [a.id], coupon_code: 'nope' })).status, 400);
+
+  assert.equal((await api.call('PUT', `/api/pricing-rules/${bundle.body.id}`, { active: false })).status, 200);
+  quote = (await api.call('POST', '/api/pricing/quote', { event_ids: [a.id, b.id, c.id] })).body;
+  assert.equal(quote.total, 600);
+
+  await api.register(1, [a], { payment_method: 'cash', coupon_code: 'PARTNER' });
+  const rules = (await api.call('GET', '/api/pricing-rules')).body;
+  assert.equal(rules.find(r => r.id === coupon.id).uses, 1);
+  const usedUp = await api.call('POST', '/api/register', { ...student(2), event_ids: [a.id], payment_method: 'cash', coupon_code: 'PARTNER' });
+  assert.equal(usedUp.status, 400);
+
+  assert.equal((await api.call('DELETE', `/api/pricing-rules/${bundle.body.id}`)).status, 200);
+  assert.equal((await api.call('GET', '/api/pricing-rules')).body.length, 1);
+});
+
+test('sales are only taken while registration is open', async () => {
+  const ev = await api.event({ title: 'Windowed', cost: 30, registration_opens_at: '2099-01-01T00:00:00Z' });
+  const early = await api.call('POST', '/api/register', { ...student(20), event_ids: [ev.id], payment_method: 'cash' });
+  assert.deepEqual([early.status, early.body.code], [409, 'event_not_open']);
+
+  await api.call('PUT', `/api/events/${ev.id}`, { registration_opens_at: null, registration_closes_at: '2020-01-01T00:00:00Z' });
+  const late = await api.call('POST', '/api/register', { ...student(20), event_ids: [ev.id], payment_method: 'cash' });
+  assert.deepEqual([late.status, late.body.code], [409, 'event_closed']);
+
+  await api.call('PUT', `/api/events/${ev.id}`, { registration_closes_at: null });
+  assert.equal((await api.call('POST', '/api/register', { ...student(20), event_ids: [ev.id], payment_method: 'cash' })).status, 200);
+});
+
+test('waitlist: queue for a full event, promote, remove', async () => {
+  const ev = await api.event({ title: 'Tiny', cost: 60, capacity: 1 });
+  const early = await api.call('POST', '/api/waitlist', { ...student(10), event_ids: [ev.id] });
+  assert.equal(early.status, 409);
+
+  await api.register(10, [ev]);
+  const full = await api.call('POST', '/api/register', { ...student(11), event_ids: [ev.id], payment_method: 'cash' });
+  assert.equal(full.status, 409);
+  assert.equal(full.body.code, 'event_full');
+
+  const first  = await api.call('POST', '/api/waitlist', { ...student(11), event_ids: [ev.id] });
+  const second = await api.call('POST', '/api/waitlist', { ...student(12), event_ids: [ev.id] });
+  assert.deepEqual([first.body.entries[0].position, second.body.entries[0].position], [1, 2]);
+  const dup = await api.call('POST', '/api/waitlist', { ...student(12), event_ids: [ev.id] });
+  assert.equal(dup.body.code, 'already_exists');
+
+  const waiting = (await api.call('GET', `/api/waitlist?event_id=${ev.id}&status=waiting`)).body;
+  assert.deepEqual(waiting.map(w => w.student.student_id), [student(11).student_id, student(12).student_id]);
+
+  // Still full: promoting has to wait for a seat
+  assert.equal((await api.call('POST', `/api/waitlist/${waiting[0].id}/promote`, { payment_method: 'cash' })).status, 409);
+  await api.call('PUT', `/api/events/${ev.id}`, { capacity: 2 });
+  const promoted = await api.call('POST', `/api/waitlist/${waiting[0].id}/promote`, { payment_method: 'cash' });
+  assert.equal(promoted.status, 200);
+  assert.equal((await api.call('POST', `/api/waitlist/${waiting[0].id}/promote`, { payment_method: 'cash' })).status, 409);
+
+  assert.equal((await api.call('DELETE', `/api/waitlist/${waiting[1].id}`)).status, 200);
+  assert.equal((await api.call('GET', `/api/waitlist?event_id=${ev.id}`)).body.length, 0);
+  for (const status of ['promoted', 'removed'])
+    assert.equal((await api.call('GET', `/api/waitlist?event_id=${ev.id}&status=${status}`)).body.length, 1);
+});
@@ -0,0 +1,107 @@
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { once } = require('events');
+
+// ════════════════════════════════════════════════════════
+//  TEST HARNESS
+//  Starts the portal on the memory backend and signs in
+//  the seeded admin. node --test runs every file in its
+//  own process, so each file gets a fresh, empty store.
+//  Responses are checked against lib/api-spec as they
+//  come back, and a mismatch fails the call that got it.
+// ════════════════════════════════════════════════════════
+
+const MAIL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'accolade-test-'));
+const ADMIN    = { email: 'admin@test.local', password: 'password1' };
+// Receipts may still be going out when a file's tests end
+process.on('exit', () => fs.rmSync(MAIL_DIR, { recursive: true, force: true }));
+
+// Mail is written to MAIL_DIR rather than printed, so the console keeps only real diagnostics
+Object.assign(process.env, {
+  DATA_BACKEND: 'memory', MAIL_TRANSPORT: 'file', MAIL_DIR, RESET_CHANNEL: 'mail',
+  TICKET_SECRET: 'test-secret', ADMIN_EMAIL: ADMIN.email, ADMIN_PASSWORD: ADMIN.password, VALIDATE_RESPONSES: '1'
+});
+for (const k of ['MEMORY_DB_FILE', 'APP_URL', 'TRUST_PROXY']) delete process.env[k];
+
+// The server reports response mismatches through console.warn
+const mismatches = [];
+const warn = console.warn;
+console.warn = (...args) => {
+  if (String(args[0]).includes('does not match its schema')) mismatches.push(args.map(a => typeof a === 'string' ? a : JSON.stringify(a)).join(' '));
+  else warn(...args);
+};
+
+const { app, repo, seedAdmin } = require('../server');
+
+// n → the fields /api/register and friends take for a student
+const student = n => ({
+  student_id: `ST${String(n).padStart(4, '0')}`,
+  name:       `Student ${n}`,
+  phone:      `98765${String(n).padStart(5, '0')}`,
+  email:      `student${n}@test.local`
+});
+
+async function start() {
+  await seedAdmin();
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+  let adminToken = null;
+
+  // → { status, body, headers }. A string body goes up as CSV; body comes
+  // back parsed when the answer is JSON, as text otherwise.
+  async function call(method, url, body, { token = adminToken, headers = {} } = {}) {
+    const csv = typeof body === 'string';
+    const res = await fetch(base + url, {
+      method,
+      headers: { 'content-type': csv ? 'text/csv' : 'application/json', ...(token && { 'x-session': token }), ...headers },
+      body: body === undefined ? undefined : csv ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    const json = (res.headers.get('content-type') || '').includes('application/json');
+    if (mismatches.length) throw new Error(mismatches.splice(0).join('\n'));
+    return { status: res.status, body: json && text ? JSON.parse(text) : text, headers: res.headers };
+  }
+
+  async function login(email, password) {
+    const res = await call('POST', '/api/login', { email, password }, { token: null });
+    if (res.status !== 200) throw new Error(`Login as ${email} failed: ${res.body.error}`);
+    return res.body;
+  }
+
+  // A member with role (and any other POST /api/members fields), signed in → { id, token }
+  let members = 0;
+  async function member(role = 'member', fields = {}) {
+    const email = `${role}${++members}@test.local`;
+    const res = await call('POST', '/api/members', { name: `${role} ${members}`, email, password: 'password1', role, ...fields });
+    if (res.status !== 200) throw new Error(`Creating ${email} failed: ${res.body.error}`);
+    const { id, token } = await login(email, 'password1');
+    return { id, token, email };
+  }
+
+  // Creates an event → its GET /api/events row
+  async function event(fields) {
+    const res = await call('POST', '/api/events', fields);
+    if (res.status !== 200) throw new Error(`Creating ${fields.title} failed: ${res.body.error}`);
+    return (await call('GET', '/api/events')).body.find(ev => ev.title === fields.title);
+  }
+
+  // Registers student n for events → the new GET /api/sales rows, oldest first
+  async function register(n, events, payment = { payment_method: 'cash' }, opts) {
+    const res = await call('POST', '/api/register', { ...student(n), event_ids: events.map(ev => ev.id), ...payment }, opts);
+    if (res.status !== 200) throw new Error(`Registering student ${n} failed: ${res.body.error}`);
+    const { rows } = (await call('GET', `/api/sales?q=${student(n).student_id}&status=active&sort=registered_at&order=asc`)).body;
+    return rows.filter(r => events.some(ev => ev.id === r.Events.id));
+  }
+
+  function close() {
+    server.closeAllConnections();
+    server.close();
+  }
+
+  adminToken = (await login(ADMIN.email, ADMIN.password)).token;
+  return { base, repo, call, login, member, event, register, close, admin: { ...ADMIN, token: adminToken }, mailDir: MAIL_DIR };
+}
+
+module.exports = { start, student };
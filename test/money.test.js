@@ -0,0 +1,202 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, student } = require('./helpers');
+
+let api;
+before(async () => { api = await start(); });
+after(() => api.close());
+
+const paymentOf = async id => (await api.call('GET', `/api/sales?ids=${id}`)).body.rows[0].Payments.id;
+
+test('refund part of a multi-event payment', async () => {
+  const a = await api.event({ title: 'Refund A', cost: 100 });
+  const b = await api.event({ title: 'Refund B', cost: 300 });
+  const [ra, rb] = await api.register(1, [a, b]);
+  const paymentId = await paymentOf(ra.id);
+
+  const tooMuch = await api.call('POST', `/api/payments/${paymentId}/refunds`, { registration_ids: [ra.id], amount: 150, method: 'cash', reason: 'Clash' });
+  assert.equal(tooMuch.status, 409);
+  const noRef = await api.call('POST', `/api/payments/${paymentId}/refunds`, { registration_ids: [ra.id], amount: 50, method: 'upi', reason: 'Clash' });
+  assert.equal(noRef.status, 400);
+
+  const refund = await api.call('POST', `/api/payments/${paymentId}/refunds`, { registration_ids: [ra.id], amount: 80, method: 'cash', reason: 'Clash' });
+  assert.equal(refund.status, 200);
+  assert.equal(refund.body.amount, 80);
+  assert.equal((await api.call('POST', `/api/payments/${paymentId}/refunds`, { registration_ids: [ra.id], amount: 10, method: 'cash', reason: 'Again' })).status, 409);
+
+  const pay = (await api.call('GET', `/api/payments/${paymentId}`)).body;
+  assert.deepEqual(pay.registrations.map(r => [r.event_title, r.status, r.refunded_amount]).sort(),
+    [['Refund A', 'refunded', 80], ['Refund B', 'active', 0]]);
+  assert.equal(pay.refunds[0].approved_by_name, 'Admin');
+
+  const summary = (await api.call('GET', '/api/reports/summary')).body;
+  assert.equal(summary.revenue, 320);
+  assert.equal(summary.refunded, 80);
+  assert.equal(summary.registrations, 1);
+
+  const desk = await api.member();
+  assert.equal((await api.call('GET', `/api/payments/${paymentId}`, undefined, { token: desk.token })).status, 403);
+  assert.equal(rb.status, 'active');
+});
+
+test('cash is handed over and settled sales are locked', async () => {
+  const ev = await api.event({ title: 'Cash Desk', cost: 50 });
+  const desk = await api.member();
+  const finance = await api.member('finance');
+  const [r1] = await api.register(10, [ev], undefined, { token: desk.token });
+  const [r2] = await api.register(11, [ev], undefined, { token: desk.token });
+  await api.register(12, [ev], { payment_method: 'upi', transaction_id: 'UTR1200' }, { token: desk.token });
+
+  const mine = (await api.call('GET', '/api/cash/outstanding', undefined, { token: desk.token })).body;
+  assert.deepEqual([mine.registrations, mine.amount, mine.last_settled_at], [2, 100, null]);
+  const theirs = (await api.call('GET', `/api/cash/outstanding?member_id=${desk.id}`, undefined, { token: finance.token })).body;
+  assert.equal(theirs.amount, 100);
+
+  const settle = { member_id: desk.id, registration_ids: [r1.id, r2.id], amount_received: 90, notes: 'Short by 10' };
+  assert.equal((await api.call('POST', '/api/settlements', settle, { token: desk.token })).status, 403);
+  const st = await api.call('POST', '/api/settlements', settle, { token: finance.token });
+  assert.equal(st.status, 200);
+  assert.deepEqual([st.body.expected_amount, st.body.discrepancy], [100, -10]);
+  assert.equal((await api.call('POST', '/api/settlements', settle, { token: finance.token })).status, 409);
+
+  const list = (await api.call('GET', '/api/settlements', undefined, { token: desk.token })).body;
+  assert.equal(list.total, 1);
+  assert.equal(list.rows[0].received_by, finance.id);
+  const one = (await api.call('GET', `/api/settlements/${st.body.id}`, undefined, { token: desk.token })).body;
+  assert.equal(one.rows.length, 2);
+  assert.equal((await api.call('GET', '/api/cash/outstanding', undefined, { token: desk.token })).body.amount, 0);
+
+  // The seller can no longer change or cancel what was handed over
+  const locked = await api.call('DELETE', `/api/sales/${r1.id}`, undefined, { token: desk.token });
+  assert.equal(locked.status, 409);
+
+  const unsettled = (await api.call('GET', '/api/reports/unsettled-cash')).body;
+  assert.equal(unsettled.find(u => u.member_id === desk.id), undefined);
+});
+
+test('refunded cash is expected back net of the refund', async () => {
+  const ev = await api.event({ title: 'Cash Refund', cost: 100 });
+  const desk = await api.member();
+  const [full] = await api.register(13, [ev], undefined, { token: desk.token });
+  const [part] = await api.register(14, [ev], undefined, { token: desk.token });
+  await api.call('POST', `/api/payments/${await paymentOf(full.id)}/refunds`, { registration_ids: [full.id], amount: 100, method: 'cash', reason: 'Changed mind' });
+  await api.call('POST', `/api/payments/${await paymentOf(part.id)}/refunds`, { registration_ids: [part.id], amount: 30, method: 'cash', reason: 'Late start' });
+
+  const out = (await api.call('GET', '/api/cash/outstanding', undefined, { token: desk.token })).body;
+  assert.deepEqual([out.registrations, out.amount], [2, 70]);
+  const report = (await api.call('GET', '/api/reports/unsettled-cash')).body.find(u => u.member_id === desk.id);
+  assert.equal(report.amount, 70);
+
+  const st = (await api.call('POST', '/api/settlements', { member_id: desk.id, registration_ids: [full.id, part.id], amount_received: 70 })).body;
+  assert.deepEqual([st.expected_amount, st.discrepancy], [70, 0]);
+});
+
+test('UPI payments are checked against a bank statement', async () => {
+  const ev = await api.event({ title: 'UPI Event', cost: 120 });
+  await api.register(20, [ev], { payment_method: 'upi', transaction_id: 'UTR2000' });
+  await api.register(21, [ev], { payment_method: 'upi', transaction_id: 'UTR2100' });
+  await api.register(22, [ev], { payment_method: 'upi', transaction_id: 'UTR2200' });
+
+  const csv = 'Date,UTR,Credit,Dr/Cr\n2030-01-01,UTR2000,120,CR\n2030-01-01,UTR2100,100,CR\n2030-01-01,UTR9999,50,CR\n2030-01-01,UTR0000,75,DR\n';
+  const dry = await api.call('POST', '/api/upi-statements', csv);
+  assert.equal(dry.status, 200);
+  assert.equal(dry.body.dry_run, true);
+  assert.deepEqual([dry.body.lines, dry.body.ignored, dry.body.unmatched.length], [3, 1, 1]);
+  assert.equal(dry.body.counts.verified, 1);
+  assert.equal(dry.body.counts.amount_mismatch, 1);
+  assert.equal((await api.call('GET', '/api/upi-statements')).body.length, 0);
+
+  // Over a period that includes the sales, a payment missing from it was not received
+  const saved = await api.call('POST', '/api/upi-statements?dry_run=0&from=2020-01-01&to=2035-01-01', csv);
+  assert.ok(saved.body.payments.some(p => p.transaction_id === 'UTR2200' && p.upi_status === 'not_found'));
+  const [statement] = (await api.call('GET', '/api/upi-statements')).body;
+  assert.equal(statement.id, saved.body.id);
+  assert.equal(statement.uploaded_by_name, 'Admin');
+
+  const { rows } = (await api.call('GET', `/api/sales?event_id=${ev.id}&sort=registered_at&order=asc`)).body;
+  assert.deepEqual(rows.map(r => r.Payments.upi_status), ['verified', 'amount_mismatch', 'not_found']);
+  const unverified = (await api.call('GET', '/api/reports/unverified-upi')).body;
+  assert.equal(unverified.find(u => u.name === 'Admin').amount_mismatch, 1);
+  assert.equal((await api.call('POST', '/api/upi-statements?from=someday', csv)).status, 400);
+});
+
+test('reports add up the sales', async () => {
+  const ev = await api.event({ title: 'Reported', cost: 40 });
+  const [r] = await api.register(30, [ev], { payment_method: 'cash' });
+  await api.register(31, [ev], { payment_method: 'upi', transaction_id: 'UTR3100' });
+  const ticket = (await api.call('GET', `/api/sales/${r.id}/ticket`)).body;
+  await api.call('POST', '/api/checkin', { code: ticket.code });
+
+  const byEvent = (await api.call('GET', '/api/reports/by-event')).body.find(e => e.event_id === ev.id);
+  assert.deepEqual([byEvent.registrations, byEvent.revenue], [2, 80]);
+  const byMethod = (await api.call('GET', '/api/reports/by-method')).body;
+  assert.deepEqual(byMethod.map(m => m.payment_method).sort(), ['cash', 'upi']);
+  const byMember = (await api.call('GET', '/api/reports/by-member')).body;
+  assert.equal(byMember.find(m => m.name === 'Admin').registrations >= 2, true);
+  const attendance = (await api.call('GET', '/api/reports/attendance')).body.find(e => e.event_id === ev.id);
+  assert.deepEqual([attendance.registrations, attendance.checked_in], [2, 1]);
+  const timeline = (await api.call('GET', '/api/reports/timeline?bucket=hour')).body;
+  assert.match(timeline[0].bucket, /^\d{4}-\d\d-\d\d \d\d:00$/);
+
+  const future = (await api.call('GET', '/api/reports/summary?from=2099-01-01')).body;
+  assert.deepEqual([future.registrations, future.revenue], [0, 0]);
+  const viewer = await api.member('viewer');
+  assert.equal((await api.call('GET', '/api/reports/summary', undefined, { token: viewer.token })).status, 200);
+  const desk = await api.member();
+  assert.equal((await api.call('GET', '/api/reports/summary', undefined, { token: desk.token })).status, 403);
+});
+
+test('exports stream CSV and XLSX', async () => {
+  const ev = await api.event({ title: 'Exported', cost: 65 });
+  await api.register(40, [ev]);
+
+  const regs = await api.call('GET', `/api/export/registrations?event_id=${ev.id}`);
+  assert.equal(regs.status, 200);
+  assert.match(regs.headers.get('content-disposition'), /registrations-\d{4}-\d\d-\d\d\.csv/);
+  const [header, line] = regs.body.trim().split(/\r?\n/);
+  assert.match(header, /^Registered At \(IST\),Student ID/);
+  assert.match(line, /ST0040/);
+
+  assert.match((await api.call('GET', '/api/export/students?q=ST0040')).body, /Student 40/);
+  assert.match((await api.call('GET', '/api/export/members')).body, /admin@test\.local/);
+
+  const xlsx = await fetch(`${api.base}/api/export/members?format=xlsx`, { headers: { 'x-session': api.admin.token } });
+  assert.equal(xlsx.status, 200);
+  assert.equal(Buffer.from(await xlsx.arrayBuffer()).subarray(0, 2).toString(), 'PK');
+});
+
+test('import students from CSV', async () => {
+  await api.register(50, [await api.event({ title: 'Import', cost: 10 })]);
+  const csv = [
+    'Roll Number,Full Name,Mobile,Email Address',
+    `ST0050,Student Fifty,${student(50).phone},${student(50).email}`,
+    `ST0051,Student 51,${student(51).phone},${student(51).email}`,
+    `ST0052,Student 52,${student(51).phone},student52@test.local`,
+    'ST0053,,12345,not-an-email'
+  ].join('\n');
+
+  const dry = (await api.call('POST', '/api/import/students', csv)).body;
+  assert.deepEqual([dry.valid, dry.invalid], [2, 2]);
+  assert.deepEqual(dry.rows.map(r => r.action), ['update', 'create', 'create', 'create']);
+  assert.equal(dry.rows[2].errors[0], 'Same phone as line 3.');
+
+  await api.call('POST', '/api/import/students?dry_run=0', csv);
+  const { rows } = (await api.call('GET', '/api/students?q=ST005&sort=student_id&order=asc')).body;
+  assert.deepEqual(rows.map(s => [s.student_id, s.name]), [['ST0050', 'Student Fifty'], ['ST0051', 'Student 51']]);
+  assert.equal((await api.call('POST', '/api/import/students', 'name\nx\n')).status, 400);
+});
+
+test('the audit log records who changed what', async () => {
+  const ev = await api.event({ title: 'Audited', cost: 20 });
+  await api.call('PUT', `/api/events/${ev.id}`, { cost: 25 });
+
+  const log = (await api.call('GET', `/api/audit?entity=event&entity_id=${ev.id}`)).body;
+  assert.deepEqual(log.map(l => l.action), ['update', 'create']);
+  assert.equal(log[0].before.cost, 20);
+  assert.equal(log[0].after.cost, 25);
+  assert.equal((await api.call('GET', `/api/audit?entity=event&entity_id=${ev.id}&limit=1`)).body.length, 1);
+  assert.equal((await api.call('GET', '/api/audit?from=2099-01-01')).body.length, 0);
+
+  const finance = await api.member('finance');
+  assert.equal((await api.call('GET', '/api/audit', undefined, { token: finance.token })).status, 403);
+});
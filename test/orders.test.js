@@ -0,0 +1,149 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, student } = require('./helpers');
+
+let api;
+before(async () => { api = await start(); });
+after(() => api.close());
+
+const orderOf = async regId => (await api.call('GET', `/api/sales?ids=${regId}`)).body.rows[0].Payments.id;
+
+test('an order lists everything bought with one payment', async () => {
+  const a = await api.event({ title: 'Order A', cost: 100 });
+  const b = await api.event({ title: 'Order B', cost: 200 });
+  const [ra] = await api.register(1, [a, b]);
+  const id = await orderOf(ra.id);
+
+  const { status, body } = await api.call('GET', `/api/orders/${id}`);
+  assert.equal(status, 200);
+  assert.equal(body.student.student_id, student(1).student_id);
+  assert.equal(body.seller.name, 'Admin');
+  assert.deepEqual(body.lines.map(l => l.event_title), ['Order A', 'Order B']);
+  assert.deepEqual([body.amount, body.total, body.voided, body.team], [300, 300, false, false]);
+
+  const desk = await api.member();
+  assert.equal((await api.call('GET', `/api/orders/${id}`, undefined, { token: desk.token })).status, 403);
+  assert.equal((await api.call('GET', `/api/orders/${a.id}`)).status, 404);
+});
+
+test('adding an event to an order reports what to collect', async () => {
+  const a = await api.event({ title: 'Add A', cost: 100 });
+  const b = await api.event({ title: 'Add B', cost: 50 });
+  const [ra] = await api.register(2, [a]);
+  const id = await orderOf(ra.id);
+
+  const dry = await api.call('PUT', `/api/orders/${id}?dry_run=1`, { event_ids: [a.id, b.id] });
+  assert.equal(dry.status, 200);
+  assert.deepEqual([dry.body.previous_total, dry.body.total, dry.body.collect, dry.body.refund], [100, 150, 50, 0]);
+  assert.equal((await api.call('GET', `/api/orders/${id}`)).body.lines.length, 1);
+
+  const saved = await api.call('PUT', `/api/orders/${id}`, { event_ids: [a.id, b.id] });
+  assert.equal(saved.body.dry_run, false);
+  const order = (await api.call('GET', `/api/orders/${id}`)).body;
+  assert.deepEqual(order.lines.map(l => [l.event_title, l.status]), [['Add A', 'active'], ['Add B', 'active']]);
+  assert.deepEqual([order.amount, order.total], [150, 150]);
+
+  assert.equal((await api.call('PUT', `/api/orders/${id}`, { event_ids: [a.id, b.id] })).status, 400);
+});
+
+test('an order is only changed while its events are open', async () => {
+  const a = await api.event({ title: 'Open A', cost: 20 });
+  const full = await api.event({ title: 'Full B', cost: 20, capacity: 1 });
+  await api.register(3, [full]);
+  const [ra] = await api.register(4, [a]);
+  const id = await orderOf(ra.id);
+
+  const res = await api.call('PUT', `/api/orders/${id}`, { event_ids: [a.id, full.id] });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.state, 'full');
+
+  const team = await api.event({ title: 'Team C', cost: 20, team_min: 2, team_max: 3 });
+  assert.equal((await api.call('PUT', `/api/orders/${id}`, { event_ids: [a.id, team.id] })).status, 400);
+  assert.equal((await api.call('PUT', `/api/orders/${id}`, { event_ids: [] })).status, 400);
+});
+
+test('settled cash is not removed from an order', async () => {
+  const a = await api.event({ title: 'Settled A', cost: 30 });
+  const b = await api.event({ title: 'Settled B', cost: 40 });
+  const desk = await api.member();
+  const [ra, rb] = await api.register(5, [a, b], undefined, { token: desk.token });
+  const id = await orderOf(ra.id);
+  await api.call('POST', '/api/settlements', { member_id: desk.id, registration_ids: [ra.id, rb.id], amount_received: 70 });
+
+  const res = await api.call('PUT', `/api/orders/${id}`, { event_ids: [b.id] });
+  assert.equal(res.status, 409);
+  assert.match(res.body.error, /Settled A/);
+});
+
+test('an order\'s total, its payment and the reports agree', async () => {
+  const a = await api.event({ title: 'Agree A', cost: 100 });
+  const b = await api.event({ title: 'Agree B', cost: 200 });
+  const c = await api.event({ title: 'Agree C', cost: 30 });
+  const [ra] = await api.register(6, [a, b]);
+  const id = await orderOf(ra.id);
+  await api.call('POST', `/api/payments/${id}/refunds`, { registration_ids: [ra.id], amount: 40, method: 'cash', reason: 'Part refund' });
+
+  const revenue = async () => (await api.call('GET', '/api/reports/by-event')).body
+    .filter(e => [a.id, b.id, c.id].includes(e.event_id)).reduce((sum, e) => sum + e.revenue, 0);
+  assert.equal((await api.call('GET', `/api/orders/${id}`)).body.total, 260);
+  assert.equal(await revenue(), 260);
+
+  const change = (await api.call('PUT', `/api/orders/${id}`, { event_ids: [b.id, c.id] })).body;
+  assert.deepEqual([change.previous_total, change.total, change.collect], [260, 290, 30]);
+  const order = (await api.call('GET', `/api/orders/${id}`)).body;
+  assert.deepEqual([order.total, order.amount], [290, 290]);
+  assert.equal(await revenue(), 290);
+});
+
+test('taking a paid event off an order refunds it', async () => {
+  const a = await api.event({ title: 'Drop A', cost: 100 });
+  const b = await api.event({ title: 'Drop B', cost: 200 });
+  const c = await api.event({ title: 'Drop C', cost: 150 });
+  const [ra, rb] = await api.register(7, [a, b], { payment_method: 'upi', transaction_id: 'UTR0700' });
+  const id = await orderOf(ra.id);
+  await api.call('POST', '/api/upi-statements?dry_run=0', 'UTR,Amount\nUTR0700,300\n');
+  const revenue = async () => (await api.call('GET', '/api/reports/by-event')).body
+    .filter(e => [a.id, b.id, c.id].includes(e.event_id)).reduce((sum, e) => sum + e.revenue, 0);
+
+  const dry = (await api.call('PUT', `/api/orders/${id}?dry_run=1`, { event_ids: [b.id, c.id] })).body;
+  assert.deepEqual([dry.previous_total, dry.total, dry.collect, dry.refund, dry.refunded], [300, 350, 50, 0, 100]);
+
+  const desk = await api.member();
+  const notAllowed = await api.call('PUT', `/api/orders/${id}`, { event_ids: [b.id] }, { token: desk.token });
+  assert.equal(notAllowed.status, 403);
+
+  const change = (await api.call('PUT', `/api/orders/${id}`, { event_ids: [b.id] })).body;
+  assert.deepEqual([change.total, change.refund, change.refunded], [200, 100, 100]);
+
+  const pay = (await api.call('GET', `/api/payments/${id}`)).body;
+  assert.deepEqual(pay.registrations.map(r => [r.event_title, r.status, r.refunded_amount]).sort(),
+    [['Drop A', 'refunded', 100], ['Drop B', 'active', 0]]);
+  assert.equal(pay.refunds.length, 1);
+  assert.deepEqual([pay.refunds[0].amount, pay.refunds[0].method, pay.refunds[0].reason], [100, 'upi', 'Removed from order']);
+  // Nothing new came in, so the statement check still stands
+  assert.deepEqual([pay.amount, pay.upi_status], [200, 'verified']);
+  assert.equal(await revenue(), 200);
+
+  const emails = (await api.call('GET', `/api/sales/${ra.id}/emails`)).body;
+  assert.equal(emails[0].kind, 'refunded');
+  const log = (await api.call('GET', `/api/audit?entity=registration&entity_id=${ra.id}`)).body;
+  assert.equal(log[0].action, 'refund');
+  assert.equal(rb.status, 'active');
+});
+
+test('a free event taken off an order is cancelled', async () => {
+  const a = await api.event({ title: 'Free A', cost: 50 });
+  const b = await api.event({ title: 'Free B', cost: 50 });
+  await api.call('POST', '/api/pricing-rules', { name: 'Free A', kind: 'percent', value: 100, event_ids: [a.id] });
+  const desk = await api.member();
+  const [ra] = await api.register(8, [a, b], undefined, { token: desk.token });
+  const id = await orderOf(ra.id);
+  assert.equal(ra.amount_paid, 0);
+
+  const change = await api.call('PUT', `/api/orders/${id}`, { event_ids: [b.id] }, { token: desk.token });
+  assert.equal(change.status, 200);
+  assert.equal(change.body.refunded, 0);
+  const pay = (await api.call('GET', `/api/payments/${id}`)).body;
+  assert.equal(pay.registrations.find(r => r.id === ra.id).status, 'cancelled');
+  assert.equal(pay.refunds.length, 0);
+});
@@ -0,0 +1,334 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, student } = require('./helpers');
+
+let api;
+before(async () => { api = await start(); });
+after(() => api.close());
+
+const sale = async id => (await api.call('GET', `/api/sales?ids=${id}`)).body.rows[0];
+
+test('register several events on one payment', async () => {
+  const a = await api.event({ title: 'Sing', cost: 100 });
+  const b = await api.event({ title: 'Draw', cost: 150 });
+
+  const res = await api.call('POST', '/api/register', { ...student(1), event_ids: [a.id, b.id], payment_method: 'upi', transaction_id: 'UTR0001' });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.count, res.body.total], [2, 250]);
+
+  const rows = await api.register(1, [a, b], undefined).catch(() => null);
+  assert.equal(rows, null, 'registering the same events again is refused');
+
+  const { rows: sold } = (await api.call('GET', `/api/sales?q=${student(1).student_id}`)).body;
+  assert.equal(sold.length, 2);
+  assert.equal(new Set(sold.map(r => r.Payments.id)).size, 1);
+  assert.equal(sold[0].Payments.transaction_id, 'UTR0001');
+
+  const reused = await api.call('POST', '/api/register', { ...student(2), event_ids: [a.id], payment_method: 'upi', transaction_id: 'UTR0001' });
+  assert.equal(reused.status, 400);
+  assert.equal(reused.body.code, 'already_exists');
+
+  const noEvents = await api.call('POST', '/api/register', { ...student(2), event_ids: [], payment_method: 'cash' });
+  assert.equal(noEvents.status, 400);
+});
+
+test('an idempotency key answers a retried registration without repeating it', async () => {
+  const ev = await api.event({ title: 'Retry', cost: 40 });
+  const body = { ...student(3), event_ids: [ev.id], payment_method: 'cash' };
+  const headers = { 'idempotency-key': 'desk-1-0001' };
+  const first  = await api.call('POST', '/api/register', body, { headers });
+  const second = await api.call('POST', '/api/register', body, { headers });
+  assert.deepEqual(second.body, first.body);
+  assert.equal((await api.call('GET', `/api/sales?event_id=${ev.id}`)).body.total, 1);
+});
+
+test('a registration that fails or is abandoned doesn\'t hold its idempotency key', async () => {
+  const ev = await api.event({ title: 'Retry Again', cost: 40 });
+  const registrations = api.repo.registrations;
+  const { registerWithPayment } = registrations;
+  const error = console.error;
+
+  // The handler throws: the key is let go with the 500
+  const failed = { ...student(7), event_ids: [ev.id], payment_method: 'cash' };
+  registrations.registerWithPayment = async () => { throw new Error('connection reset'); };
+  console.error = () => {};
+  try {
+    const res = await api.call('POST', '/api/register', failed, { headers: { 'idempotency-key': 'desk-1-0002' } });
+    assert.deepEqual([res.status, res.body.code], [500, 'internal']);
+  } finally {
+    registrations.registerWithPayment = registerWithPayment;
+    console.error = error;
+  }
+  const retried = await api.call('POST', '/api/register', failed, { headers: { 'idempotency-key': 'desk-1-0002' } });
+  assert.equal(retried.status, 200);
+
+  // The desk gives up waiting: the sale still finishes and the retry gets its answer
+  const slow = { ...student(8), event_ids: [ev.id], payment_method: 'cash' };
+  const headers = { 'content-type': 'application/json', 'x-session': api.admin.token, 'idempotency-key': 'desk-1-0003' };
+  let reached, release;
+  const started = new Promise(r => { reached = r; });
+  const held = new Promise(r => { release = r; });
+  registrations.registerWithPayment = async args => { reached(); await held; return registerWithPayment.call(registrations, args); };
+  const abort = new AbortController();
+  const first = fetch(`${api.base}/api/register`, { method: 'POST', headers, body: JSON.stringify(slow), signal: abort.signal }).catch(() => null);
+  await started;
+  abort.abort();
+  await first;
+  registrations.registerWithPayment = registerWithPayment;
+  release();
+
+  let again;
+  for (let i = 0; i < 50; i++) {
+    again = await api.call('POST', '/api/register', slow, { headers: { 'idempotency-key': 'desk-1-0003' } });
+    if (again.status !== 409) break;
+    await new Promise(r => setTimeout(r, 20));
+  }
+  assert.equal(again.status, 200);
+  assert.equal(again.headers.get('idempotent-replayed'), 'true');
+  assert.equal((await api.call('GET', `/api/sales?event_id=${ev.id}`)).body.total, 2);
+});
+
+test('register_student_with_payment writes everything or nothing', async () => {
+  const registrations = api.repo.registrations;
+  const roomy = await api.event({ title: 'Roomy', cost: 70 });
+  const tight = await api.event({ title: 'Tight', cost: 30, capacity: 1 });
+  await api.register(4, [tight]);
+  const { data: stu } = await api.repo.students.insert({ ...student(5), phone: undefined, phone_number: student(5).phone });
+  const counts = async () => [
+    (await api.repo.payments.count({})).data,
+    (await registrations.count({})).data
+  ];
+  const was = await counts();
+
+  // The second event is full: the first one's place and the payment go too
+  const full = await registrations.registerWithPayment({
+    studentId: stu.id, memberId: null, eventIds: [roomy.id, tight.id], paymentMethod: 'cash', transactionId: null
+  });
+  assert.equal(full.error.code, 'AC001');
+  assert.deepEqual(await counts(), was);
+
+  // A coupon that runs out mid-sale leaves its use count alone
+  const coupon = (await api.call('POST', '/api/pricing-rules', { name: 'Once', kind: 'flat', value: 10, code: 'ONCE', max_uses: 1 })).body;
+  const rule = async () => (await api.call('GET', '/api/pricing-rules')).body.find(r => r.id === coupon.id);
+  await api.repo.pricingRules.update({ id: coupon.id }, { uses: 1 });
+  const usedUp = await registrations.registerWithPayment({
+    studentId: stu.id, memberId: null, eventIds: [roomy.id], paymentMethod: 'cash', transactionId: null, ruleIds: [coupon.id]
+  });
+  assert.equal(usedUp.error.code, 'AC005');
+  assert.equal((await rule()).uses, 1);
+  assert.deepEqual(await counts(), was);
+
+  // A transaction ID already on another payment
+  await api.register(6, [roomy], { payment_method: 'upi', transaction_id: 'UTR0600' });
+  const after = await counts();
+  const reused = await registrations.registerWithPayment({
+    studentId: stu.id, memberId: null, eventIds: [roomy.id], paymentMethod: 'upi', transactionId: 'UTR0600'
+  });
+  assert.equal(reused.error.code, '23505');
+  assert.deepEqual(await counts(), after);
+
+  const ok = await registrations.registerWithPayment({
+    studentId: stu.id, memberId: null, eventIds: [roomy.id], paymentMethod: 'cash', transactionId: null, discounts: { [roomy.id]: 20 }
+  });
+  assert.equal(ok.error, null);
+  const { data: pay } = await api.repo.payments.findOne({ id: ok.data.payment_id });
+  assert.deepEqual([Number(pay.amount), Number(pay.discount)], [50, 20]);
+});
+
+test('sales list filters, pages and sorts', async () => {
+  const ev = await api.event({ title: 'Listing', cost: 10 });
+  for (const n of [20, 21, 22]) await api.register(n, [ev]);
+
+  const first = (await api.call('GET', `/api/sales?event_id=${ev.id}&limit=2&sort=registered_at&order=asc`)).body;
+  assert.equal(first.total, 3);
+  assert.equal(first.rows.length, 2);
+  assert.equal(first.rows[0].Students.student_id, student(20).student_id);
+  const rest = (await api.call('GET', `/api/sales?event_id=${ev.id}&limit=2&offset=2`)).body;
+  assert.equal(rest.rows.length, 1);
+
+  const desk = await api.member();
+  await api.register(23, [ev], undefined, { token: desk.token });
+  const own = (await api.call('GET', '/api/sales', undefined, { token: desk.token })).body;
+  assert.deepEqual(own.rows.map(r => r.Students.student_id), [student(23).student_id]);
+  assert.equal((await api.call('GET', '/api/sales?sort=nope')).status, 400);
+});
+
+test('edit a sale\'s student details and payment', async () => {
+  const ev = await api.event({ title: 'Editing', cost: 90 });
+  const [reg] = await api.register(30, [ev]);
+
+  const edit = { ...student(30), student_id: reg.Students.id, event_id: ev.id };
+  const res = await api.call('PUT', `/api/sales/${reg.id}`, { ...edit, name: 'Student Thirty', payment_method: 'upi', transaction_id: 'UTR3000' });
+  assert.equal(res.status, 200);
+  const now = await sale(reg.id);
+  assert.equal(now.Students.name, 'Student Thirty');
+  assert.equal(now.Payments.payment_method, 'upi');
+  assert.equal(now.Payments.transaction_id, 'UTR3000');
+  assert.equal(now.amount_paid, 90);
+
+  const log = (await api.call('GET', `/api/audit?entity=student&entity_id=${reg.Students.id}`)).body;
+  assert.deepEqual([log[0].before.name, log[0].after.name], ['Student 30', 'Student Thirty']);
+
+  const desk = await api.member();
+  const other = await api.call('PUT', `/api/sales/${reg.id}`, { ...edit, payment_method: 'cash' }, { token: desk.token });
+  assert.equal(other.status, 403);
+});
+
+test('editing a sale never changes another student', async () => {
+  const ev = await api.event({ title: 'Someone Else', cost: 45 });
+  const [mine]   = await api.register(33, [ev]);
+  const [theirs] = await api.register(34, [ev]);
+
+  const res = await api.call('PUT', `/api/sales/${mine.id}`, {
+    ...student(33), student_id: theirs.Students.id, name: 'Overwritten', event_id: ev.id, payment_method: 'cash'
+  });
+  assert.equal(res.status, 400);
+  assert.equal((await sale(theirs.id)).Students.name, 'Student 34');
+  assert.equal((await sale(mine.id)).Students.name, 'Student 33');
+});
+
+test('moving a sale to another event reprices its payment', async () => {
+  const a = await api.event({ title: 'Move A', cost: 100 });
+  const b = await api.event({ title: 'Move B', cost: 200 });
+  const c = await api.event({ title: 'Move C', cost: 150 });
+  const [ra] = await api.register(35, [a, b], { payment_method: 'upi', transaction_id: 'UTR3500' });
+  await api.call('POST', '/api/upi-statements?dry_run=0', 'UTR,Amount\nUTR3500,300\n');
+  await api.call('PUT', `/api/events/${c.id}`, { cost: 175 });
+
+  const edit = { ...student(35), student_id: ra.Students.id, payment_method: 'upi', transaction_id: 'UTR3500' };
+  const moved = await api.call('PUT', `/api/sales/${ra.id}`, { ...edit, event_id: c.id });
+  // Charged today's fee, as adding the event to the order would be
+  assert.deepEqual(moved.body, { ok: true, previous_total: 300, total: 375, difference: 75, collect: 75, refund: 0 });
+
+  const order = (await api.call('GET', `/api/orders/${ra.Payments.id}`)).body;
+  assert.deepEqual([order.amount, order.total, order.upi_status], [375, 375, null]);
+  const revenue = (await api.call('GET', '/api/reports/by-event')).body
+    .filter(e => [a.id, b.id, c.id].includes(e.event_id)).reduce((sum, e) => sum + e.revenue, 0);
+  assert.equal(revenue, 375);
+
+  const back = (await api.call('PUT', `/api/sales/${ra.id}`, { ...edit, event_id: a.id })).body;
+  assert.deepEqual([back.total, back.refund], [300, 75]);
+  const same = (await api.call('PUT', `/api/sales/${ra.id}`, { ...edit, event_id: a.id })).body;
+  assert.equal(same.difference, 0);
+});
+
+test('cancelling a sale voids a payment with nothing left on it', async () => {
+  const ev = await api.event({ title: 'Cancel Me', cost: 25 });
+  const [reg] = await api.register(31, [ev], { payment_method: 'upi', transaction_id: 'UTR3100' });
+
+  const res = await api.call('DELETE', `/api/sales/${reg.id}`, { reason: 'Entered twice' });
+  assert.equal(res.status, 200);
+  const gone = await sale(reg.id);
+  assert.equal(gone.status, 'cancelled');
+  assert.equal(gone.cancel_reason, 'Entered twice');
+  assert.equal((await api.call('DELETE', `/api/sales/${reg.id}`)).status, 409);
+
+  // The voided payment frees its UPI reference
+  await api.register(32, [ev], { payment_method: 'upi', transaction_id: 'UTR3100' });
+});
+
+test('students: lookup, uniqueness, search, edit, delete', async () => {
+  const ev = await api.event({ title: 'Lookup', cost: 15 });
+  await api.register(40, [ev]);
+
+  const found = (await api.call('POST', '/api/students/lookup', { student_id: student(40).student_id.toLowerCase() })).body;
+  assert.equal(found.status, 'found');
+  assert.deepEqual(found.registeredEventIds, [ev.id]);
+  assert.equal((await api.call('POST', '/api/students/lookup', { student_id: 'ST9999' })).body.status, 'new');
+
+  const phone = (await api.call('POST', '/api/students/check-unique', { field: 'phone', value: student(40).phone })).body;
+  assert.deepEqual(phone, { unique: false, student_id: student(40).student_id });
+  const email = (await api.call('POST', '/api/students/check-unique', { field: 'email', value: 'fresh@test.local' })).body;
+  assert.equal(email.unique, true);
+
+  const { rows } = (await api.call('GET', `/api/students?q=${student(40).phone}`)).body;
+  assert.equal(rows.length, 1);
+  const id = rows[0].id;
+
+  await api.register(41, [ev]);
+  const clash = await api.call('PUT', `/api/students/${id}`, { ...student(40), phone: student(41).phone });
+  assert.equal(clash.status, 400);
+  assert.equal(clash.body.code, 'already_exists');
+  assert.match(clash.body.error, /ST0041/);
+
+  assert.equal((await api.call('PUT', `/api/students/${id}`, { ...student(40), name: 'Renamed' })).status, 200);
+  const log = (await api.call('GET', `/api/audit?entity=student&entity_id=${id}`)).body;
+  assert.equal(log[0].action, 'update');
+  assert.equal(log[0].after.name, 'Renamed');
+
+  // Their registrations go with them
+  const { rows: [loner] } = (await api.call('GET', '/api/students?q=ST0041')).body;
+  assert.equal((await api.call('DELETE', `/api/students/${loner.id}`)).status, 200);
+  assert.equal((await api.call('GET', '/api/sales?q=ST0041')).body.total, 0);
+  assert.equal((await api.call('GET', `/api/audit?entity=student&entity_id=${loner.id}`)).body[0].action, 'delete');
+});
+
+test('duplicate students are found and merged', async () => {
+  const a = await api.event({ title: 'Merge A', cost: 60 });
+  const b = await api.event({ title: 'Merge B', cost: 80 });
+  const c = await api.event({ title: 'Merge C', cost: 40 });
+  await api.call('POST', '/api/pricing-rules', { name: 'Merge C free', kind: 'percent', value: 100, event_ids: [c.id] });
+  await api.call('POST', '/api/register', { ...student(50), name: 'Asha Verma', event_ids: [a.id, c.id], payment_method: 'cash' });
+  await api.call('POST', '/api/register', { ...student(51), name: 'Verma, Asha', event_ids: [a.id, b.id, c.id], payment_method: 'cash' });
+
+  const { pairs } = (await api.call('GET', '/api/students/duplicates')).body;
+  const pair = pairs.find(p => p.students.some(s => s.student_id === 'ST0050'));
+  assert.ok(pair.reasons.includes('name'));
+  const keep  = pair.students.find(s => s.student_id === 'ST0050');
+  const merge = pair.students.find(s => s.student_id === 'ST0051');
+  assert.deepEqual([keep.registrations, merge.registrations], [2, 3]);
+
+  // Both paid for Merge A: the place that would go has to be refunded first
+  const paid = await api.call('POST', `/api/students/${keep.id}/merge?dry_run=0`, { from: merge.id });
+  assert.equal(paid.status, 409);
+  assert.match(paid.body.error, /Merge A.*ST0051 paid 60.*Refund it first/);
+  assert.equal((await api.call('GET', '/api/students?q=ST0051')).body.total, 1);
+
+  const [twice] = (await api.call('GET', `/api/sales?q=ST0051&event_id=${a.id}`)).body.rows;
+  await api.call('POST', `/api/payments/${twice.Payments.id}/refunds`, { registration_ids: [twice.id], amount: 60, method: 'cash', reason: 'Paid twice' });
+  const dry = (await api.call('POST', `/api/students/${keep.id}/merge`, { from: merge.id })).body;
+  assert.equal(dry.dry_run, true);
+  assert.equal(dry.moved, 1);
+  // A free place both hold is simply cancelled
+  assert.deepEqual(dry.conflicts.map(c => [c.title, c.cancelled_student]), [['Merge C', 'ST0051']]);
+
+  const done = await api.call('POST', `/api/students/${keep.id}/merge?dry_run=0`, { from: merge.id });
+  assert.equal(done.status, 200);
+  const { rows } = (await api.call('GET', '/api/sales?q=ST0050&status=active')).body;
+  assert.deepEqual(rows.map(r => r.Events.title).sort(), ['Merge A', 'Merge B', 'Merge C']);
+  assert.equal((await api.call('GET', '/api/students?q=ST0051')).body.total, 0);
+  assert.equal((await api.call('POST', `/api/students/${keep.id}/merge`, { from: keep.id })).status, 400);
+});
+
+test('receipts, tickets and check-in', async () => {
+  const ev = await api.event({ title: 'Door', cost: 35 });
+  const other = await api.event({ title: 'Elsewhere', cost: 35 });
+  const [reg] = await api.register(60, [ev]);
+
+  // The receipt is queued with the sale
+  const emails = (await api.call('GET', `/api/sales/${reg.id}/emails`)).body;
+  assert.deepEqual(emails.map(e => e.kind), ['receipt']);
+  assert.equal(emails[0].to_email, student(60).email);
+  assert.equal((await api.call('POST', `/api/sales/${reg.id}/receipt`)).status, 200);
+  assert.equal((await api.call('GET', `/api/sales/${reg.id}/emails`)).body.length, 2);
+
+  const ticket = (await api.call('GET', `/api/sales/${reg.id}/ticket`)).body;
+  assert.equal(ticket.event_title, 'Door');
+  assert.match(ticket.svg, /^<svg/);
+
+  assert.equal((await api.call('POST', '/api/checkin', { code: 'forged' })).status, 400);
+  const wrongDoor = await api.call('POST', '/api/checkin', { code: ticket.code, event_id: other.id });
+  assert.equal(wrongDoor.status, 409);
+  const inside = await api.call('POST', '/api/checkin', { code: ticket.code, event_id: ev.id });
+  assert.equal(inside.status, 200);
+  assert.ok(inside.body.ticket.checked_in_at);
+  assert.equal((await api.call('POST', '/api/checkin', { code: ticket.code })).body.error, 'Already checked in.');
+
+  assert.equal((await api.call('DELETE', `/api/checkin/${reg.id}`)).status, 200);
+  assert.equal((await api.call('DELETE', `/api/checkin/${reg.id}`)).status, 409);
+  assert.equal((await api.call('POST', '/api/checkin', { code: ticket.code })).status, 200);
+
+  await api.call('DELETE', `/api/sales/${reg.id}`);
+  assert.equal((await api.call('GET', `/api/sales/${reg.id}/ticket`)).status, 409);
+  assert.equal((await api.call('POST', `/api/sales/${reg.id}/receipt`)).status, 409);
+});
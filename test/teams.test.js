@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, student } = require('./helpers');
+
+let api;
+before(async () => { api = await start(); });
+after(() => api.close());
+
+test('register a team, then change its roster', async () => {
+  const ev = await api.event({ title: 'Relay', cost: 200, team_min: 2, team_max: 3 });
+
+  const solo = await api.call('POST', '/api/register', { ...student(1), event_ids: [ev.id], payment_method: 'cash' });
+  assert.equal(solo.status, 400);
+  const small = await api.call('POST', '/api/teams', { event_id: ev.id, team_name: 'Alone', captain: student(1), members: [], payment_method: 'cash' });
+  assert.equal(small.status, 400);
+
+  const made = await api.call('POST', '/api/teams', {
+    event_id: ev.id, team_name: 'Swift', captain: student(1), members: [student(2)], payment_method: 'cash'
+  });
+  assert.equal(made.status, 200);
+  assert.equal(made.body.count, 2);
+
+  let team = (await api.call('GET', `/api/teams/${made.body.team_id}`)).body;
+  assert.equal(team.event.title, 'Relay');
+  assert.deepEqual(team.roster.map(r => [r.student.student_id, r.captain, r.amount_paid]), [['ST0001', true, 200], ['ST0002', false, 0]]);
+
+  // Teammates already known by their Student ID need nothing else
+  const again = await api.call('POST', '/api/teams', {
+    event_id: ev.id, team_name: 'Echo', captain: student(3), members: [{ student_id: 'ST0002' }], payment_method: 'cash'
+  });
+  assert.equal(again.body.code, 'already_exists');
+
+  const put = await api.call('PUT', `/api/teams/${made.body.team_id}`, { name: 'Swifter', members: [student(4), { student_id: 'ST0002' }] });
+  assert.equal(put.status, 200);
+  assert.equal(put.body.name, 'Swifter');
+  team = (await api.call('GET', `/api/teams/${made.body.team_id}`)).body;
+  assert.deepEqual(team.roster.filter(r => r.status === 'active').map(r => r.student.student_id).sort(), ['ST0001', 'ST0002', 'ST0004']);
+
+  const dropped = await api.call('PUT', `/api/teams/${made.body.team_id}`, { members: [{ student_id: 'ST0004' }] });
+  assert.equal(dropped.status, 200);
+  assert.deepEqual(dropped.body.roster.map(r => [r.student.student_id, r.status]),
+    [['ST0001', 'active'], ['ST0002', 'cancelled'], ['ST0004', 'active']]);
+  assert.equal((await api.call('PUT', `/api/teams/${made.body.team_id}`, { members: [student(4), student(5), student(6)] })).status, 400);
+
+  const { rows } = (await api.call('GET', `/api/sales?event_id=${ev.id}&status=active`)).body;
+  assert.equal(rows.length, 2);
+  assert.ok(rows.every(r => r.Teams.name === 'Swifter'));
+});
+
+test('a team takes one seat and is cancelled as a whole', async () => {
+  const ev = await api.event({ title: 'Quiz Bowl', cost: 150, team_min: 2, team_max: 2, capacity: 1 });
+  const made = (await api.call('POST', '/api/teams', {
+    event_id: ev.id, team_name: 'Owls', captain: student(10), members: [student(11)], payment_method: 'cash'
+  })).body;
+  assert.equal((await api.call('GET', '/api/events')).body.find(e => e.id === ev.id).seats_left, 0);
+
+  const full = await api.call('POST', '/api/teams', {
+    event_id: ev.id, team_name: 'Larks', captain: student(12), members: [student(13)], payment_method: 'cash'
+  });
+  assert.equal(full.status, 409);
+
+  const team = (await api.call('GET', `/api/teams/${made.team_id}`)).body;
+  const mate = team.roster.find(r => !r.captain);
+  const cancelled = await api.call('DELETE', `/api/sales/${mate.registration_id}`);
+  assert.equal(cancelled.body.count, 2);
+
+  const desk = await api.member();
+  assert.equal((await api.call('GET', `/api/teams/${made.team_id}`, undefined, { token: desk.token })).status, 403);
+  assert.equal((await api.call('PUT', `/api/teams/${made.team_id}`, { members: [] }, { token: desk.token })).status, 403);
+});